@@ -0,0 +1,243 @@
+/**
+ * HTTP authentication
+ *
+ * Two roles: 'read' (status, run history, feed) and 'admin' (everything, including
+ * sync and diagnostic endpoints). Requests authenticate with a bearer token
+ * (ADMIN_TOKEN / READ_TOKEN) or with the signed session cookie the dashboard gets
+ * from POST /api/login. Auth is disabled, with a warning, when no token is configured.
+ * Failed logins are counted per client address: past LOGIN_MAX_ATTEMPTS, the address
+ * waits before its next attempt, twice as long after each new failure.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { logger } from './logger.js';
+import {
+  ADMIN_TOKEN,
+  READ_TOKEN,
+  SESSION_SECRET,
+  SESSION_TTL_HOURS,
+  AUTH_PUBLIC_ENDPOINTS,
+  LOGIN_MAX_ATTEMPTS,
+} from './config.js';
+
+const SESSION_COOKIE = 'palmeiras_session';
+
+const ROLE_LEVELS = { read: 1, admin: 2 };
+
+const LOGIN_BACKOFF_BASE_MS = 30 * 1000;
+const LOGIN_BACKOFF_MAX_MS = 15 * 60 * 1000;
+// Failures older than this are forgotten
+const LOGIN_FAILURE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/** @type {Map<string, {count: number, lastAt: number, blockedUntil: number}>} Failed logins per client address */
+const loginFailures = new Map();
+
+export const isAuthEnabled = Boolean(ADMIN_TOKEN || READ_TOKEN);
+
+if (!isAuthEnabled) {
+  logger.warn('[AUTH] ADMIN_TOKEN and READ_TOKEN not set - HTTP endpoints are not protected');
+}
+
+const sessionSecret = SESSION_SECRET
+  || createHmac('sha256', 'palmeiras-session').update(`${ADMIN_TOKEN || ''}:${READ_TOKEN || ''}`).digest('hex');
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * @param {string} token
+ * @returns {'admin'|'read'|null} Role granted by the token
+ */
+export function getTokenRole(token) {
+  if (!token) return null;
+  if (ADMIN_TOKEN && safeEqual(token, ADMIN_TOKEN)) return 'admin';
+  if (READ_TOKEN && safeEqual(token, READ_TOKEN)) return 'read';
+  return null;
+}
+
+/**
+ * @param {string} address - Client address
+ * @returns {number} Seconds the address must wait before its next login attempt (0: it may try now)
+ */
+export function getLoginRetryAfter(address) {
+  const failures = loginFailures.get(address);
+  if (!failures) return 0;
+  return Math.max(0, Math.ceil((failures.blockedUntil - Date.now()) / 1000));
+}
+
+/**
+ * Counts a failed login; past LOGIN_MAX_ATTEMPTS, the address is blocked for a delay that doubles with each failure
+ * @param {string} address - Client address
+ * @returns {number} Seconds the address must now wait
+ */
+export function recordLoginFailure(address) {
+  const now = Date.now();
+  for (const [key, entry] of loginFailures) {
+    if (now - entry.lastAt > LOGIN_FAILURE_TTL_MS) loginFailures.delete(key);
+  }
+
+  const failures = loginFailures.get(address) || { count: 0, lastAt: now, blockedUntil: 0 };
+  failures.count++;
+  failures.lastAt = now;
+  if (failures.count >= LOGIN_MAX_ATTEMPTS) {
+    const delay = LOGIN_BACKOFF_BASE_MS * 2 ** (failures.count - LOGIN_MAX_ATTEMPTS);
+    failures.blockedUntil = now + Math.min(delay, LOGIN_BACKOFF_MAX_MS);
+  }
+  loginFailures.set(address, failures);
+  return getLoginRetryAfter(address);
+}
+
+/**
+ * Forgets the failed logins of an address, after a successful one
+ * @param {string} address
+ */
+export function clearLoginFailures(address) {
+  loginFailures.delete(address);
+}
+
+/**
+ * @param {string} payload
+ * @returns {string} base64url HMAC of the payload
+ */
+function sign(payload) {
+  return createHmac('sha256', sessionSecret).update(payload).digest('base64url');
+}
+
+/**
+ * Creates a signed session value: base64url(JSON {role, exp}).signature
+ * @param {'admin'|'read'} role
+ * @returns {string}
+ */
+function createSession(role) {
+  const payload = Buffer.from(JSON.stringify({
+    role,
+    exp: Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000,
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * @param {string} value - Session cookie value
+ * @returns {'admin'|'read'|null} Role of a valid, unexpired session
+ */
+function verifySession(value) {
+  const [payload, signature] = String(value || '').split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+  try {
+    const { role, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    if (!ROLE_LEVELS[role] || !(exp > Date.now())) return null;
+    return role;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * @param {Request} req
+ * @param {string} name
+ * @returns {string|null}
+ */
+function getCookie(req, name) {
+  for (const part of (req.headers.get('cookie') || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return rest.join('=');
+  }
+  return null;
+}
+
+/**
+ * Resolves the role of a request from its bearer token or session cookie
+ * @param {Request} req
+ * @param {Object} [options]
+ * @param {boolean} [options.allowQueryToken] - Also accept ?token= (calendar clients cannot send headers)
+ * @returns {'admin'|'read'|null}
+ */
+export function getRequestRole(req, { allowQueryToken = false } = {}) {
+  if (!isAuthEnabled) return 'admin';
+
+  const authorization = req.headers.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return getTokenRole(authorization.slice('Bearer '.length).trim());
+  }
+
+  if (allowQueryToken) {
+    const token = new URL(req.url).searchParams.get('token');
+    if (token) return getTokenRole(token);
+  }
+
+  return verifySession(getCookie(req, SESSION_COOKIE));
+}
+
+/**
+ * @param {string} endpoint - 'health', 'status' or 'feed'
+ * @returns {boolean} true if the endpoint does not require auth
+ */
+export function isPublicEndpoint(endpoint) {
+  return !isAuthEnabled || AUTH_PUBLIC_ENDPOINTS.includes(endpoint);
+}
+
+/**
+ * Checks that a request has at least the given role
+ * @param {Request} req
+ * @param {'admin'|'read'} requiredRole
+ * @param {Object} [options] - See getRequestRole
+ * @returns {Response|null} 401/403 response, or null when the request is allowed
+ */
+export function authorize(req, requiredRole, options) {
+  const role = getRequestRole(req, options);
+  if (!role) {
+    return Response.json({ error: 'Authentication required' }, {
+      status: 401,
+      headers: { 'WWW-Authenticate': 'Bearer realm="palmeiras-calendar-sync"' },
+    });
+  }
+  if (ROLE_LEVELS[role] < ROLE_LEVELS[requiredRole]) {
+    return Response.json({ error: `This endpoint requires the ${requiredRole} role` }, { status: 403 });
+  }
+  return null;
+}
+
+/**
+ * @param {Request} req
+ * @param {string} value - Cookie value ('' to clear it)
+ * @param {number} maxAgeSeconds
+ * @returns {string} Set-Cookie header value
+ */
+function buildSessionCookie(req, value, maxAgeSeconds) {
+  const secure = new URL(req.url).protocol === 'https:' || req.headers.get('x-forwarded-proto') === 'https';
+  return [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAgeSeconds}`,
+    secure ? 'Secure' : null,
+  ].filter(Boolean).join('; ');
+}
+
+/**
+ * @param {Request} req
+ * @param {'admin'|'read'} role
+ * @returns {string} Set-Cookie header value of a new session
+ */
+export function createSessionCookie(req, role) {
+  return buildSessionCookie(req, createSession(role), SESSION_TTL_HOURS * 60 * 60);
+}
+
+/**
+ * @param {Request} req
+ * @returns {string} Set-Cookie header value that clears the session
+ */
+export function clearSessionCookie(req) {
+  return buildSessionCookie(req, '', 0);
+}
@@ -1,205 +1,311 @@
 /**
  * Calendar sync logic
  * 
- * This module converts standardized Match format to Google Calendar events.
+ * This module converts standardized Match format to Google Calendar events
+ * and syncs them to a calendar target (see targets/index.js).
  * Works only with standardized Match format - independent of retrieval logic.
  */
 
-import { google } from 'googleapis';
+import { createHash } from 'crypto';
 import { logger, ensureError } from './logger.js';
-import { GOOGLE_CREDENTIALS, GOOGLE_CALENDAR_ID } from './config.js';
-import { getMatchUniqueKey, toSaoPauloDateKey } from './processing.js';
+import {
+  ORPHAN_POLICY,
+  ORPHAN_MIN_FIXTURES,
+  ORPHAN_MAX_RATIO,
+  DECISIVE_EVENT_COLOR,
+} from './config.js';
+import { getMatchUniqueKey, getMatchDayKey, buildFixtureKey, toSaoPauloDateKey, addDaysToDateKey } from './processing.js';
+import { DEFAULT_SQUAD, getMatchSquad, getSquadName, getSquadTitlePrefix } from './squads.js';
+import { DEFAULT_TEAM, getMatchTeam, getTeam } from './teams.js';
+import { formatStage, isDecisiveMatch } from './stages.js';
+import { getBroadcastLinks } from './channels.js';
+import { formatChangeValue } from './fixtures.js';
+import {
+  EVENT_TEMPLATES,
+  EVENT_REMINDER_OVERRIDES,
+  renderTemplate,
+  renderDescription,
+  getEventDurationMinutes,
+} from './templates.js';
 
 /**
- * Event title: home team first, away team second, with venue indicator.
+ * @param {{team: number, opponent: number}} score
+ * @returns {string} ✅ win, ❌ loss, 🤝 draw
+ */
+function getResultEmoji(score) {
+  if (score.team > score.opponent) return '✅';
+  if (score.team < score.opponent) return '❌';
+  return '🤝';
+}
+
+/**
+ * @param {Match} match - Finished match (with score)
+ * @returns {string} e.g. "Palmeiras 2 x 1 Corinthians", home team first
+ */
+function formatScoreLine(match) {
+  const { name } = getMatchTeam(match);
+  const { team, opponent } = match.score;
+  return match.isHome
+    ? `${name} ${team} x ${opponent} ${match.opponent}`
+    : `${match.opponent} ${opponent} x ${team} ${name}`;
+}
+
+const TENTATIVE_TITLE_PREFIX = '⏳';
+const DECISIVE_TITLE_PREFIX = '🔥';
+
+/**
+ * Values of the event template placeholders (see templates.js)
+ * @param {Match} match
+ * @param {Object} [options]
+ * @param {string} [options.fixtureId] - See matchToCalendarEvent
+ * @returns {Object}
+ */
+function getTemplateValues(match, { fixtureId } = {}) {
+  const { locale, dateLocale, labels } = EVENT_TEMPLATES;
+  const team = getMatchTeam(match);
+  const squad = getMatchSquad(match);
+  const [homeScore, awayScore] = !match.score ? []
+    : match.isHome ? [match.score.team, match.score.opponent] : [match.score.opponent, match.score.team];
+
+  return {
+    // Squads other than the men's first team get their title prefix (see squads.js), matches without
+    // kickoff time yet (A/D) the tentative prefix and decisive games (finals, second legs) the decisive prefix
+    prefix: [
+      match.tentative ? TENTATIVE_TITLE_PREFIX : '',
+      getSquadTitlePrefix(squad),
+      isDecisiveMatch(match) ? DECISIVE_TITLE_PREFIX : '',
+    ].filter(Boolean).join(' '),
+    venueIcon: match.isHome ? '🏠' : '✈️',
+    team: team.name,
+    opponent: match.opponent,
+    home: match.isHome ? team.name : match.opponent,
+    away: match.isHome ? match.opponent : team.name,
+    competition: match.competition,
+    stage: formatStage(match.stage, locale),
+    round: match.stage?.round,
+    squad: squad !== DEFAULT_SQUAD ? getSquadName(squad) : '',
+    score: match.score ? formatScoreLine(match) : '',
+    homeScore,
+    awayScore,
+    result: match.score ? getResultEmoji(match.score) : '',
+    venue: match.location || labels.venueUnknown,
+    city: match.city && match.city !== match.location ? match.city : '',
+    address: match.address,
+    map: match.coordinates ? `https://www.google.com/maps/search/?api=1&query=${match.coordinates.lat},${match.coordinates.lng}` : '',
+    broadcast: match.broadcast,
+    // Where to watch, from the channel dictionary (see channels.js)
+    watch: getBroadcastLinks(match.broadcast)
+      .map((link) => renderTemplate(labels.watch, { channel: link.name, url: link.url }))
+      .join('\n'),
+    date: match.tentative ? formatTentativeDate(match) : match.date.toLocaleString(dateLocale, { timeZone: 'America/Sao_Paulo' }),
+    source: match.source,
+    fixtureId: fixtureId || getMatchUniqueKey(match),
+    history: formatFixtureHistory(match).join('\n'),
+  };
+}
+
+/**
+ * Event title, from the summary template of the event locale (see templates.js): by default
+ * home team first, away team second, with venue indicator and stage (e.g. "– Quartas (ida)",
+ * see stages.js). Finished matches show the final score and the result instead of the broadcast.
  * @param {Match} match
  * @returns {string}
  */
 export function formatMatchSummary(match) {
-  const venue = match.isHome ? '🏠' : '✈️';
-  const teams = match.isHome
-    ? `Palmeiras vs ${match.opponent}`
-    : `${match.opponent} vs Palmeiras`;
-
-  let summary = `${venue} ${teams}`;
-  if (match.broadcast) {
-    summary += ` 📺 ${match.broadcast}`;
+  const template = match.score ? EVENT_TEMPLATES.resultSummary : EVENT_TEMPLATES.summary;
+  return renderTemplate(template, getTemplateValues(match));
+}
+
+/**
+ * Hash of an event resource, ignoring the stored hash itself.
+ * Saved in extendedProperties.private.contentHash so unchanged events can be skipped.
+ * @param {Object} event - Google Calendar event resource
+ * @returns {string}
+ */
+export function hashCalendarEvent(event) {
+  const { contentHash: _contentHash, ...privateProperties } = event.extendedProperties?.private || {};
+  const content = {
+    ...event,
+    extendedProperties: { ...event.extendedProperties, private: privateProperties },
+  };
+  return createHash('sha256').update(JSON.stringify(content)).digest('hex').slice(0, 16);
+}
+
+/**
+ * @param {Match} match - Tentative match
+ * @returns {string} e.g. "A definir (14/03 a 16/03)"
+ */
+function formatTentativeDate(match) {
+  const { dateLocale, labels } = EVENT_TEMPLATES;
+  const format = (date) => date.toLocaleDateString(dateLocale, { timeZone: 'America/Sao_Paulo', day: '2-digit', month: '2-digit' });
+  const days = match.windowDays || 1;
+  const lastDay = new Date(match.date.getTime() + (days - 1) * 24 * 60 * 60 * 1000);
+  return renderTemplate(labels.tentativeDate, {
+    days: days > 1 ? renderTemplate(labels.dayRange, { first: format(match.date), last: format(lastDay) }) : format(match.date),
+  });
+}
+
+/**
+ * @param {Match} match
+ * @returns {string[]} "Histórico de alterações" lines of the description (none without history)
+ */
+function formatFixtureHistory(match) {
+  if (!match.changes?.length) return [];
+
+  const { dateLocale, labels } = EVENT_TEMPLATES;
+  const formatAt = (at) => new Date(at).toLocaleString(dateLocale, {
+    timeZone: 'America/Sao_Paulo', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit',
+  });
+  const formatValue = (field, value) => formatChangeValue(field, value, { dateLocale, tentativeMarker: labels.tentativeMarker });
+  return [
+    labels.historyTitle,
+    ...match.changes.map((change) => renderTemplate(labels.historyEntry, {
+      at: formatAt(change.at),
+      field: labels.changeFields[change.field],
+      from: formatValue(change.field, change.from),
+      to: formatValue(change.field, change.to),
+    })),
+  ];
+}
+
+/**
+ * Event start/end: EVENT_DURATION_MINUTES (or the EVENT_DURATIONS rule of the game, see
+ * templates.js) from kickoff, or all-day over the possible days of a tentative match
+ * @param {Match} match
+ * @returns {{start: Object, end: Object}}
+ */
+function getEventTimes(match) {
+  if (match.tentative) {
+    const firstDay = getMatchDayKey(match);
+    return {
+      start: { date: firstDay },
+      end: { date: addDaysToDateKey(firstDay, match.windowDays || 1) },
+    };
   }
-  return summary;
+
+  const endDateTime = new Date(match.date.getTime() + getEventDurationMinutes(match) * 60 * 1000);
+  return {
+    start: { dateTime: match.date.toISOString(), timeZone: 'America/Sao_Paulo' },
+    end: { dateTime: endDateTime.toISOString(), timeZone: 'America/Sao_Paulo' },
+  };
 }
 
 /**
  * Converts a Match to a Google Calendar event
  * @param {Match} match - Match in standardized format
+ * @param {Object} [options]
+ * @param {string} [options.fixtureId] - Fixture id of the event being updated, when it differs from
+ *   the match key (a tentative event converted once the kickoff is known keeps its id)
  * @returns {Object} Google Calendar event resource
  */
-export function matchToCalendarEvent(match) {
-  const startDateTime = match.date;
-  const endDateTime = new Date(startDateTime.getTime() + 2 * 60 * 60 * 1000); // 2 hours
-  const summary = formatMatchSummary(match);
-  
-  // Generate unique key based on teams and competition (not date/time)
-  const uniqueKey = getMatchUniqueKey(match);
-  
-  return {
-    summary: summary,
-    description: [
-      `⚽ ${match.competition}`,
-      `📍 ${match.location || 'TBD'}`,
-      match.broadcast ? `📺 ${match.broadcast}` : '',
-      ``,
-      `Source: ${match.source}`,
-      `Match Date: ${startDateTime.toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })}`,
-      ``,
-      `Match ID: ${uniqueKey}`
-    ].filter(Boolean).join('\n'),
-    location: match.location || '',
-    start: {
-      dateTime: startDateTime.toISOString(),
-      timeZone: 'America/Sao_Paulo',
-    },
-    end: {
-      dateTime: endDateTime.toISOString(),
-      timeZone: 'America/Sao_Paulo',
-    },
+export function matchToCalendarEvent(match, { fixtureId } = {}) {
+  // Generate unique key based on squad and day (not time)
+  const uniqueKey = fixtureId || getMatchUniqueKey(match);
+  const squad = getMatchSquad(match);
+  const team = getMatchTeam(match);
+  const values = getTemplateValues(match, { fixtureId: uniqueKey });
+
+  const event = {
+    summary: renderTemplate(match.score ? EVENT_TEMPLATES.resultSummary : EVENT_TEMPLATES.summary, values),
+    description: renderDescription(EVENT_TEMPLATES.description, values),
+    // Full address when the venue is in the registry (see venues.js), so calendar apps can map it
+    location: match.address || match.location || '',
+    ...getEventTimes(match),
+    ...(match.tentative && { status: 'tentative' }),
+    ...(isDecisiveMatch(match) && DECISIVE_EVENT_COLOR && { colorId: DECISIVE_EVENT_COLOR }),
     reminders: {
       useDefault: false,
-      overrides: [
-        { method: 'popup', minutes: 60 },
-        { method: 'popup', minutes: 15 },
-      ],
+      // No kickoff to be reminded of until the time is set
+      overrides: match.tentative ? [] : EVENT_REMINDER_OVERRIDES.map((reminder) => ({ ...reminder })),
     },
     extendedProperties: {
       private: {
         palmeirasSync: 'true',
         fixtureId: uniqueKey,
+        // Only set for other squads and teams, so existing first team events keep their content hash
+        ...(squad !== DEFAULT_SQUAD && { squad }),
+        ...(team !== DEFAULT_TEAM && { team: team.id }),
       }
     }
   };
-}
-
-function parseCredentials(credentialsString) {
-  if (!credentialsString) {
-    throw new Error('GOOGLE_CREDENTIALS environment variable is not set');
-  }
-
-  let credentials;
-  
-  // Try to parse as base64 first, then as plain JSON
-  try {
-    const decoded = Buffer.from(credentialsString, 'base64').toString('utf-8');
-    credentials = JSON.parse(decoded);
-  } catch (base64Error) {
-    // If base64 decoding fails, try parsing as plain JSON
-    try {
-      credentials = JSON.parse(credentialsString);
-    } catch (jsonError) {
-      throw new Error(
-        `Failed to parse GOOGLE_CREDENTIALS: ${base64Error.message}. ` +
-        `Also tried as plain JSON: ${jsonError.message}`
-      );
-    }
-  }
-
-  // Validate required fields
-  if (!credentials.private_key) {
-    throw new Error('GOOGLE_CREDENTIALS missing required field: private_key');
-  }
-  if (!credentials.client_email) {
-    throw new Error('GOOGLE_CREDENTIALS missing required field: client_email');
-  }
 
-  // Fix private key formatting - ensure newlines are preserved
-  // The private key might have literal \n characters that need to be converted to actual newlines
-  if (typeof credentials.private_key === 'string') {
-    credentials.private_key = credentials.private_key.replace(/\\n/g, '\n');
-    
-    // Ensure the key starts and ends with proper markers
-    if (!credentials.private_key.includes('BEGIN PRIVATE KEY')) {
-      // If the key doesn't have proper formatting, it might be corrupted
-      logger.info('[CALENDAR] Warning: Private key may be missing proper PEM formatting');
-    }
-  }
-
-  return credentials;
+  event.extendedProperties.private.contentHash = hashCalendarEvent(event);
+  return event;
 }
 
-export async function getCalendarClient() {
-  try {
-    const credentials = parseCredentials(GOOGLE_CREDENTIALS);
-    
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: ['https://www.googleapis.com/auth/calendar'],
-    });
-    
-    // Test the auth by getting the client email
-    const client = await auth.getClient();
-    const projectId = await auth.getProjectId().catch(() => null);
-    
-    logger.info('[CALENDAR] Google Calendar client initialized successfully', {
-      clientEmail: credentials.client_email,
-      projectId: projectId || 'unknown'
-    });
-    
-    return google.calendar({ version: 'v3', auth });
-  } catch (err) {
-    // Ensure error is an Error object for proper Slack formatting
-    const error = ensureError(err);
-    if (err.code) {
-      error.code = err.code;
-    }
-    if (err.code === 'ERR_OSSL_CRT_VALUES_INCORRECT') {
-      error.hint = 'The private key in GOOGLE_CREDENTIALS appears to be corrupted. Please verify the credentials are correctly base64-encoded.';
-    } else {
-      error.hint = 'Please check that GOOGLE_CREDENTIALS is properly formatted and contains valid service account credentials.';
-    }
-    
-    logger.error('[CALENDAR] Failed to initialize Google Calendar client', error);
-    throw err;
-  }
+/**
+ * @param {Object} event - Synced calendar event
+ * @returns {TeamProfile} Team of the event (default team for events without a team id)
+ */
+function getEventTeam(event) {
+  return getTeam(event.extendedProperties?.private?.team);
 }
 
 /**
  * Builds a fallback key from calendar event summary + start date.
- * Supports home-first titles and the legacy "Palmeiras vs {opponent}" away format.
+ * Supports home-first titles and the legacy "{team} vs {opponent}" away format.
  */
 function buildFallbackKey(event) {
   const normalize = (str) => str.toLowerCase().trim().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
   const summary = (event.summary || '').replace(/^[🏠✈️]\s*/, '').trim();
+  const team = getEventTeam(event);
+  const teamName = team.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-  const homeFirstMatch = summary.match(/^Palmeiras\s+vs\s+(.+?)(?:\s*📺|$)/);
-  const awayFirstMatch = summary.match(/^(.+?)\s+vs\s+Palmeiras(?:\s*📺|$)/);
+  const homeFirstMatch = summary.match(new RegExp(`^${teamName}\\s+vs\\s+(.+?)(?:\\s+–\\s|\\s*📺|$)`));
+  const awayFirstMatch = summary.match(new RegExp(`^(.+?)\\s+vs\\s+${teamName}(?:\\s+–\\s|\\s*📺|$)`));
 
   const opponentRaw = homeFirstMatch?.[1] ?? awayFirstMatch?.[1];
   if (!opponentRaw) return null;
 
   const opponent = normalize(opponentRaw);
-  const startDate = event.start?.dateTime || event.start?.date;
-  if (!startDate) return null;
+  const dateStr = getEventStartDayKey(event);
+  if (!dateStr) return null;
+  return `${team.keyPrefix}_vs_${opponent}_${dateStr}`;
+}
 
-  const dateStr = toSaoPauloDateKey(new Date(startDate));
-  return `palmeiras_vs_${opponent}_${dateStr}`;
+/**
+ * @param {Object} event
+ * @returns {string|null} Start day (YYYY-MM-DD, São Paulo); all-day events carry it as is
+ */
+function getEventStartDayKey(event) {
+  if (event.start?.date) return event.start.date;
+  return event.start?.dateTime ? toSaoPauloDateKey(new Date(event.start.dateTime)) : null;
 }
 
 function getEventDayKey(event) {
-  const startDate = event.start?.dateTime || event.start?.date;
-  if (!startDate) return null;
-  return `palmeiras_${toSaoPauloDateKey(new Date(startDate))}`;
+  const dayKey = getEventStartDayKey(event);
+  if (!dayKey) return null;
+  const squad = event.extendedProperties?.private?.squad || DEFAULT_SQUAD;
+  return buildFixtureKey(getEventTeam(event), squad, dayKey);
 }
 
-export async function getExistingEvents(calendar) {
+/**
+ * @param {Object} event
+ * @returns {string[]} Fixture keys of the days after the first one of an all-day (tentative) event
+ *   spanning a round window, so a kickoff found on any of them converts the event
+ */
+function getEventWindowKeys(event) {
+  if (!event.start?.date || !event.end?.date) return [];
+  const squad = event.extendedProperties?.private?.squad || DEFAULT_SQUAD;
+  const keys = [];
+  for (let day = addDaysToDateKey(event.start.date, 1); day < event.end.date; day = addDaysToDateKey(day, 1)) {
+    keys.push(buildFixtureKey(getEventTeam(event), squad, day));
+  }
+  return keys;
+}
+
+/**
+ * Lists the synced events of a target and indexes them by fixture, day and fallback key
+ * @param {CalendarTarget} target
+ * @param {Object} [options]
+ * @param {Date} [options.timeMin] - Oldest event start to list (default: now; earlier to reach finished matches)
+ * @returns {Promise<Object>} { fixtureMap, dayToEventIds, events }
+ */
+export async function getExistingEvents(target, { timeMin = new Date() } = {}) {
   try {
-    const now = new Date();
-    const response = await calendar.events.list({
-      calendarId: GOOGLE_CALENDAR_ID,
-      timeMin: now.toISOString(),
-      maxResults: 2500,
-      singleEvents: true,
-      orderBy: 'startTime',
-    });
+    const items = await target.listEvents({ timeMin });
     
-    const palmeirasEvents = (response.data.items || []).filter(event => 
+    const palmeirasEvents = items.filter(event => 
       event.extendedProperties?.private?.palmeirasSync === 'true'
     );
     
@@ -224,90 +330,394 @@ export async function getExistingEvents(calendar) {
         fixtureMap.set(fallbackKey, event.id);
       }
     }
+
+    // Indexed last: an event of its own on one of those days takes precedence
+    for (const event of palmeirasEvents) {
+      for (const key of getEventWindowKeys(event)) {
+        if (!fixtureMap.has(key)) fixtureMap.set(key, event.id);
+      }
+    }
     
-    logger.info(`[CALENDAR] Found ${palmeirasEvents.length} existing Palmeiras events in calendar`);
-    return { fixtureMap, dayToEventIds };
+    logger.info(`[CALENDAR] Found ${palmeirasEvents.length} existing synced events in ${target.name}`);
+    return { fixtureMap, dayToEventIds, events: palmeirasEvents };
   } catch (err) {
     const error = ensureError(err);
-    logger.error('[CALENDAR] Failed to fetch existing events', error);
+    logger.error(`[CALENDAR] Failed to fetch existing events from ${target.name}`, error);
     throw err;
   }
 }
 
+const ORPHAN_TITLE_PREFIX = EVENT_TEMPLATES.labels.orphanPrefix;
+
+/** Event fields compared when planning an update, with a normalizer for each */
+const DIFF_FIELDS = {
+  summary: (event) => event.summary || '',
+  description: (event) => event.description || '',
+  location: (event) => event.location || '',
+  start: (event) => normalizeEventTime(event.start),
+  end: (event) => normalizeEventTime(event.end),
+  reminders: (event) => JSON.stringify(event.reminders?.overrides || []),
+  status: (event) => event.status || 'confirmed',
+  colorId: (event) => event.colorId || '',
+};
+
+/**
+ * Google returns dateTime with the calendar offset (e.g. -03:00), we send UTC ISO strings.
+ * @param {Object} time - Event start/end
+ * @returns {string}
+ */
+function normalizeEventTime(time) {
+  if (!time) return '';
+  if (time.dateTime) return new Date(time.dateTime).toISOString();
+  return time.date || '';
+}
+
+/**
+ * Field-level diff between an existing calendar event and the event we would write
+ * @param {Object} existingEvent
+ * @param {Object} event
+ * @returns {Array<{field: string, before: string, after: string}>}
+ */
+export function diffEvents(existingEvent, event) {
+  const diff = [];
+
+  for (const [field, normalize] of Object.entries(DIFF_FIELDS)) {
+    const before = normalize(existingEvent);
+    const after = normalize(event);
+    if (before !== after) {
+      diff.push({ field, before, after });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Finds future synced events that no longer match any processed fixture.
+ * @param {Object[]} events - Existing synced events
+ * @param {Match[]} matches - Processed matches of this run
+ * @param {Set<string>} handledEventIds - Events updated or deleted by the plan
+ * @returns {Object[]}
+ */
+function findOrphanEvents(events, matches, handledEventIds) {
+  const now = new Date();
+  const fixtureIds = new Set(matches.map(getMatchUniqueKey));
+
+  return events.filter((event) => {
+    if (handledEventIds.has(event.id)) return false;
+
+    const startDate = event.start?.dateTime || event.start?.date;
+    if (!startDate || new Date(startDate) <= now) return false;
+
+    const fixtureId = event.extendedProperties?.private?.fixtureId;
+    if (fixtureId && fixtureIds.has(fixtureId)) return false;
+
+    const dayKey = getEventDayKey(event);
+    return !dayKey || !fixtureIds.has(dayKey);
+  });
+}
+
 /**
- * Syncs matches to Google Calendar
+ * Plans ORPHAN_POLICY for synced events whose fixture disappeared from the sources
+ * (postponed, moved to another day or removed).
+ * Nothing is planned when the run looks broken (too few fixtures, or too many orphans).
+ * @param {CalendarTarget} target
+ * @returns {{summary: Object, actions: Object[]}}
+ */
+function planOrphans(target, events, matches, handledEventIds) {
+  const summary = { policy: ORPHAN_POLICY, found: 0, handled: 0 };
+
+  if (ORPHAN_POLICY === 'ignore') {
+    return { summary, actions: [] };
+  }
+
+  const orphans = findOrphanEvents(events, matches, handledEventIds);
+  // Already marked events are not orphaned again, but still count towards the threshold
+  const pending = orphans.filter(
+    (event) => !(ORPHAN_POLICY === 'mark' && event.extendedProperties?.private?.orphaned === 'true')
+  );
+  summary.found = orphans.length;
+
+  if (pending.length === 0) {
+    return { summary, actions: [] };
+  }
+
+  if (matches.length < ORPHAN_MIN_FIXTURES) {
+    summary.skippedReason = `only ${matches.length} fixtures found (minimum ${ORPHAN_MIN_FIXTURES})`;
+    logger.warn(`[CALENDAR] Skipping orphan reconciliation: ${summary.skippedReason}`);
+    return { summary, actions: [] };
+  }
+
+  const ratio = orphans.length / events.length;
+  if (ratio > ORPHAN_MAX_RATIO) {
+    summary.skippedReason = `${orphans.length}/${events.length} synced events would be affected (max ratio ${ORPHAN_MAX_RATIO})`;
+    logger.warn(`[CALENDAR] Skipping orphan reconciliation: ${summary.skippedReason}`);
+    return { summary, actions: [] };
+  }
+
+  let policy = ORPHAN_POLICY;
+  if (policy === 'archive' && !target.canArchive) {
+    logger.warn(`[CALENDAR] ORPHAN_POLICY=archive but no archive calendar is configured for ${target.name} - marking orphans instead`);
+    policy = 'mark';
+  }
+
+  const actions = pending.map((event) => ({
+    type: `orphan-${policy}`,
+    fixtureId: event.extendedProperties?.private?.fixtureId || getEventDayKey(event),
+    eventId: event.id,
+    summary: event.summary,
+    existingEvent: event,
+  }));
+
+  return { summary, actions };
+}
+
+/**
+ * Computes everything a sync would do against the existing events, without writing.
+ * Finished matches (results) only update the event they already have: past events are never created.
+ * @param {CalendarTarget} target
  * @param {Match[]} matches - Matches in standardized format
- * @returns {Promise<Object>} Sync result with counts
+ * @param {Object} existing - Result of getExistingEvents
+ * @param {Object} [options]
+ * @param {Match[]} [options.results] - Recently finished matches with a score (selectRecentResults)
+ * @returns {{fixtures: Object[], orphans: Object}}
  */
-export async function syncMatchesToCalendar(matches) {
-  logger.info('[CALENDAR] Starting calendar sync...');
+export function planCalendarSync(target, matches, { fixtureMap, dayToEventIds, events }, { results = [] } = {}) {
+  const eventsById = new Map(events.map((event) => [event.id, event]));
+  const handledEventIds = new Set();
+  const fixtures = [];
+  const entries = [
+    ...results.map((match) => ({ match, isResult: true })),
+    ...matches.map((match) => ({ match, isResult: false })),
+  ];
+
+  for (const { match, isResult } of entries) {
+    let event = matchToCalendarEvent(match);
+    const fixtureId = event.extendedProperties.private.fixtureId;
+    const existingEventId = fixtureMap.get(fixtureId);
+    const existingEvent = existingEventId ? eventsById.get(existingEventId) : undefined;
+    if (isResult && !existingEvent) continue;
+
+    // A tentative event found through its round window keeps its fixture id once converted
+    const existingFixtureId = existingEvent?.extendedProperties?.private?.fixtureId;
+    if (existingFixtureId && existingFixtureId !== fixtureId) {
+      event = matchToCalendarEvent(match, { fixtureId: existingFixtureId });
+    }
+    // Confirms a converted tentative event; set after hashing, so the next runs see it unchanged
+    if (existingEvent?.status === 'tentative' && !event.status) {
+      event.status = 'confirmed';
+    }
+
+    const duplicates = isResult
+      ? []
+      : (dayToEventIds.get(fixtureId) || [])
+        .filter((id) => id !== existingEventId)
+        .map((id) => eventsById.get(id));
+
+    if (existingEventId) {
+      handledEventIds.add(existingEventId);
+    }
+    duplicates.forEach((duplicate) => handledEventIds.add(duplicate.id));
+
+    let type = 'create';
+    if (existingEvent) {
+      const existingPrivate = existingEvent.extendedProperties?.private || {};
+      // Marked orphans keep their old hash but have a changed title, so they always need an update
+      const isUnchanged =
+        existingPrivate.contentHash === event.extendedProperties.private.contentHash &&
+        existingPrivate.orphaned !== 'true';
+      type = isUnchanged ? 'unchanged' : 'update';
+    }
+
+    fixtures.push({
+      type,
+      fixtureId: event.extendedProperties.private.fixtureId,
+      existingEvent,
+      event,
+      diff: type === 'update' ? diffEvents(existingEvent, event) : undefined,
+      duplicates,
+    });
+  }
+
+  // Past events are only listed to write final scores: they are never orphans
+  const now = Date.now();
+  const upcomingEvents = events.filter((event) => new Date(event.start?.dateTime || event.start?.date).getTime() > now);
+  const orphans = planOrphans(target, upcomingEvents, matches, handledEventIds);
+
+  return { fixtures, orphans };
+}
+
+/**
+ * Serializable view of a plan, used by dry-run mode
+ * @param {{fixtures: Object[], orphans: Object}} plan
+ * @returns {Object}
+ */
+function describePlan(plan) {
+  const actions = [];
+
+  for (const fixture of plan.fixtures) {
+    actions.push({
+      type: fixture.type,
+      fixtureId: fixture.fixtureId,
+      eventId: fixture.existingEvent?.id,
+      summary: fixture.event.summary,
+      diff: fixture.diff,
+    });
+    for (const duplicate of fixture.duplicates) {
+      actions.push({
+        type: 'delete-duplicate',
+        fixtureId: fixture.fixtureId,
+        eventId: duplicate.id,
+        summary: duplicate.summary,
+      });
+    }
+  }
+  actions.push(...plan.orphans.actions.map(({ existingEvent: _existingEvent, ...action }) => action));
+
+  const count = (type) => actions.filter((action) => action.type === type).length;
+
+  return {
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    deleted: count('delete-duplicate'),
+    orphans: { ...plan.orphans.summary, planned: plan.orphans.actions.length },
+    actions,
+  };
+}
+
+/**
+ * Applies a planned orphan action
+ * @param {CalendarTarget} target
+ * @param {Object} action - Entry of planOrphans().actions
+ */
+async function applyOrphanAction(target, action) {
+  if (action.type === 'orphan-delete') {
+    await target.deleteEvent(action.existingEvent);
+    logger.info(`[CALENDAR] Deleted orphan: ${action.summary}`);
+  } else if (action.type === 'orphan-archive') {
+    await target.archiveEvent(action.existingEvent);
+    logger.info(`[CALENDAR] Archived orphan: ${action.summary}`);
+  } else {
+    await target.patchEvent(action.existingEvent, {
+      summary: `${ORPHAN_TITLE_PREFIX} ${action.summary}`,
+      extendedProperties: {
+        private: { orphaned: 'true' },
+      },
+    });
+    logger.info(`[CALENDAR] Marked orphan: ${action.summary}`);
+  }
+}
+
+/**
+ * Syncs matches to a calendar target
+ * @param {Match[]} matches - Matches in standardized format
+ * @param {Object} options
+ * @param {CalendarTarget} options.target - Calendar to write to
+ * @param {boolean} [options.dryRun] - Only compute the plan; never insert, update or delete
+ * @param {Match[]} [options.results] - Recently finished matches whose events get the final score
+ * @returns {Promise<Object>} Sync result with counts (or the plan, in dry-run mode)
+ */
+export async function syncMatchesToCalendar(matches, { target, dryRun = false, results = [] }) {
+  logger.info(`[CALENDAR] Starting ${target.name} sync${dryRun ? ' (dry run)' : ''}...`);
   
-  const calendar = await getCalendarClient();
-  const { fixtureMap, dayToEventIds } = await getExistingEvents(calendar);
+  await target.connect();
+  // Reach back to the oldest result so its event can be found
+  const timeMin = results.length > 0 ? new Date(Math.min(Date.now(), results[0].date.getTime())) : new Date();
+  const existing = await getExistingEvents(target, { timeMin });
+  const plan = planCalendarSync(target, matches, existing, { results });
+
+  if (dryRun) {
+    const description = describePlan(plan);
+    logger.info(`[CALENDAR] ${target.name} plan: ${description.created} to create, ${description.updated} to update, ${description.unchanged} unchanged, ${description.deleted} duplicates to delete, ${description.orphans.planned} orphans`);
+    return { dryRun: true, ...description, total: matches.length };
+  }
   
   let created = 0;
   let updated = 0;
+  let unchanged = 0;
   let deleted = 0;
   let skipped = 0;
   const errors = [];
+  const actions = [];
   
-  for (const match of matches) {
-    const event = matchToCalendarEvent(match);
-    const fixtureId = event.extendedProperties.private.fixtureId;
-    const existingEventId = fixtureMap.get(fixtureId);
+  for (const fixture of plan.fixtures) {
+    const { event, fixtureId } = fixture;
+    const action = {
+      type: fixture.type,
+      fixtureId,
+      eventId: fixture.existingEvent?.id,
+      summary: event.summary,
+      status: 'ok',
+    };
+    actions.push(action);
     
     try {
-      let keptEventId = existingEventId;
-
-      if (existingEventId) {
-        await calendar.events.update({
-          calendarId: GOOGLE_CALENDAR_ID,
-          eventId: existingEventId,
-          resource: event,
-        });
+      if (fixture.type === 'unchanged') {
+        logger.debug(`[CALENDAR] Unchanged: ${event.summary}`);
+        unchanged++;
+      } else if (fixture.type === 'update') {
+        await target.updateEvent(fixture.existingEvent, event);
+        action.diff = fixture.diff;
         logger.info(`[CALENDAR] Updated: ${event.summary}`);
         updated++;
       } else {
-        const response = await calendar.events.insert({
-          calendarId: GOOGLE_CALENDAR_ID,
-          resource: event,
-        });
-        keptEventId = response.data.id;
+        action.eventId = await target.insertEvent(event);
         logger.info(`[CALENDAR] Created: ${event.summary}`);
         created++;
       }
 
-      const duplicateIds = (dayToEventIds.get(fixtureId) || []).filter((id) => id !== keptEventId);
-      for (const duplicateId of duplicateIds) {
-        await calendar.events.delete({
-          calendarId: GOOGLE_CALENDAR_ID,
-          eventId: duplicateId,
-        });
-        logger.info(`[CALENDAR] Deleted duplicate for ${fixtureId}: ${duplicateId}`);
+      for (const duplicate of fixture.duplicates) {
+        await target.deleteEvent(duplicate);
+        actions.push({ type: 'delete-duplicate', fixtureId, eventId: duplicate.id, summary: duplicate.summary, status: 'ok' });
+        logger.info(`[CALENDAR] Deleted duplicate for ${fixtureId}: ${duplicate.id}`);
         deleted++;
       }
-      dayToEventIds.set(fixtureId, [keptEventId]);
-      fixtureMap.set(fixtureId, keptEventId);
     } catch (err) {
       const error = ensureError(err);
       error.fixture = event.summary;
       error.fixtureId = fixtureId;
       const errorMsg = `${event.summary} - ${error.message}`;
-      logger.error(`[CALENDAR] Failed to sync event: ${errorMsg}`, error);
+      logger.error(`[CALENDAR] Failed to sync event to ${target.name}: ${errorMsg}`, error);
       errors.push({ fixture: event.summary, error: error.message });
+      action.status = 'error';
+      action.error = error.message;
       skipped++;
     }
     
+    if (fixture.type !== 'unchanged' || fixture.duplicates.length > 0) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  const orphans = plan.orphans.summary;
+  for (const orphanAction of plan.orphans.actions) {
+    const { existingEvent: _existingEvent, ...details } = orphanAction;
+    const action = { ...details, status: 'ok' };
+    actions.push(action);
+
+    try {
+      await applyOrphanAction(target, orphanAction);
+      orphans.handled++;
+    } catch (err) {
+      const error = ensureError(err);
+      logger.error(`[CALENDAR] Failed to handle orphan event: ${action.summary} - ${error.message}`, error);
+      action.status = 'error';
+      action.error = error.message;
+    }
+
     await new Promise(resolve => setTimeout(resolve, 100));
   }
   
   return {
     created,
     updated,
+    unchanged,
     deleted,
     skipped,
+    orphans,
     errors,
+    actions,
     total: matches.length
   };
 }
-
@@ -0,0 +1,136 @@
+/**
+ * Broadcast channel dictionary
+ *
+ * Maps what the sources write in their TV column (names, abbreviations and the
+ * numeric icon codes of ptd.verdao.net) to channels with a display name and a
+ * "where to watch" URL. BROADCAST_CHANNELS adds channels or replaces built-in ones
+ * with the same id, so a new streamer only needs configuration. Tokens that match
+ * no channel are kept as written and reported in the run status.
+ */
+
+import { BROADCAST_CHANNELS } from './config.js';
+import { normalizeWords } from './text.js';
+import { mergeRegistry } from './registry.js';
+
+/**
+ * @typedef {Object} BroadcastChannel
+ * @property {string} id - e.g. "caze-tv"
+ * @property {string} name - Display name, e.g. "Cazé TV"
+ * @property {string[]} aliases - Other ways the sources write it (accents and case are ignored)
+ * @property {string[]} iconCodes - ptd.verdao.net icon codes, e.g. ["2"]
+ * @property {string} [url] - Where to watch
+ */
+
+/** @type {BroadcastChannel[]} */
+const BUILT_IN_CHANNELS = [
+  { id: 'record', name: 'Record', aliases: ['rede record', 'record tv'], iconCodes: ['1'], url: 'https://www.playplus.com' },
+  { id: 'caze-tv', name: 'Cazé TV', aliases: ['caze', 'cazetv'], iconCodes: ['2'], url: 'https://www.youtube.com/@CazeTV' },
+  { id: 'tnt', name: 'TNT', aliases: ['tnt sports'], iconCodes: ['3'], url: 'https://www.tntsports.com.br' },
+  { id: 'hbo-max', name: 'HBO Max', aliases: ['hbo', 'max'], iconCodes: ['4'], url: 'https://www.hbomax.com/br' },
+  { id: 'globo', name: 'Globo', aliases: ['rede globo', 'tv globo'], iconCodes: [], url: 'https://globoplay.globo.com' },
+  { id: 'sportv', name: 'Sportv', aliases: ['sport tv'], iconCodes: [], url: 'https://globoplay.globo.com' },
+  { id: 'premiere', name: 'Premiere', aliases: ['premiere fc'], iconCodes: [], url: 'https://premiere.globo.com' },
+  { id: 'ge-tv', name: 'GE TV', aliases: ['getv', 'ge'], iconCodes: [], url: 'https://www.youtube.com/@getv' },
+  { id: 'amazon-prime', name: 'Amazon Prime', aliases: ['prime video', 'amazon'], iconCodes: [], url: 'https://www.primevideo.com' },
+  { id: 'paramount-plus', name: 'Paramount+', aliases: ['paramount'], iconCodes: [], url: 'https://www.paramountplus.com/br/' },
+  { id: 'espn', name: 'ESPN', aliases: [], iconCodes: [], url: 'https://www.espn.com.br' },
+  { id: 'disney-plus', name: 'Disney+', aliases: ['disney plus', 'disney'], iconCodes: [], url: 'https://www.disneyplus.com/pt-br' },
+  { id: 'band', name: 'Band', aliases: ['bandeirantes'], iconCodes: [], url: 'https://www.band.uol.com.br/ao-vivo' },
+  { id: 'youtube', name: 'YouTube', aliases: [], iconCodes: [], url: 'https://www.youtube.com' },
+];
+
+/**
+ * @param {string} value
+ * @returns {string} Lowercase value without accents and punctuation ("Cazé TV" → "caze tv")
+ */
+function normalizeChannelText(value) {
+  return normalizeWords(String(value || '').replace(/\+/g, ' plus'));
+}
+
+/**
+ * Completes a BROADCAST_CHANNELS entry
+ * @param {Object} channel
+ * @param {number} idx
+ * @returns {BroadcastChannel}
+ */
+function normalizeChannel(channel, idx) {
+  if (!channel || typeof channel.id !== 'string' || typeof channel.name !== 'string') {
+    throw new Error(`Invalid BROADCAST_CHANNELS entry #${idx + 1}: id and name are required`);
+  }
+
+  return {
+    id: channel.id,
+    name: channel.name,
+    aliases: [channel.name, ...(channel.aliases || [])].map(normalizeChannelText).filter(Boolean),
+    iconCodes: (channel.iconCodes || []).map(String),
+    ...(channel.url && { url: channel.url }),
+  };
+}
+
+/** @type {BroadcastChannel[]} */
+export const CHANNELS = mergeRegistry(BUILT_IN_CHANNELS, BROADCAST_CHANNELS, normalizeChannel);
+
+/**
+ * Finds the channel of a TV column token: icon code, exact alias, else the longest
+ * alias contained in the token as whole words ("Sportv 2" → Sportv)
+ * @param {string} token
+ * @returns {BroadcastChannel|null}
+ */
+export function findChannel(token) {
+  const text = String(token || '').trim();
+  if (/^\d+$/.test(text)) {
+    return CHANNELS.find((channel) => channel.iconCodes.includes(text)) || null;
+  }
+
+  const normalized = normalizeChannelText(text);
+  if (!normalized) return null;
+  const exact = CHANNELS.find((channel) => channel.aliases.includes(normalized));
+  if (exact) return exact;
+
+  let found = null;
+  let foundLength = 0;
+  for (const channel of CHANNELS) {
+    for (const alias of channel.aliases) {
+      if (alias.length > foundLength && ` ${normalized} `.includes(` ${alias} `)) {
+        found = channel;
+        foundLength = alias.length;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Parses a TV column ("1, 2", "Globo | Premiere", "Paramount+")
+ * @param {string} text
+ * @returns {{broadcast: string, unknown: string[]}} Channel names (unknown names kept as written,
+ *   unknown icon codes dropped) and the tokens that matched no channel
+ */
+export function parseBroadcastText(text) {
+  const names = [];
+  const unknown = [];
+
+  for (const token of String(text || '').split(/[,|/]|\s+e\s+/).map((part) => part.trim()).filter(Boolean)) {
+    const channel = findChannel(token);
+    if (channel) {
+      names.push(channel.name);
+      continue;
+    }
+    unknown.push(/^\d+$/.test(token) ? `icon ${token}` : token);
+    if (!/^\d+$/.test(token)) names.push(token);
+  }
+
+  return { broadcast: [...new Set(names)].join(', '), unknown };
+}
+
+/**
+ * @param {string} broadcast - Match broadcast ("Globo, Premiere")
+ * @returns {Array<{name: string, url: string}>} "Where to watch" links of the channels with a URL
+ */
+export function getBroadcastLinks(broadcast) {
+  return String(broadcast || '')
+    .split(',')
+    .map((name) => findChannel(name))
+    .filter((channel) => channel?.url)
+    .map((channel) => ({ name: channel.name, url: channel.url }));
+}
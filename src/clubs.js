@@ -0,0 +1,195 @@
+/**
+ * Club directory
+ *
+ * Sources write the same club in many ways ("Atlético-MG", "Atletico Mineiro",
+ * "Galo"), and the longest name wins when sources are merged (see pickBetterMatch),
+ * so opponents are mapped to one canonical name with a short code, country and
+ * crest. Placeholder names ("A definir") mark fixtures whose opponent is unknown.
+ *
+ * DATA_DIR/clubs.json adds clubs (or replaces built-in ones with the same id) and
+ * placeholders; it is read again at the start of every sync, so it can be edited
+ * without a restart (GET /api/clubs lists the directory in use):
+ * { "clubs": [{ "id": "remo", "name": "Remo", "code": "REM", "aliases": ["Clube do Remo"] }], "placeholders": ["a sortear"] }
+ */
+
+import { logger } from './logger.js';
+import { getClubDirectoryFile } from './storage.js';
+import { normalizeWords } from './text.js';
+import { mergeRegistry } from './registry.js';
+
+/**
+ * @typedef {Object} Club
+ * @property {string} id - e.g. "atletico-mg"
+ * @property {string} name - Canonical name, used as the match opponent
+ * @property {string} [code] - Short code, e.g. "CAM"
+ * @property {string} [country] - ISO 3166-1 alpha-2 code, e.g. "BR"
+ * @property {string} [crest] - Crest image URL
+ * @property {string[]} aliases - Other ways the sources write it (accents, case and punctuation are ignored)
+ */
+
+/** @type {Club[]} */
+const BUILT_IN_CLUBS = [
+  { id: 'palmeiras', name: 'Palmeiras', code: 'PAL', country: 'BR', aliases: ['SE Palmeiras', 'Verdão'] },
+  // Verdão in-joke: "Sistema" means Flamengo
+  { id: 'flamengo', name: 'Flamengo', code: 'FLA', country: 'BR', aliases: ['Sistema', 'CR Flamengo', 'Flamengo-RJ', 'Mengão'] },
+  { id: 'corinthians', name: 'Corinthians', code: 'COR', country: 'BR', aliases: ['SC Corinthians', 'Timão'] },
+  { id: 'sao-paulo', name: 'São Paulo', code: 'SAO', country: 'BR', aliases: ['São Paulo FC', 'SPFC'] },
+  { id: 'santos', name: 'Santos', code: 'SAN', country: 'BR', aliases: ['Santos FC', 'Peixe'] },
+  { id: 'atletico-mg', name: 'Atlético-MG', code: 'CAM', country: 'BR', aliases: ['Atlético Mineiro', 'Clube Atlético Mineiro', 'Galo'] },
+  { id: 'cruzeiro', name: 'Cruzeiro', code: 'CRU', country: 'BR', aliases: ['Cruzeiro EC'] },
+  { id: 'botafogo', name: 'Botafogo', code: 'BOT', country: 'BR', aliases: ['Botafogo-RJ', 'Botafogo FR'] },
+  { id: 'fluminense', name: 'Fluminense', code: 'FLU', country: 'BR', aliases: ['Fluminense FC', 'Flu'] },
+  { id: 'vasco', name: 'Vasco', code: 'VAS', country: 'BR', aliases: ['Vasco da Gama', 'CR Vasco da Gama'] },
+  { id: 'gremio', name: 'Grêmio', code: 'GRE', country: 'BR', aliases: ['Grêmio FBPA'] },
+  { id: 'internacional', name: 'Internacional', code: 'INT', country: 'BR', aliases: ['Inter', 'SC Internacional'] },
+  { id: 'athletico-pr', name: 'Athletico-PR', code: 'CAP', country: 'BR', aliases: ['Athletico Paranaense', 'Athletico'] },
+  { id: 'coritiba', name: 'Coritiba', code: 'CFC', country: 'BR', aliases: ['Coritiba FC', 'Coxa'] },
+  { id: 'bahia', name: 'Bahia', code: 'BAH', country: 'BR', aliases: ['EC Bahia'] },
+  { id: 'vitoria', name: 'Vitória', code: 'VIT', country: 'BR', aliases: ['EC Vitória'] },
+  { id: 'fortaleza', name: 'Fortaleza', code: 'FOR', country: 'BR', aliases: ['Fortaleza EC'] },
+  { id: 'ceara', name: 'Ceará', code: 'CEA', country: 'BR', aliases: ['Ceará SC'] },
+  { id: 'sport', name: 'Sport', code: 'SPT', country: 'BR', aliases: ['Sport Recife', 'Sport Club do Recife'] },
+  { id: 'juventude', name: 'Juventude', code: 'JUV', country: 'BR', aliases: ['EC Juventude'] },
+  { id: 'bragantino', name: 'Bragantino', code: 'RBB', country: 'BR', aliases: ['Red Bull Bragantino', 'RB Bragantino'] },
+  { id: 'mirassol', name: 'Mirassol', code: 'MIR', country: 'BR', aliases: ['Mirassol FC'] },
+  { id: 'chapecoense', name: 'Chapecoense', code: 'CHA', country: 'BR', aliases: ['Chapecoense-SC'] },
+  { id: 'remo', name: 'Remo', code: 'REM', country: 'BR', aliases: ['Clube do Remo'] },
+  { id: 'ponte-preta', name: 'Ponte Preta', code: 'PON', country: 'BR', aliases: ['AA Ponte Preta'] },
+  { id: 'guarani', name: 'Guarani', code: 'GUA', country: 'BR', aliases: ['Guarani FC'] },
+  { id: 'novorizontino', name: 'Novorizontino', code: 'NOV', country: 'BR', aliases: ['Grêmio Novorizontino'] },
+  { id: 'portuguesa', name: 'Portuguesa', code: 'POR', country: 'BR', aliases: ['AA Portuguesa', 'Lusa'] },
+  { id: 'sao-bernardo', name: 'São Bernardo', code: 'SBE', country: 'BR', aliases: ['São Bernardo FC'] },
+  { id: 'agua-santa', name: 'Água Santa', code: 'AGS', country: 'BR', aliases: [] },
+  { id: 'velo-clube', name: 'Velo Clube', code: 'VEL', country: 'BR', aliases: [] },
+  { id: 'noroeste', name: 'Noroeste', code: 'NOR', country: 'BR', aliases: [] },
+  { id: 'botafogo-sp', name: 'Botafogo-SP', code: 'BFS', country: 'BR', aliases: ['Botafogo de Ribeirão Preto'] },
+  { id: 'inter-de-limeira', name: 'Inter de Limeira', code: 'ILI', country: 'BR', aliases: ['Internacional de Limeira'] },
+  { id: 'river-plate', name: 'River Plate', code: 'RIV', country: 'AR', aliases: ['CA River Plate'] },
+  { id: 'boca-juniors', name: 'Boca Juniors', code: 'BOC', country: 'AR', aliases: ['CA Boca Juniors', 'Boca'] },
+  { id: 'racing', name: 'Racing', code: 'RAC', country: 'AR', aliases: ['Racing Club'] },
+  { id: 'estudiantes', name: 'Estudiantes', code: 'EST', country: 'AR', aliases: ['Estudiantes de La Plata'] },
+  { id: 'penarol', name: 'Peñarol', code: 'PEN', country: 'UY', aliases: ['CA Peñarol'] },
+  { id: 'nacional-uy', name: 'Nacional', code: 'NAC', country: 'UY', aliases: ['Club Nacional', 'Nacional-URU'] },
+  { id: 'olimpia', name: 'Olimpia', code: 'OLI', country: 'PY', aliases: ['Club Olimpia'] },
+  { id: 'cerro-porteno', name: 'Cerro Porteño', code: 'CCP', country: 'PY', aliases: [] },
+  { id: 'ldu-quito', name: 'LDU Quito', code: 'LDU', country: 'EC', aliases: ['LDU', 'Liga de Quito'] },
+  { id: 'independiente-del-valle', name: 'Independiente del Valle', code: 'IDV', country: 'EC', aliases: [] },
+  { id: 'colo-colo', name: 'Colo-Colo', code: 'COL', country: 'CL', aliases: [] },
+  { id: 'sporting-cristal', name: 'Sporting Cristal', code: 'SCR', country: 'PE', aliases: [] },
+  { id: 'universitario', name: 'Universitario', code: 'UNI', country: 'PE', aliases: ['Universitario de Deportes'] },
+  { id: 'bolivar', name: 'Bolívar', code: 'BOL', country: 'BO', aliases: ['Club Bolívar'] },
+];
+
+/** Opponent names that stand for "not decided yet" */
+const BUILT_IN_PLACEHOLDERS = ['a definir', 'a confirmar', 'confirmar', 'adversario', 'tbd', 'tba'];
+
+/**
+ * Completes a club directory entry
+ * @param {Object} club
+ * @param {number} idx
+ * @returns {Club}
+ */
+function normalizeClub(club, idx) {
+  if (!club || typeof club.id !== 'string' || typeof club.name !== 'string') {
+    throw new Error(`Invalid club directory entry #${idx + 1}: id and name are required`);
+  }
+
+  return {
+    id: club.id,
+    name: club.name,
+    ...(club.code && { code: club.code }),
+    ...(club.country && { country: club.country }),
+    ...(club.crest && { crest: club.crest }),
+    aliases: [club.name, ...(club.aliases || [])].map(normalizeWords).filter(Boolean),
+  };
+}
+
+/**
+ * @param {Object|null} file - Directory file content (see getClubDirectoryFile)
+ * @returns {{clubs: Club[], index: Map<string, Club>, placeholders: Set<string>}}
+ */
+function buildDirectory(file) {
+  const clubs = mergeRegistry(BUILT_IN_CLUBS, file?.clubs, normalizeClub);
+
+  // Clubs of the file come first, so their aliases win over built-in ones
+  const index = new Map();
+  for (const club of clubs) {
+    club.aliases.forEach((alias) => index.has(alias) || index.set(alias, club));
+  }
+
+  return {
+    clubs,
+    index,
+    placeholders: new Set([...BUILT_IN_PLACEHOLDERS, ...(file?.placeholders || [])].map(normalizeWords)),
+  };
+}
+
+let directory = buildDirectory(null);
+
+/**
+ * Reloads the directory with DATA_DIR/clubs.json. An invalid file is logged and only
+ * the built-in clubs are used until it is fixed.
+ */
+export async function loadClubDirectory() {
+  const file = await getClubDirectoryFile();
+  if (!file) {
+    directory = buildDirectory(null);
+    return;
+  }
+
+  try {
+    directory = buildDirectory(file);
+    logger.debug(`[CLUBS] Loaded ${file.clubs?.length || 0} clubs and ${file.placeholders?.length || 0} placeholders from ${file.path}`);
+  } catch (err) {
+    logger.error(`[CLUBS] Ignoring ${file.path}: ${err.message}`);
+    directory = buildDirectory(null);
+  }
+}
+
+/**
+ * @returns {{clubs: Club[], placeholders: string[]}} Directory in use (GET /api/clubs), aliases and
+ *   placeholders normalized
+ */
+export function getClubDirectory() {
+  return { clubs: directory.clubs, placeholders: [...directory.placeholders] };
+}
+
+/**
+ * @param {string} name - Club as written by a source
+ * @returns {Club|null}
+ */
+export function findClub(name) {
+  return directory.index.get(normalizeWords(name)) || null;
+}
+
+/**
+ * @param {string} a - Club as written by a source
+ * @param {string} b
+ * @returns {boolean} Whether both names are the same club: the same directory entry, or the same
+ *   name (accents, case and punctuation aside) for clubs missing from the directory
+ */
+export function isSameClub(a, b) {
+  const clubA = findClub(a);
+  const clubB = findClub(b);
+  if (clubA || clubB) return clubA?.id === clubB?.id;
+  return normalizeWords(a) === normalizeWords(b);
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} Whether the name stands for an opponent not decided yet
+ */
+export function isPlaceholderName(name) {
+  const normalized = normalizeWords(name);
+  return directory.placeholders.has(normalized) || normalized.length < 2;
+}
+
+/**
+ * @param {string[]} names - Opponents of a run
+ * @returns {string[]} Names missing from the directory (placeholders aside), in order of appearance
+ */
+export function findUnknownClubs(names) {
+  return [...new Set(names.map((name) => String(name || '').trim()))].filter(
+    (name) => !isPlaceholderName(name) && !findClub(name)
+  );
+}
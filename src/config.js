@@ -28,3 +28,183 @@ function decodeCalendarId(calendarId) {
 
 export const GOOGLE_CALENDAR_ID = decodeCalendarId(process.env.GOOGLE_CALENDAR_ID) || 'primary';
 
+
+// Retrieval sources to run, in default priority order (comma-separated ids)
+export const RETRIEVAL_SOURCES = (process.env.RETRIEVAL_SOURCES || 'verdao,api-football')
+  .split(',')
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+// Per-field source priority, e.g. "date:api-football,verdao;broadcast:verdao"
+// Fields not listed fall back to the RETRIEVAL_SOURCES order
+function parseFieldPriority(value) {
+  const priority = {};
+  if (!value) return priority;
+
+  for (const rule of value.split(';')) {
+    const [field, sources] = rule.split(':').map((part) => part?.trim());
+    if (!field || !sources) continue;
+    priority[field] = sources.split(',').map((id) => id.trim()).filter(Boolean);
+  }
+
+  return priority;
+}
+
+export const RETRIEVAL_FIELD_PRIORITY = parseFieldPriority(process.env.RETRIEVAL_FIELD_PRIORITY);
+
+export const API_FOOTBALL_KEY = process.env.API_FOOTBALL_KEY;
+
+// Per-squad settings: "squad:value" pairs separated by ';', e.g. "feminino:👩 Feminino;sub-20:Sub-20"
+function parseSquadMap(value, mapValue = (entry) => entry) {
+  const map = {};
+  if (!value) return map;
+
+  for (const rule of value.split(';')) {
+    const separator = rule.indexOf(':');
+    if (separator === -1) continue;
+    const squad = rule.slice(0, separator).trim();
+    const entry = rule.slice(separator + 1).trim();
+    if (squad && entry) map[squad] = mapValue(entry);
+  }
+
+  return map;
+}
+
+// Squads to sync (comma-separated): 'principal' (men's first team), 'feminino', 'sub-20', 'sub-17'...
+export const SQUADS = (process.env.SQUADS || 'principal')
+  .split(',')
+  .map((squad) => squad.trim())
+  .filter(Boolean);
+// Title prefix of each squad's events (default: "[Feminino]", "[Sub-20]"...; none for 'principal')
+export const SQUAD_TITLE_PREFIXES = parseSquadMap(process.env.SQUAD_TITLE_PREFIXES);
+// Squads synced to their own calendar instead of GOOGLE_CALENDAR_ID / CALDAV_URL
+export const SQUAD_GOOGLE_CALENDARS = parseSquadMap(process.env.SQUAD_GOOGLE_CALENDARS, decodeCalendarId);
+export const SQUAD_CALDAV_URLS = parseSquadMap(process.env.SQUAD_CALDAV_URLS);
+// API-Football team id of each squad (default: "principal:121")
+export const API_FOOTBALL_TEAM_IDS = {
+  principal: 121,
+  ...parseSquadMap(process.env.API_FOOTBALL_TEAM_IDS, (id) => parseInt(id, 10)),
+};
+
+// Parses a JSON array environment variable (null when unset)
+function parseJsonArray(name) {
+  const value = process.env[name];
+  if (!value) return null;
+  try {
+    const entries = JSON.parse(value);
+    if (!Array.isArray(entries)) throw new Error('expected a JSON array');
+    return entries;
+  } catch (err) {
+    throw new Error(`Invalid ${name}: ${err.message}`);
+  }
+}
+
+// ptd.verdao.net competition pages to scrape, as a JSON array replacing the built-in catalogue, e.g.
+// [{"id":"mundial","name":"Mundial de Clubes {year}","slug":"mundial-de-clubes-{year}","seasons":[2025]}]
+// The catalogue can also be edited at runtime through PUT /api/competitions
+export const COMPETITION_CATALOGUE = parseJsonArray('COMPETITION_CATALOGUE');
+// Add the competitions linked from the ptd.verdao.net home page menu to the catalogue
+export const COMPETITION_DISCOVERY = process.env.COMPETITION_DISCOVERY !== 'false';
+
+// Venues added to (or replacing, by id) the built-in venue registry (see venues.js), e.g.
+// [{"id":"mane-garrincha","name":"Mané Garrincha","city":"Brasília","aliases":["mane garrincha"],"homeTeams":["palmeiras"]}]
+export const VENUE_REGISTRY = parseJsonArray('VENUE_REGISTRY');
+
+// Broadcast channels added to (or replacing, by id) the built-in channel dictionary (see channels.js), e.g.
+// [{"id":"xsports","name":"Xsports","aliases":["x sports"],"iconCodes":["5"],"url":"https://xsports.com.br"}]
+export const BROADCAST_CHANNELS = parseJsonArray('BROADCAST_CHANNELS');
+
+// Clubs to sync, as a JSON array of team profiles replacing the built-in Palmeiras profile (see teams.js), e.g.
+// [{"id":"palmeiras"},{"id":"santos","name":"Santos","sources":["api-football"],"apiFootballTeamIds":{"principal":128},
+//   "homeVenues":["vila belmiro"],"calendars":{"google":"santos@group.calendar.google.com"}}]
+export const TEAM_PROFILES = parseJsonArray('TEAM_PROFILES');
+
+// Google Calendar color id of decisive games (finals and second legs), "" to keep the calendar color
+// (1 lavender, 2 sage, 3 grape, 4 flamingo, 5 banana, 6 tangerine, 7 peacock, 8 graphite, 9 blueberry, 10 basil, 11 tomato)
+export const DECISIVE_EVENT_COLOR = process.env.DECISIVE_EVENT_COLOR ?? '11';
+
+// Language of the event titles and descriptions (see templates.js): 'pt-BR' or 'en'
+export const EVENT_LOCALE = process.env.EVENT_LOCALE || 'pt-BR';
+// Templates replacing the ones of the locale: {placeholders} and [optional groups], dropped when one of
+// their placeholders is empty; description lines are separated by "\n", e.g.
+// EVENT_SUMMARY_TEMPLATE="{venueIcon} {home} x {away}[ ({stage})]"
+export const EVENT_SUMMARY_TEMPLATE = process.env.EVENT_SUMMARY_TEMPLATE || null;
+export const EVENT_RESULT_SUMMARY_TEMPLATE = process.env.EVENT_RESULT_SUMMARY_TEMPLATE || null;
+export const EVENT_DESCRIPTION_TEMPLATE = process.env.EVENT_DESCRIPTION_TEMPLATE || null;
+
+// Event length from kickoff, in minutes
+export const EVENT_DURATION_MINUTES = parseInt(process.env.EVENT_DURATION_MINUTES || '120', 10);
+// Event lengths of some games, as a JSON array of rules (the first one matching wins), e.g. longer
+// knockout games that can go to extra time and penalties:
+// [{"competition":"copa do brasil","knockout":true,"minutes":165},{"decisive":true,"minutes":165}]
+export const EVENT_DURATIONS = parseJsonArray('EVENT_DURATIONS');
+// Reminders of events with a kickoff time, as "method:minutes" pairs ('popup' or 'email'), "" for none
+export const EVENT_REMINDERS = process.env.EVENT_REMINDERS ?? 'popup:60,popup:15';
+// Address iCalendar email alarms are sent to (CalDAV and ICS feed; Google Calendar emails the calendar owner).
+// Unset: email reminders are display alarms there
+export const EVENT_REMINDER_EMAIL = process.env.EVENT_REMINDER_EMAIL || null;
+
+// Fixture news notifications (new games, kickoff / venue / broadcast changes), as a JSON array of
+// channels (see notifications/index.js), e.g.
+// [{"type":"slack","url":"https://hooks.slack.com/services/..."},{"type":"webhook","url":"http://localhost:9000/hook","events":["added","kickoff"]},
+//   {"type":"email","to":["torcida@example.com"],"teams":["palmeiras"],"squads":["principal"]}]
+export const NOTIFICATION_CHANNELS = parseJsonArray('NOTIFICATION_CHANNELS');
+
+// SMTP server of the email notification channel (port 465 / SMTP_SECURE=true: implicit TLS,
+// otherwise STARTTLS when the server offers it)
+export const SMTP_HOST = process.env.SMTP_HOST;
+export const SMTP_PORT = parseInt(process.env.SMTP_PORT || '587', 10);
+export const SMTP_SECURE = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : SMTP_PORT === 465;
+export const SMTP_USERNAME = process.env.SMTP_USERNAME;
+export const SMTP_PASSWORD = process.env.SMTP_PASSWORD;
+// Send the credentials over a connection without TLS (only for local sinks such as Mailpit)
+export const SMTP_ALLOW_INSECURE_AUTH = process.env.SMTP_ALLOW_INSECURE_AUTH === 'true';
+export const SMTP_FROM = process.env.SMTP_FROM || 'palmeiras-calendar-sync@localhost';
+
+// Finished matches from the last N days get their final score written to the existing event (0 disables)
+export const RESULTS_LOOKBACK_DAYS = parseInt(process.env.RESULTS_LOOKBACK_DAYS || '3', 10);
+
+// Archive every scraped page (URL, status, headers, body) per run under DATA_DIR/captures,
+// so parser problems can be replayed offline with `bun run replay`
+export const HTML_RECORDING = process.env.HTML_RECORDING === 'true';
+
+// What to do with future synced events whose fixture disappeared from the sources:
+// 'mark' (prefix the title), 'delete', 'archive' (move to ORPHAN_ARCHIVE_CALENDAR_ID) or 'ignore'
+export const ORPHAN_POLICY = (process.env.ORPHAN_POLICY || 'mark').toLowerCase();
+export const ORPHAN_ARCHIVE_CALENDAR_ID = process.env.ORPHAN_ARCHIVE_CALENDAR_ID
+  ? decodeCalendarId(process.env.ORPHAN_ARCHIVE_CALENDAR_ID)
+  : null;
+
+// Safety threshold: never touch orphans when the run found fewer fixtures than this,
+// or when more than this share of the existing synced events would be affected
+export const ORPHAN_MIN_FIXTURES = parseInt(process.env.ORPHAN_MIN_FIXTURES || '1', 10);
+export const ORPHAN_MAX_RATIO = parseFloat(process.env.ORPHAN_MAX_RATIO || '0.5');
+
+// Calendar targets to sync (comma-separated): 'google', 'caldav'
+// Default: every target that is configured
+export const CALENDAR_TARGETS = process.env.CALENDAR_TARGETS
+  ? process.env.CALENDAR_TARGETS.split(',').map((id) => id.trim()).filter(Boolean)
+  : null;
+
+// CalDAV collection (Nextcloud, Radicale, iCloud-style servers)
+export const CALDAV_URL = process.env.CALDAV_URL;
+export const CALDAV_USERNAME = process.env.CALDAV_USERNAME;
+export const CALDAV_PASSWORD = process.env.CALDAV_PASSWORD;
+export const CALDAV_ARCHIVE_URL = process.env.CALDAV_ARCHIVE_URL;
+
+// HTTP auth: bearer tokens for the admin (sync, diagnostics) and read-only (status, history) roles.
+// Auth is disabled when neither token is set.
+export const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+export const READ_TOKEN = process.env.READ_TOKEN || null;
+// Secret used to sign dashboard session cookies (default: derived from the tokens)
+export const SESSION_SECRET = process.env.SESSION_SECRET || null;
+export const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '168', 10);
+// Failed dashboard logins allowed per client address before it has to wait (doubling delays, up to 15 minutes)
+export const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10);
+// Behind a reverse proxy: take the client address from X-Forwarded-For (otherwise it can be spoofed)
+export const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+// Endpoints that stay public when auth is enabled (comma-separated): 'health', 'status', 'feed'
+export const AUTH_PUBLIC_ENDPOINTS = (process.env.AUTH_PUBLIC_ENDPOINTS ?? 'health,feed')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
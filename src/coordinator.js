@@ -0,0 +1,162 @@
+/**
+ * Sync coordinator
+ *
+ * Single entry point for starting sync runs (cron, dashboard, force-sync), so
+ * two runs never race on the calendar. An in-process lock covers requests made
+ * to this process and a lock file in DATA_DIR covers other processes sharing
+ * the same data directory (e.g. old and new container during a deploy).
+ *
+ * Requests that arrive while a run is in progress are coalesced into it
+ * (SYNC_OVERLAP_POLICY=coalesce, default) or queued as a single follow-up run
+ * that all later requests join (SYNC_OVERLAP_POLICY=queue).
+ */
+
+import { logger } from './logger.js';
+import { sync } from './sync.js';
+import { saveRunStatus, acquireSyncLock, releaseSyncLock } from './storage.js';
+
+const SYNC_OVERLAP_POLICY = process.env.SYNC_OVERLAP_POLICY === 'queue' ? 'queue' : 'coalesce';
+
+/** @type {{runId: string, trigger: string, startTime: string, promise: Promise<Object>}|null} */
+let current = null;
+
+/** @type {{runId: string, triggers: string[], promise: Promise<Object>, resolve: Function, reject: Function}|null} */
+let pending = null;
+
+let lastRunTimestamp = 0;
+
+/**
+ * @returns {string} Unique run id, even for requests made in the same millisecond
+ */
+function createRunId() {
+  lastRunTimestamp = Math.max(Date.now(), lastRunTimestamp + 1);
+  return `sync-${lastRunTimestamp}`;
+}
+
+/**
+ * Error for runs that could not start because another process holds the lock file
+ * @param {Object|null} holder - Lock file content
+ * @returns {Error}
+ */
+function createLockedError(holder) {
+  const error = new Error(`Sync ${holder?.runId || '(unknown run)'} is already running in another process`);
+  error.code = 'SYNC_LOCKED';
+  error.runId = holder?.runId || null;
+  return error;
+}
+
+/**
+ * Runs the sync while holding the lock file
+ * @param {string} runId
+ * @param {string} trigger
+ * @param {string} startTime
+ * @returns {Promise<Object>} Run result
+ */
+async function runLocked(runId, trigger, startTime) {
+  try {
+    await saveRunStatus({ runId, status: 'running', trigger, startTime, message: 'Sync in progress...' });
+    return await sync({ runId });
+  } finally {
+    releaseSyncLock(runId);
+  }
+}
+
+/**
+ * Starts a run if the lock file can be taken
+ * @param {string} runId
+ * @param {string} trigger
+ * @returns {{started: boolean, holder?: Object, error?: Error}} error when the lock file could not be
+ *   written (e.g. DATA_DIR not writable or full)
+ */
+function startRun(runId, trigger) {
+  let lock;
+  try {
+    lock = acquireSyncLock(runId);
+  } catch (err) {
+    return { started: false, error: err };
+  }
+  if (!lock.acquired) {
+    return { started: false, holder: lock.holder };
+  }
+
+  const startTime = new Date().toISOString();
+  const promise = runLocked(runId, trigger, startTime).finally(() => {
+    current = null;
+    startPendingRun();
+  });
+  // Callers that do not wait for the result must not cause unhandled rejections
+  promise.catch(() => {});
+
+  current = { runId, trigger, startTime, promise };
+  logger.info(`[COORDINATOR] Started sync ${runId} (${trigger})`);
+  return { started: true };
+}
+
+/**
+ * Starts the queued follow-up run, if any, once the current run finished
+ */
+function startPendingRun() {
+  if (!pending) return;
+  const next = pending;
+  pending = null;
+
+  const { started, holder, error } = startRun(next.runId, next.triggers.join(','));
+  if (error) {
+    logger.error(`[COORDINATOR] Queued sync ${next.runId} could not take the sync lock`, error);
+    next.reject(error);
+    return;
+  }
+  if (!started) {
+    logger.warn(`[COORDINATOR] Queued sync ${next.runId} dropped - sync ${holder?.runId} is running in another process`);
+    next.reject(createLockedError(holder));
+    return;
+  }
+  current.promise.then(next.resolve, next.reject);
+}
+
+/**
+ * Requests a sync run
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - What asked for the run (cron, api, force-sync), for logs and run status
+ * @returns {{runId: string|null, status: 'started'|'coalesced'|'queued'|'locked'|'error', promise: Promise<Object>|null, error?: Error}}
+ *   runId is the run that will cover this request; promise resolves with its result
+ *   (null when the run belongs to another process, or could not start: error is the lock file error)
+ */
+export function requestSync({ trigger = 'api' } = {}) {
+  if (current) {
+    if (SYNC_OVERLAP_POLICY === 'queue') {
+      if (!pending) {
+        let resolve;
+        let reject;
+        const promise = new Promise((res, rej) => {
+          resolve = res;
+          reject = rej;
+        });
+        promise.catch(() => {});
+        pending = { runId: createRunId(), triggers: [], promise, resolve, reject };
+        logger.info(`[COORDINATOR] Sync ${current.runId} in progress - queued follow-up run ${pending.runId} (${trigger})`);
+      } else {
+        logger.info(`[COORDINATOR] ${trigger} request joined queued run ${pending.runId}`);
+      }
+      pending.triggers.push(trigger);
+      return { runId: pending.runId, status: 'queued', promise: pending.promise };
+    }
+
+    logger.info(`[COORDINATOR] ${trigger} request coalesced into in-flight sync ${current.runId}`);
+    return { runId: current.runId, status: 'coalesced', promise: current.promise };
+  }
+
+  const runId = createRunId();
+  const { started, holder, error } = startRun(runId, trigger);
+  if (error) {
+    logger.error(`[COORDINATOR] ${trigger} request failed - could not take the sync lock`, error);
+    return { runId, status: 'error', promise: null, error };
+  }
+  if (!started) {
+    logger.warn(`[COORDINATOR] ${trigger} request skipped - sync ${holder?.runId} is running in another process`);
+    return { runId: holder?.runId || null, status: 'locked', promise: null };
+  }
+
+  return { runId, status: 'started', promise: current.promise };
+}
+
@@ -6,7 +6,7 @@
  */
 
 import cron from 'node-cron';
-import { sync } from './sync.js';
+import { requestSync } from './coordinator.js';
 import { logger } from './logger.js';
 
 /**
@@ -23,7 +23,19 @@ export function startCronScheduler() {
   cron.schedule(cronSchedule, async () => {
     logger.info('⏰ Scheduled sync triggered');
     try {
-      await sync();
+      const { runId, status, promise, error } = requestSync({ trigger: 'cron' });
+      if (status === 'error') {
+        throw error;
+      }
+      if (status === 'locked') {
+        logger.info(`⏭️ Scheduled sync skipped - sync ${runId} is running in another process`);
+        return;
+      }
+      if (status !== 'started') {
+        // The in-flight (or queued) run already covers this tick
+        return;
+      }
+      await promise;
       logger.info('✅ Scheduled sync completed successfully');
     } catch (err) {
       logger.error('❌ Scheduled sync failed', err);
@@ -0,0 +1,250 @@
+/**
+ * Page diagnostics
+ *
+ * Backs GET /api/test-fetch: fetches one of the pages scraped by the enabled
+ * retrieval sources and reports what the source parser finds in it. Only
+ * allowlisted pages can be fetched, every host (including redirect targets) must
+ * resolve to public addresses and the response body is capped, so the endpoint
+ * cannot be used as a proxy into the hosting network.
+ */
+
+import { lookup } from 'dns/promises';
+import { isIP } from 'net';
+import { logger } from './logger.js';
+import { getSourcePages } from './retrieval/index.js';
+
+const FETCH_TIMEOUT_MS = 30_000;
+const MAX_REDIRECTS = 3;
+const MAX_RESPONSE_BYTES = 2 * 1024 * 1024;
+const PREVIEW_LENGTH = 500;
+const SAMPLE_MATCHES = 3;
+
+/**
+ * Error with the HTTP status the endpoint should answer with
+ */
+export class DiagnosticError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DiagnosticError';
+    this.status = status;
+  }
+}
+
+/**
+ * @param {string} ip
+ * @returns {boolean} true for private, loopback, link-local, CGNAT, multicast and reserved IPv4 ranges
+ */
+function isPrivateIPv4(ip) {
+  const [a, b, c] = ip.split('.').map(Number);
+  return a === 0
+    || a === 10
+    || a === 127
+    || a >= 224
+    || (a === 100 && b >= 64 && b <= 127)
+    || (a === 169 && b === 254)
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168)
+    || (a === 192 && b === 0 && c === 0)
+    || (a === 198 && (b === 18 || b === 19));
+}
+
+/**
+ * @param {string} ip
+ * @returns {boolean} true for loopback, unspecified, unique-local, link-local, multicast
+ *   and IPv4-mapped/translated private addresses
+ */
+function isPrivateIPv6(ip) {
+  const address = ip.toLowerCase().split('%')[0];
+
+  const embeddedDotted = address.match(/^(?:::ffff:|::|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+  if (embeddedDotted) return isPrivateIPv4(embeddedDotted[1]);
+
+  const embeddedHex = address.match(/^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (embeddedHex) {
+    const high = parseInt(embeddedHex[1], 16);
+    const low = parseInt(embeddedHex[2], 16);
+    return isPrivateIPv4(`${high >> 8}.${high & 0xff}.${low >> 8}.${low & 0xff}`);
+  }
+
+  if (address === '::' || address === '::1') return true;
+  const first = parseInt(address.split(':')[0] || '0', 16);
+  return (first & 0xfe00) === 0xfc00 || (first & 0xffc0) === 0xfe80 || (first & 0xff00) === 0xff00;
+}
+
+/**
+ * @param {string} ip
+ * @returns {boolean}
+ */
+export function isPrivateAddress(ip) {
+  return isIP(ip) === 4 ? isPrivateIPv4(ip) : isPrivateIPv6(ip);
+}
+
+/**
+ * Resolves a host and rejects it if any of its addresses is not public
+ * @param {string} hostname
+ * @returns {Promise<string[]>} Resolved addresses
+ */
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = isIP(host)
+    ? [host]
+    : (await lookup(host, { all: true, verbatim: true })).map((entry) => entry.address);
+
+  const blocked = addresses.filter(isPrivateAddress);
+  if (addresses.length === 0 || blocked.length > 0) {
+    throw new DiagnosticError(`Host ${hostname} resolves to a non-public address (${blocked.join(', ') || 'none'})`, 403);
+  }
+  return addresses;
+}
+
+/**
+ * Reads a response body, stopping at MAX_RESPONSE_BYTES
+ * @param {Response} response
+ * @returns {Promise<{text: string, bytes: number, truncated: boolean}>}
+ */
+async function readLimitedBody(response) {
+  const declared = parseInt(response.headers.get('content-length') || '0', 10);
+  if (declared > MAX_RESPONSE_BYTES) {
+    await response.body?.cancel();
+    return { text: '', bytes: declared, truncated: true };
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let bytes = 0;
+  let truncated = false;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (bytes + value.length > MAX_RESPONSE_BYTES) {
+      chunks.push(value.subarray(0, MAX_RESPONSE_BYTES - bytes));
+      bytes = MAX_RESPONSE_BYTES;
+      truncated = true;
+      await reader.cancel();
+      break;
+    }
+    chunks.push(value);
+    bytes += value.length;
+  }
+
+  return { text: new TextDecoder().decode(Buffer.concat(chunks)), bytes, truncated };
+}
+
+/**
+ * Fetches a page following at most MAX_REDIRECTS redirects, each checked against
+ * the allowed hosts and resolved to public addresses before connecting
+ * @param {string} url
+ * @param {Object} headers
+ * @param {Set<string>} allowedHosts
+ * @returns {Promise<{response: Response, finalUrl: string}>}
+ */
+async function fetchPublicPage(url, headers, allowedHosts) {
+  let currentUrl = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const { hostname, protocol } = new URL(currentUrl);
+    if (!['http:', 'https:'].includes(protocol) || !allowedHosts.has(hostname)) {
+      throw new DiagnosticError(`Redirect to ${currentUrl} is not allowed`, 403);
+    }
+    await assertPublicHost(hostname);
+
+    const response = await fetch(currentUrl, {
+      headers,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    });
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      await response.body?.cancel();
+      currentUrl = new URL(location, currentUrl).toString();
+      continue;
+    }
+
+    return { response, finalUrl: currentUrl };
+  }
+
+  throw new DiagnosticError(`Too many redirects for ${url}`, 502);
+}
+
+/**
+ * @param {string} url
+ * @returns {string} URL in canonical form, for allowlist comparison
+ */
+function normalizeUrl(url) {
+  try {
+    return new URL(url).toString();
+  } catch (err) {
+    throw new DiagnosticError(`Invalid URL: ${url}`);
+  }
+}
+
+/**
+ * Fetches an allowlisted source page and runs the source parser on it
+ * @param {string} [requestedUrl] - Page URL (default: first page of the first source)
+ * @returns {Promise<Object>} Structured diagnostic
+ */
+export async function runPageDiagnostic(requestedUrl) {
+  const pages = await getSourcePages();
+  if (pages.length === 0) {
+    throw new DiagnosticError('No enabled retrieval source scrapes HTML pages', 404);
+  }
+
+  const page = requestedUrl
+    ? pages.find((candidate) => normalizeUrl(candidate.url) === normalizeUrl(requestedUrl))
+    : pages.find((candidate) => new URL(candidate.url).pathname === '/') || pages[0];
+
+  if (!page) {
+    const error = new DiagnosticError(`URL is not a page of an enabled retrieval source: ${requestedUrl}`, 403);
+    error.allowed = pages.map((candidate) => candidate.url);
+    throw error;
+  }
+
+  const allowedHosts = new Set(pages.map((candidate) => new URL(candidate.url).hostname));
+  const start = Date.now();
+  const diagnostic = {
+    url: page.url,
+    source: page.source.id,
+    competition: page.competition,
+  };
+
+  try {
+    const { response, finalUrl } = await fetchPublicPage(page.url, page.source.headers || {}, allowedHosts);
+    const { text, bytes, truncated } = await readLimitedBody(response);
+
+    Object.assign(diagnostic, {
+      finalUrl,
+      status: response.status,
+      contentType: response.headers.get('content-type'),
+      bytes,
+      truncated,
+    });
+
+    if (!response.ok || truncated) {
+      return {
+        ...diagnostic,
+        success: false,
+        error: truncated ? `Response larger than ${MAX_RESPONSE_BYTES} bytes` : `HTTP ${response.status}`,
+        durationMs: Date.now() - start,
+      };
+    }
+
+    const { matches, stats } = page.source.parsePage ? page.source.parsePage(text, page) : { matches: [] };
+    return {
+      ...diagnostic,
+      success: true,
+      parser: stats,
+      matches: {
+        count: matches.length,
+        sample: matches.slice(0, SAMPLE_MATCHES),
+      },
+      preview: text.substring(0, PREVIEW_LENGTH),
+      durationMs: Date.now() - start,
+    };
+  } catch (err) {
+    if (err instanceof DiagnosticError) throw err;
+    logger.warn(`[DIAGNOSTICS] Failed to fetch ${page.url}: ${err.message}`);
+    return { ...diagnostic, success: false, error: err.message, durationMs: Date.now() - start };
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Parser drift detection
+ *
+ * When ptd.verdao.net changes its markup, the parsers do not fail: they just
+ * find no tables or cannot parse the rows, and the sync "succeeds" with fewer
+ * (or zero) fixtures. This compares the per-page parser counters of a run
+ * (see createPageStats in retrieval/verdao.js) with the same pages in recent
+ * runs and reports pages that used to produce matches and suddenly do not.
+ */
+
+import { logger } from './logger.js';
+import { listRunHistory } from './storage.js';
+
+const DRIFT_HISTORY_RUNS = parseInt(process.env.DRIFT_HISTORY_RUNS || '10', 10);
+// A page must have produced matches in DRIFT_MIN_PRODUCTIVE_RUNS of the runs in the history to be checked
+const DRIFT_MIN_PRODUCTIVE_RUNS = parseInt(process.env.DRIFT_MIN_PRODUCTIVE_RUNS || '3', 10);
+// Share of candidate rows rejected by the parser above which a page is "mostly unparseable"
+const DRIFT_REJECTED_RATIO = parseFloat(process.env.DRIFT_REJECTED_RATIO || '0.5');
+// Share of its usual matches below which a competition page "lost" matches (e.g. a table no longer recognized)
+const DRIFT_COMPETITION_DROP_RATIO = parseFloat(process.env.DRIFT_COMPETITION_DROP_RATIO || '0.5');
+
+/**
+ * @param {Object[]} sources - Per-source retrieval report (retrieveMatches)
+ * @returns {Object[]} Parsed page entries, tagged with their source id
+ */
+function getParsedPages(sources) {
+  return (sources || []).flatMap((source) =>
+    (source.pages || [])
+      .filter((page) => page.status === 'ok')
+      .map((page) => ({ ...page, source: source.id }))
+  );
+}
+
+/**
+ * @param {Object} stats - Page parser counters
+ * @returns {number} Share of candidate rows rejected by the parser
+ */
+function getRejectedRatio(stats) {
+  return stats.rows > 0 ? stats.rejected / stats.rows : 0;
+}
+
+/**
+ * Competition pages list the whole season of their competition (results included), so the
+ * number of its matches does not drop between runs. The home page lists upcoming games of
+ * several competitions and is not compared: its page competition is not a match competition.
+ * @param {string} competition - Competition of the page
+ * @param {Object[]} productive - Productive runs of the page
+ * @returns {number|null} Average matches of the competition in those runs (null when it has none in some run)
+ */
+function getCompetitionBaseline(competition, productive) {
+  const counts = productive.map((previous) => previous.competitions?.[competition] || 0);
+  if (counts.some((count) => count === 0)) return null;
+  return Math.round((counts.reduce((sum, count) => sum + count, 0) / counts.length) * 10) / 10;
+}
+
+/**
+ * Compares this run's pages with the same pages in previous runs
+ * @param {Object[]} sources - Per-source retrieval report of this run
+ * @param {Object[]} previousRuns - Previous run summaries, newest first
+ * @returns {Object[]} Drift entries: { source, url, competition, reason, current, baseline }
+ */
+export function detectParserDrift(sources, previousRuns) {
+  const drift = [];
+
+  for (const page of getParsedPages(sources)) {
+    const history = previousRuns
+      .flatMap((run) => getParsedPages(run.sources))
+      .filter((previous) => previous.source === page.source && previous.url === page.url);
+
+    // Runs where the page produced matches: a page that broke keeps being reported while it
+    // still has DRIFT_MIN_PRODUCTIVE_RUNS of them in the history
+    const productive = history.filter((previous) => previous.parsed > 0);
+    if (productive.length < DRIFT_MIN_PRODUCTIVE_RUNS) {
+      continue;
+    }
+
+    const baseline = {
+      runs: productive.length,
+      avgParsed: Math.round((productive.reduce((sum, previous) => sum + previous.parsed, 0) / productive.length) * 10) / 10,
+      rejectedRatio: Math.round((productive.reduce((sum, previous) => sum + getRejectedRatio(previous), 0) / productive.length) * 100) / 100,
+    };
+
+    let reason = null;
+    if (page.parsed === 0) {
+      reason = page.tables === 0 ? 'no-tables' : 'no-matches';
+    } else if (getRejectedRatio(page) > DRIFT_REJECTED_RATIO && baseline.rejectedRatio <= DRIFT_REJECTED_RATIO / 2) {
+      reason = 'rows-rejected';
+    } else {
+      const competitionBaseline = getCompetitionBaseline(page.competition, productive);
+      if (competitionBaseline !== null && (page.competitions?.[page.competition] || 0) < competitionBaseline * DRIFT_COMPETITION_DROP_RATIO) {
+        reason = 'competition-dropped';
+        baseline.competitionMatches = competitionBaseline;
+      }
+    }
+    if (!reason) continue;
+
+    drift.push({
+      source: page.source,
+      url: page.url,
+      competition: page.competition,
+      reason,
+      current: {
+        tables: page.tables,
+        rows: page.rows,
+        parsed: page.parsed,
+        rejected: page.rejected,
+        competitions: page.competitions,
+      },
+      baseline,
+    });
+  }
+
+  return drift;
+}
+
+/**
+ * Checks this run's pages against the run history and alerts on parser drift
+ * @param {Object[]} sources - Per-source retrieval report of this run
+ * @returns {Promise<Object[]>} Drift entries (empty when every page looks healthy)
+ */
+export async function checkParserDrift(sources) {
+  const { runs } = await listRunHistory({ limit: DRIFT_HISTORY_RUNS });
+  const drift = detectParserDrift(sources, runs.filter((run) => run.status === 'success'));
+
+  if (drift.length > 0) {
+    const pages = drift.map((entry) => `${entry.competition} (${entry.reason})`).join(', ');
+    const error = new Error(`Parser drift detected on ${drift.length} page(s): ${pages}`);
+    error.name = 'ParserDriftError';
+    error.hint = 'ptd.verdao.net may have changed its markup. Enable HTML_RECORDING and replay the capture to debug the parser.';
+    logger.error('[DRIFT] Parser drift detected', error);
+  }
+
+  return drift;
+}
@@ -0,0 +1,240 @@
+/**
+ * Fixture snapshot
+ *
+ * Keeps the processed fixtures of the latest run in DATA_DIR, so they can be
+ * served without calling any calendar API (e.g. the ICS feed).
+ * Each fixture carries a content hash and a sequence number that is bumped
+ * whenever the fixture changes between runs (iCalendar SEQUENCE semantics).
+ *
+ * Fixtures are also diffed against the previous snapshot: field-level changes
+ * (kickoff, opponent, venue, broadcast) are kept in the fixture's history, shown
+ * in its event description, and appended to the changelog (GET /api/changes).
+ */
+
+import { createHash } from 'crypto';
+import { logger } from './logger.js';
+import { saveFixtureSnapshot, getFixtureSnapshot, appendFixtureChanges } from './storage.js';
+import { getMatchUniqueKey, toSaoPauloDateKey } from './processing.js';
+import { DEFAULT_SQUAD, getMatchSquad } from './squads.js';
+import { isSameClub } from './clubs.js';
+
+/** Match fields that define whether a fixture changed */
+const SNAPSHOT_FIELDS = ['date', 'opponent', 'isHome', 'competition', 'location', 'broadcast'];
+
+/** Match fields tracked in the fixture history and changelog, with their display names */
+export const CHANGE_FIELD_LABELS = {
+  date: 'Data/horário',
+  opponent: 'Adversário',
+  location: 'Local',
+  broadcast: 'Transmissão',
+};
+
+// Changes kept in each fixture's history (the changelog keeps more, see storage.js)
+const FIXTURE_HISTORY_MAX = 10;
+// Keys of the fixtures seen in recent runs, so a fixture missing from one run (e.g. its page
+// failed to load) is not reported as new when it comes back
+const KNOWN_KEYS_MAX = 500;
+
+/**
+ * @param {Match} match
+ * @returns {string}
+ */
+export function hashMatch(match) {
+  const content = SNAPSHOT_FIELDS.map((field) =>
+    match[field] instanceof Date ? match[field].toISOString() : match[field] ?? ''
+  );
+  // Only hashed when set, so fixtures without a score, stage or A/D date keep the hash they had before those existed
+  if (match.score) {
+    content.push(match.score);
+  }
+  if (match.stage) {
+    content.push(match.stage);
+  }
+  if (match.tentative) {
+    content.push({ tentative: true, windowDays: match.windowDays || 1 });
+  }
+  return createHash('sha256').update(JSON.stringify(content)).digest('hex').slice(0, 16);
+}
+
+/**
+ * @param {Match|Object} match - Match, or snapshot match (date as an ISO string)
+ * @param {string} field - One of CHANGE_FIELD_LABELS
+ * @returns {string} Comparable value; A/D dates are their São Paulo day (YYYY-MM-DD), without a time
+ */
+export function getChangeValue(match, field) {
+  if (field !== 'date') return match[field] ?? '';
+
+  const date = new Date(match.date);
+  return match.tentative ? toSaoPauloDateKey(date) : date.toISOString();
+}
+
+/**
+ * @param {Object} before - Snapshot match of the previous run
+ * @param {Match} match
+ * @returns {Array<{field: string, from: string, to: string}>} Tracked fields that changed. An opponent
+ *   renamed by the club directory ("Sao Paulo" → "São Paulo") is the same club, not a change.
+ */
+export function diffFixture(before, match) {
+  return Object.keys(CHANGE_FIELD_LABELS)
+    .map((field) => ({ field, from: getChangeValue(before, field), to: getChangeValue(match, field) }))
+    .filter((change) => (change.field === 'opponent' ? !isSameClub(change.from, change.to) : change.from !== change.to));
+}
+
+/**
+ * Previous entry of a fixture whose key changed because it moved to another day: the only
+ * vanished, unfinished entry with the same team, squad, opponent and competition
+ * @param {Match} match
+ * @param {Object[]} vanished - Previous entries whose key is not in this run
+ * @returns {Object|null}
+ */
+function findMovedEntry(match, vanished) {
+  const candidates = vanished.filter(({ match: before }) =>
+    !before.score &&
+    before.team === match.team &&
+    getMatchSquad(before) === getMatchSquad(match) &&
+    isSameClub(before.opponent, match.opponent) &&
+    before.competition === match.competition
+  );
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Builds the new snapshot entries, carrying sequence numbers and fixture history over from the
+ * previous snapshot. The changes found in this run are added to the history with `at` = now.
+ * @param {Match[]} matches - Processed matches of this run
+ * @param {Object|null} previous - Previous snapshot
+ * @param {string} [now] - Timestamp of this run
+ * @returns {Object[]} Snapshot entries
+ */
+export function buildSnapshotEntries(matches, previous, now = new Date().toISOString()) {
+  const previousByKey = new Map((previous?.fixtures || []).map((entry) => [entry.key, entry]));
+  const keys = new Set(matches.map(getMatchUniqueKey));
+  const vanished = (previous?.fixtures || []).filter((entry) => !keys.has(entry.key));
+
+  return matches.map((match) => {
+    const key = getMatchUniqueKey(match);
+    const hash = hashMatch(match);
+    let before = previousByKey.get(key);
+    if (!before) {
+      before = findMovedEntry(match, vanished);
+      if (before) vanished.splice(vanished.indexOf(before), 1);
+    }
+    const changed = !before || before.hash !== hash;
+    const changes = changed && before ? diffFixture(before.match, match).map((change) => ({ ...change, at: now })) : [];
+    const history = [...(before?.match.changes || []), ...changes].slice(-FIXTURE_HISTORY_MAX);
+
+    return {
+      key,
+      hash,
+      sequence: before ? before.sequence + (changed ? 1 : 0) : 0,
+      createdAt: before?.createdAt || now,
+      updatedAt: changed ? now : before.updatedAt,
+      match: { ...match, date: match.date.toISOString(), ...(history.length > 0 && { changes: history }) },
+    };
+  });
+}
+
+/**
+ * @param {Object[]} entries - Snapshot entries
+ * @param {string} at - Timestamp of the run
+ * @param {string} [runId]
+ * @returns {Object[]} Changelog entries of the changes found in that run
+ */
+function getChangelogEntries(entries, at, runId) {
+  return entries.flatMap(({ key, match }) =>
+    (match.changes || [])
+      .filter((change) => change.at === at)
+      .map((change) => ({
+        ...(runId && { runId }),
+        key,
+        ...(match.team && { team: match.team }),
+        ...(getMatchSquad(match) !== DEFAULT_SQUAD && { squad: getMatchSquad(match) }),
+        opponent: match.opponent,
+        competition: match.competition,
+        ...change,
+      }))
+  );
+}
+
+/**
+ * Replaces the stored snapshot with this run's fixtures and appends their changes to the changelog
+ * @param {Match[]} matches - Processed matches of this run
+ * @param {Object} [options]
+ * @param {string} [options.runId] - Run that found the changes
+ * @param {boolean} [options.persist] - Save the snapshot and changelog (false for dry runs)
+ * @returns {Promise<{snapshot: Object, changes: Object[], added: Object[]}>} The new snapshot, the
+ *   changes found and the snapshot entries of the upcoming fixtures never seen before
+ */
+export async function updateFixtureSnapshot(matches, { runId, persist = true } = {}) {
+  const previous = await getFixtureSnapshot();
+  const now = new Date().toISOString();
+  const fixtures = buildSnapshotEntries(matches, previous, now);
+  const knownKeys = new Set(previous?.knownKeys || (previous?.fixtures || []).map((entry) => entry.key));
+  const snapshot = {
+    updatedAt: now,
+    fixtures,
+    knownKeys: [...new Set([...fixtures.map((entry) => entry.key), ...knownKeys])].slice(0, KNOWN_KEYS_MAX),
+  };
+  // Nothing to compare with on the first run
+  const changes = previous ? getChangelogEntries(fixtures, now, runId) : [];
+  const added = previous
+    ? fixtures.filter((entry) => entry.createdAt === now && !entry.match.score && !knownKeys.has(entry.key))
+    : [];
+
+  if (persist) {
+    await saveFixtureSnapshot(snapshot);
+    if (changes.length > 0) {
+      changes.forEach((change) => {
+        logger.info(`[FIXTURES] ${change.opponent} (${change.competition}): ${CHANGE_FIELD_LABELS[change.field]} ${formatChangeValue(change.field, change.from)} → ${formatChangeValue(change.field, change.to)}`);
+      });
+      await appendFixtureChanges(changes);
+    }
+    added.forEach((entry) => {
+      logger.info(`[FIXTURES] New fixture: ${entry.match.opponent} (${entry.match.competition})`);
+    });
+  }
+  return { snapshot, changes, added };
+}
+
+/**
+ * @param {Match[]} matches
+ * @param {Object} snapshot - See updateFixtureSnapshot
+ * @returns {Match[]} The matches, with the history of the fixture (`changes`) when it has one
+ */
+export function withFixtureHistory(matches, snapshot) {
+  const historyByKey = new Map(snapshot.fixtures.map((entry) => [entry.key, entry.match.changes]));
+  return matches.map((match) => {
+    const changes = historyByKey.get(getMatchUniqueKey(match));
+    return changes ? { ...match, changes } : match;
+  });
+}
+
+/**
+ * @param {string} field - One of CHANGE_FIELD_LABELS
+ * @param {string} value - Value recorded in a change
+ * @param {Object} [options] - Event locale (see templates.js)
+ * @param {string} [options.dateLocale]
+ * @param {string} [options.tentativeMarker] - Marker of dates without kickoff time
+ * @returns {string} Display value, e.g. "18/11/2026 21:30" or "18/11/2026 (A/D)" for dates
+ */
+export function formatChangeValue(field, value, { dateLocale = 'pt-BR', tentativeMarker = 'A/D' } = {}) {
+  if (!value) return '-';
+  if (field !== 'date') return value;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `${value.split('-').reverse().join('/')} (${tentativeMarker})`;
+  }
+  return new Date(value).toLocaleString(dateLocale, { timeZone: 'America/Sao_Paulo', dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * @returns {Promise<Object[]>} Snapshot entries of the latest run, with `match.date` as a Date
+ */
+export async function getSnapshotFixtures() {
+  const snapshot = await getFixtureSnapshot();
+
+  return (snapshot?.fixtures || []).map((entry) => ({
+    ...entry,
+    match: { ...entry.match, date: new Date(entry.match.date) },
+  }));
+}
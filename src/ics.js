@@ -0,0 +1,394 @@
+/**
+ * iCalendar (RFC 5545) rendering
+ *
+ * Renders the same event resources built for Google Calendar (matchToCalendarEvent)
+ * as VEVENTs, so subscribers of the ICS feed see exactly what is synced to Google.
+ * Also parses VEVENTs back into event resources, for the CalDAV target.
+ */
+
+import { matchToCalendarEvent } from './calendar.js';
+import { getMatchSquad } from './squads.js';
+import { DEFAULT_TEAM, getMatchTeam } from './teams.js';
+import { normalizeText } from './text.js';
+import { EVENT_REMINDER_EMAIL } from './config.js';
+import { logger } from './logger.js';
+
+/** Google Calendar event colors → CSS color names (RFC 7986 COLOR) */
+const EVENT_COLORS = {
+  1: 'lavender',
+  2: 'darkseagreen',
+  3: 'darkorchid',
+  4: 'lightcoral',
+  5: 'gold',
+  6: 'orangered',
+  7: 'darkturquoise',
+  8: 'gray',
+  9: 'royalblue',
+  10: 'green',
+  11: 'tomato',
+};
+
+const PRODID = '-//palmeiras-calendar-sync//Palmeiras Fixtures//PT';
+const UID_DOMAIN = 'palmeiras-calendar-sync';
+
+/** extendedProperties.private keys are stored as X-PALMEIRAS-<KEY> properties */
+const PRIVATE_PROPERTY_PREFIX = 'X-PALMEIRAS-';
+// Marks the display alarms written for email reminders, so they read back as email reminders
+const REMINDER_METHOD_PROPERTY = `${PRIVATE_PROPERTY_PREFIX}REMINDER-METHOD`;
+
+if (EVENT_REMINDER_EMAIL && !/^[^\s@]+@[^\s@]+$/.test(EVENT_REMINDER_EMAIL)) {
+  throw new Error(`Invalid EVENT_REMINDER_EMAIL "${EVENT_REMINDER_EMAIL}": expected an email address`);
+}
+
+/**
+ * Escapes a TEXT value (RFC 5545 §3.3.11)
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * @param {string} value - Escaped TEXT value
+ * @returns {string}
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Folds a content line at 75 octets without splitting UTF-8 characters (RFC 5545 §3.1)
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * @param {Date|string} date
+ * @returns {string} UTC DATE-TIME, e.g. 20260318T220000Z
+ */
+export function formatICSDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * @param {string} name - DTSTART or DTEND
+ * @param {Object} time - Event start/end ({ dateTime } or all-day { date })
+ * @returns {string} Content line
+ */
+function formatEventTime(name, time) {
+  if (time.date) {
+    return `${name};VALUE=DATE:${time.date.replace(/-/g, '')}`;
+  }
+  return `${name}:${formatICSDate(time.dateTime)}`;
+}
+
+/**
+ * @param {number} utcMs - Wall-clock time written as if it were UTC
+ * @param {string} timeZone - IANA zone (throws a RangeError for an unknown one)
+ * @returns {number} The UTC instant of that wall-clock time in timeZone
+ */
+function zonedTimeToUTC(utcMs, timeZone) {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  });
+  const offsetAt = (instant) => {
+    const parts = Object.fromEntries(format.formatToParts(instant).map(({ type, value }) => [type, Number(value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+  // Second pass picks the offset in force at the result (DST changes between the two instants)
+  const guess = utcMs - offsetAt(utcMs);
+  return utcMs - offsetAt(guess);
+}
+
+/**
+ * Parses a DTSTART/DTEND value. TZID times are converted from their zone; floating times
+ * (no Z, no TZID) are read in America/Sao_Paulo, the feed's X-WR-TIMEZONE.
+ * @param {string} value
+ * @param {string} [tzid] - TZID parameter of the property
+ * @returns {Object} { dateTime } or { date }
+ */
+function parseEventTime(value, tzid) {
+  const dateOnly = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateOnly) {
+    return { date: `${dateOnly[1]}-${dateOnly[2]}-${dateOnly[3]}` };
+  }
+
+  const dateTime = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!dateTime) return null;
+  const [year, month, day, hour, minute, second] = dateTime.slice(1, 7).map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (dateTime[7]) {
+    return { dateTime: new Date(wallClock).toISOString() };
+  }
+
+  const timeZone = tzid || 'America/Sao_Paulo';
+  try {
+    return { dateTime: new Date(zonedTimeToUTC(wallClock, timeZone)).toISOString() };
+  } catch (err) {
+    logger.warn(`[ICS] Unknown TZID "${timeZone}" - reading ${value} as UTC`);
+    return { dateTime: new Date(wallClock).toISOString() };
+  }
+}
+
+/**
+ * @param {string} value - Alarm TRIGGER duration, e.g. -PT15M or -P1D
+ * @returns {number|null} Minutes before the event
+ */
+function parseTriggerMinutes(value) {
+  const match = value.match(/^-?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [weeks, days, hours, minutes] = match.slice(1, 5).map((part) => Number(part || 0));
+  return weeks * 10080 + days * 1440 + hours * 60 + minutes;
+}
+
+/**
+ * @param {string} key - extendedProperties.private key, e.g. contentHash
+ * @returns {string} e.g. X-PALMEIRAS-CONTENT-HASH
+ */
+function toPrivatePropertyName(key) {
+  return PRIVATE_PROPERTY_PREFIX + key.replace(/[A-Z]/g, (char) => `-${char}`).toUpperCase();
+}
+
+/**
+ * @param {string} name - e.g. X-PALMEIRAS-CONTENT-HASH
+ * @returns {string} e.g. contentHash
+ */
+function fromPrivatePropertyName(name) {
+  return name
+    .slice(PRIVATE_PROPERTY_PREFIX.length)
+    .toLowerCase()
+    .replace(/-([a-z])/g, (_match, char) => char.toUpperCase());
+}
+
+/**
+ * @param {string} key - Fixture unique key
+ * @returns {string}
+ */
+export function fixtureUid(key) {
+  return `${key}@${UID_DOMAIN}`;
+}
+
+/**
+ * Converts a calendar event resource to VEVENT content lines
+ * @param {Object} event - Event resource built by matchToCalendarEvent
+ * @param {Object} options
+ * @param {string} options.uid
+ * @param {number} [options.sequence]
+ * @param {Date|string} [options.lastModified]
+ * @param {boolean} [options.includePrivate] - Also write extendedProperties.private as X- properties
+ * @returns {string[]}
+ */
+export function eventToVEvent(event, { uid, sequence = 0, lastModified, includePrivate = false } = {}) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatICSDate(lastModified || new Date())}`,
+    `SEQUENCE:${sequence}`,
+    formatEventTime('DTSTART', event.start),
+    formatEventTime('DTEND', event.end),
+    `SUMMARY:${escapeText(event.summary)}`,
+    `DESCRIPTION:${escapeText(event.description)}`,
+  ];
+
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (lastModified) {
+    lines.push(`LAST-MODIFIED:${formatICSDate(lastModified)}`);
+  }
+  lines.push(`STATUS:${(event.status || 'confirmed').toUpperCase()}`);
+  if (EVENT_COLORS[event.colorId]) {
+    lines.push(`COLOR:${EVENT_COLORS[event.colorId]}`);
+  }
+
+  if (includePrivate) {
+    for (const [key, value] of Object.entries(event.extendedProperties?.private || {})) {
+      lines.push(`${toPrivatePropertyName(key)}:${escapeText(value)}`);
+    }
+  }
+
+  for (const reminder of event.reminders?.overrides || []) {
+    let action = ['ACTION:DISPLAY'];
+    if (reminder.method === 'email') {
+      // Email alarms need a subject and an attendee of their own (RFC 5545 3.6.6); whether they
+      // are sent depends on the server or client
+      action = EVENT_REMINDER_EMAIL
+        ? ['ACTION:EMAIL', `SUMMARY:${escapeText(event.summary)}`, `ATTENDEE:mailto:${EVENT_REMINDER_EMAIL}`]
+        : ['ACTION:DISPLAY', `${REMINDER_METHOD_PROPERTY}:EMAIL`];
+    }
+    lines.push(
+      'BEGIN:VALARM',
+      ...action,
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      `TRIGGER:-PT${reminder.minutes}M`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Wraps VEVENT lines in a VCALENDAR and serializes it
+ * @param {string[]} lines - Content lines between BEGIN:VCALENDAR and END:VCALENDAR
+ * @returns {string}
+ */
+function serializeCalendar(lines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, ...lines, 'END:VCALENDAR']
+    .map(foldLine)
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Serializes a single event as an iCalendar object (one CalDAV resource)
+ * @param {Object} event - Event resource
+ * @param {Object} options - See eventToVEvent
+ * @returns {string}
+ */
+export function renderEventObject(event, options) {
+  return serializeCalendar(eventToVEvent(event, { ...options, includePrivate: true }));
+}
+
+/**
+ * Parses the VEVENTs of an iCalendar object into event resources
+ * (same shape as Google Calendar events, X-PALMEIRAS-* properties in extendedProperties.private)
+ * @param {string} text - iCalendar data
+ * @returns {Object[]}
+ */
+export function parseVEvents(text) {
+  const events = [];
+  let event = null;
+  let alarm = null;
+
+  for (const line of text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const [property, ...params] = line.slice(0, separator).split(';');
+    const name = property.toUpperCase();
+    // TZID value as written (optionally quoted)
+    const tzid = params.find((param) => /^TZID=/i.test(param))?.slice(5).replace(/^"|"$/g, '');
+    const value = line.slice(separator + 1);
+
+    if (name === 'BEGIN' && value === 'VEVENT') {
+      event = {
+        reminders: { useDefault: false, overrides: [] },
+        extendedProperties: { private: {} },
+      };
+    } else if (name === 'END' && value === 'VEVENT' && event) {
+      events.push(event);
+      event = null;
+    } else if (!event) {
+      continue;
+    } else if (name === 'BEGIN' && value === 'VALARM') {
+      alarm = { method: 'popup' };
+    } else if (name === 'END' && value === 'VALARM') {
+      if (alarm.minutes !== null && alarm.minutes !== undefined) {
+        event.reminders.overrides.push({ method: alarm.method, minutes: alarm.minutes });
+      }
+      alarm = null;
+    } else if (alarm) {
+      if (name === 'TRIGGER') alarm.minutes = parseTriggerMinutes(value);
+      if ((name === 'ACTION' || name === REMINDER_METHOD_PROPERTY) && value.toUpperCase() === 'EMAIL') alarm.method = 'email';
+    } else if (name === 'UID') {
+      event.uid = value;
+    } else if (name === 'SUMMARY' || name === 'DESCRIPTION' || name === 'LOCATION') {
+      event[name.toLowerCase()] = unescapeText(value);
+    } else if (name === 'DTSTART') {
+      event.start = parseEventTime(value, tzid);
+    } else if (name === 'DTEND') {
+      event.end = parseEventTime(value, tzid);
+    } else if (name === 'STATUS') {
+      event.status = value.toLowerCase();
+    } else if (name === 'COLOR') {
+      const colorId = Object.keys(EVENT_COLORS).find((id) => EVENT_COLORS[id] === value.toLowerCase());
+      if (colorId) event.colorId = colorId;
+    } else if (name === 'SEQUENCE') {
+      event.sequence = parseInt(value, 10);
+    } else if (name.startsWith(PRIVATE_PROPERTY_PREFIX)) {
+      event.extendedProperties.private[fromPrivatePropertyName(name)] = unescapeText(value);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Renders snapshot fixtures as an iCalendar feed
+ * @param {Object[]} fixtures - Snapshot entries (see fixtures.js)
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar display name
+ * @returns {string}
+ */
+export function renderCalendarFeed(fixtures, { name = `${DEFAULT_TEAM.name} ⚽` } = {}) {
+  const lines = [
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-WR-TIMEZONE:America/Sao_Paulo',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT30M',
+    'X-PUBLISHED-TTL:PT30M',
+  ];
+
+  for (const fixture of fixtures) {
+    const event = matchToCalendarEvent(fixture.match);
+    lines.push(...eventToVEvent(event, {
+      uid: fixtureUid(fixture.key),
+      sequence: fixture.sequence,
+      lastModified: fixture.updatedAt,
+    }));
+  }
+
+  return serializeCalendar(lines);
+}
+
+/**
+ * Applies feed query filters: ?competition= (substring, accent-insensitive), ?home=true|false,
+ * ?squad= (comma-separated squad ids, e.g. "principal,feminino") and ?team= (comma-separated team profile ids)
+ * @param {Object[]} fixtures - Snapshot entries
+ * @param {URLSearchParams} params
+ * @returns {Object[]}
+ */
+export function filterFeedFixtures(fixtures, params) {
+  const competition = params.get('competition');
+  const home = params.get('home');
+  const squads = params.get('squad')?.split(',').map((squad) => squad.trim()).filter(Boolean);
+  const teams = params.get('team')?.split(',').map((team) => team.trim()).filter(Boolean);
+
+  return fixtures.filter(({ match }) => {
+    if (squads?.length > 0 && !squads.includes(getMatchSquad(match))) return false;
+    if (teams?.length > 0 && !teams.includes(getMatchTeam(match).id)) return false;
+    if (competition && !normalizeText(match.competition).includes(normalizeText(competition))) {
+      return false;
+    }
+    if (home === 'true' && !match.isHome) return false;
+    if (home === 'false' && match.isHome) return false;
+    return true;
+  });
+}
@@ -0,0 +1,56 @@
+/**
+ * Email notifier
+ *
+ * Sends the news digest as a plain text email through the SMTP server in
+ * SMTP_HOST / SMTP_PORT (see smtp.js), one message per sync.
+ */
+
+import {
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USERNAME,
+  SMTP_PASSWORD,
+  SMTP_ALLOW_INSECURE_AUTH,
+  SMTP_FROM,
+} from '../config.js';
+import { sendMail } from './smtp.js';
+
+/**
+ * @param {Object} channel - NOTIFICATION_CHANNELS entry
+ * @param {string} channel.id
+ * @param {string|string[]} channel.to - Recipients
+ * @param {string} [channel.from] - Sender (default: SMTP_FROM)
+ * @param {string} [channel.name]
+ * @returns {Notifier}
+ */
+export function createEmailNotifier({ id, to, from = SMTP_FROM, name }) {
+  const recipients = [to].flat().filter(Boolean);
+  if (recipients.length === 0) {
+    throw new Error('to (recipient list) is required');
+  }
+  if (!SMTP_HOST) {
+    throw new Error('SMTP_HOST must be set for email notifications');
+  }
+
+  return {
+    id,
+    type: 'email',
+    name: name || `Email (${recipients.join(', ')})`,
+
+    async send(digest) {
+      await sendMail({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        username: SMTP_USERNAME,
+        password: SMTP_PASSWORD,
+        allowInsecureAuth: SMTP_ALLOW_INSECURE_AUTH,
+        from,
+        to: recipients,
+        subject: digest.subject,
+        text: digest.text,
+      });
+    },
+  };
+}
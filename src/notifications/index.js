@@ -0,0 +1,294 @@
+/**
+ * Fixture news notifications
+ *
+ * Tells people about the fixture news found by diffing a run against the previous
+ * one (see fixtures.js): a new game announced, its kickoff, venue or opponent
+ * changed, its broadcast confirmed. Notifiers (Slack, generic JSON webhook, SMTP
+ * email) come from NOTIFICATION_CHANNELS, each with its own filters, and a sync
+ * sends each of them one digest with all the news it lets through.
+ */
+
+import { logger, ensureError } from '../logger.js';
+import { NOTIFICATION_CHANNELS } from '../config.js';
+import { getChangeValue, formatChangeValue } from '../fixtures.js';
+import { DEFAULT_TEAM, getTeam } from '../teams.js';
+import { DEFAULT_SQUAD, getMatchSquad, getSquadTitlePrefix } from '../squads.js';
+import { createSlackNotifier } from './slack.js';
+import { createWebhookNotifier } from './webhook.js';
+import { createEmailNotifier } from './email.js';
+
+/** News kinds: a new fixture, or a change of one of its fields */
+export const NEWS_KINDS = ['added', 'kickoff', 'venue', 'broadcast', 'opponent'];
+
+/** Changelog field (see fixtures.js) → news kind */
+const FIELD_KINDS = {
+  date: 'kickoff',
+  location: 'venue',
+  broadcast: 'broadcast',
+  opponent: 'opponent',
+};
+
+const NOTIFIER_FACTORIES = {
+  slack: createSlackNotifier,
+  webhook: createWebhookNotifier,
+  email: createEmailNotifier,
+};
+
+// News listed in one digest by default; the rest are counted as "… e mais N"
+const DEFAULT_MAX_ITEMS = 30;
+
+/**
+ * @typedef {Object} FixtureNews
+ * @property {string} kind - One of NEWS_KINDS
+ * @property {string} key - Fixture key
+ * @property {string} [team] - Team profile id, unset for the default team
+ * @property {string} [squad] - Squad, unset for 'principal'
+ * @property {string} title - e.g. "Palmeiras vs Santos"
+ * @property {string} competition
+ * @property {string} date - Kickoff (ISO), or São Paulo day (YYYY-MM-DD) while it is A/D
+ * @property {string} [field] - Changed field (changes only)
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {string} text - One line for the digest, e.g. "⏰ Horário alterado: ..."
+ */
+
+/**
+ * Digest sent to a notifier
+ * @typedef {Object} NewsDigest
+ * @property {string} [runId]
+ * @property {string} subject - e.g. "⚽ Palmeiras: 3 novidades nos jogos"
+ * @property {FixtureNews[]} items - News listed in the digest
+ * @property {number} omitted - News left out (over the notifier's maxItems)
+ * @property {string} text - Plain text digest: subject and one line per news
+ */
+
+/**
+ * Notifier contract: each factory takes its NOTIFICATION_CHANNELS entry
+ * @typedef {Object} Notifier
+ * @property {string} id - e.g. "slack-1"
+ * @property {string} type - "slack", "webhook" or "email"
+ * @property {string} name - Human readable name
+ * @property {(digest: NewsDigest) => Promise<void>} send
+ */
+
+/**
+ * Creates the notifier of a NOTIFICATION_CHANNELS entry
+ * @param {Object} channel
+ * @param {number} idx
+ * @returns {Notifier & {filters: Object, maxItems: number}}
+ */
+function createNotifier(channel, idx) {
+  const label = `Invalid NOTIFICATION_CHANNELS entry #${idx + 1}`;
+  const factory = NOTIFIER_FACTORIES[channel?.type];
+  if (!factory) {
+    throw new Error(`${label}: type must be one of ${Object.keys(NOTIFIER_FACTORIES).join(', ')}`);
+  }
+
+  const events = channel.events || NEWS_KINDS;
+  const unknown = events.filter((kind) => !NEWS_KINDS.includes(kind));
+  if (unknown.length > 0) {
+    throw new Error(`${label}: unknown events ${unknown.join(', ')} (expected ${NEWS_KINDS.join(', ')})`);
+  }
+
+  let notifier;
+  try {
+    notifier = factory({ ...channel, id: channel.id || `${channel.type}-${idx + 1}` });
+  } catch (err) {
+    throw new Error(`${label}: ${err.message}`);
+  }
+
+  return {
+    ...notifier,
+    filters: { events, teams: channel.teams || null, squads: channel.squads || null },
+    maxItems: channel.maxItems || DEFAULT_MAX_ITEMS,
+  };
+}
+
+/** @type {Array<Notifier & {filters: Object, maxItems: number}>} */
+const NOTIFIERS = (NOTIFICATION_CHANNELS || []).map(createNotifier);
+
+/**
+ * @returns {Array<{id: string, type: string, name: string, filters: Object}>} Configured notifiers
+ */
+export function getNotifiers() {
+  return NOTIFIERS.map(({ id, type, name, filters }) => ({ id, type, name, filters }));
+}
+
+/**
+ * @param {Object} match - Snapshot match
+ * @returns {string} e.g. "Palmeiras vs Santos", "[Feminino] Corinthians vs Palmeiras"
+ */
+function formatFixtureTitle(match) {
+  const team = getTeam(match.team).name;
+  const title = match.isHome ? `${team} vs ${match.opponent}` : `${match.opponent} vs ${team}`;
+  const prefix = getSquadTitlePrefix(getMatchSquad(match));
+  return prefix ? `${prefix} ${title}` : title;
+}
+
+/**
+ * @param {FixtureNews} news - Without text
+ * @returns {string} Digest line of the news
+ */
+function formatNewsText(news) {
+  const fixture = `${news.title} (${news.competition})`;
+  const from = formatChangeValue(news.field, news.from);
+  const to = formatChangeValue(news.field, news.to);
+
+  switch (news.kind) {
+    case 'added':
+      return `🆕 Novo jogo: ${fixture} – ${formatChangeValue('date', news.date)}`;
+    case 'kickoff':
+      // A/D dates are a bare day: the kickoff time has just been set
+      return /^\d{4}-\d{2}-\d{2}$/.test(news.from) && !/^\d{4}-\d{2}-\d{2}$/.test(news.to)
+        ? `⏰ Horário definido: ${fixture} – ${to}`
+        : `⏰ Horário alterado: ${fixture} – ${from} → ${to}`;
+    case 'venue':
+      return `📍 Local alterado: ${fixture} – ${from} → ${to}`;
+    case 'broadcast':
+      return news.from
+        ? `📺 Transmissão alterada: ${fixture} – ${from} → ${to}`
+        : `📺 Transmissão confirmada: ${fixture} – ${to}`;
+    case 'opponent':
+      return `🔁 Adversário alterado: ${news.competition} – ${from} → ${to}`;
+    default:
+      return fixture;
+  }
+}
+
+/**
+ * Turns the result of a snapshot update into news, in kickoff order
+ * @param {Object} update - See updateFixtureSnapshot
+ * @param {Object} update.snapshot
+ * @param {Object[]} update.changes - Changelog entries of the run
+ * @param {Object[]} update.added - Snapshot entries of the new fixtures
+ * @returns {FixtureNews[]}
+ */
+export function collectFixtureNews({ snapshot, changes, added }) {
+  const entriesByKey = new Map(snapshot.fixtures.map((entry) => [entry.key, entry]));
+  const describe = (entry) => ({
+    key: entry.key,
+    ...(entry.match.team && { team: entry.match.team }),
+    ...(getMatchSquad(entry.match) !== DEFAULT_SQUAD && { squad: getMatchSquad(entry.match) }),
+    title: formatFixtureTitle(entry.match),
+    competition: entry.match.competition,
+    date: getChangeValue(entry.match, 'date'),
+  });
+
+  const news = [
+    ...added.map((entry) => ({ kind: 'added', ...describe(entry) })),
+    ...changes
+      .filter((change) => FIELD_KINDS[change.field] && entriesByKey.has(change.key))
+      // Finished games and removed broadcasts are not news
+      .filter((change) => !entriesByKey.get(change.key).match.score)
+      .filter((change) => change.field !== 'broadcast' || change.to)
+      .map((change) => ({
+        kind: FIELD_KINDS[change.field],
+        ...describe(entriesByKey.get(change.key)),
+        field: change.field,
+        from: change.from,
+        to: change.to,
+      })),
+  ];
+
+  return news
+    .map((item) => ({ ...item, text: formatNewsText(item) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * @param {Object} notifier
+ * @param {FixtureNews} news
+ * @returns {boolean} true if the notifier's filters let the news through
+ */
+function acceptsNews(notifier, news) {
+  const { events, teams, squads } = notifier.filters;
+  return events.includes(news.kind) &&
+    (!teams || teams.includes(news.team || DEFAULT_TEAM.id)) &&
+    (!squads || squads.includes(news.squad || DEFAULT_SQUAD));
+}
+
+/**
+ * @param {FixtureNews[]} news
+ * @param {Object} options
+ * @param {string} [options.runId]
+ * @param {number} options.maxItems
+ * @returns {NewsDigest}
+ */
+export function buildDigest(news, { runId, maxItems }) {
+  const teams = [...new Set(news.map((item) => getTeam(item.team).name))];
+  const subject = `⚽ ${teams.join(', ')}: ${news.length === 1 ? '1 novidade' : `${news.length} novidades`} nos jogos`;
+  const items = news.slice(0, maxItems);
+  const omitted = news.length - items.length;
+
+  return {
+    ...(runId && { runId }),
+    subject,
+    items,
+    omitted,
+    text: [
+      subject,
+      '',
+      ...items.map((item) => `• ${item.text}`),
+      ...(omitted > 0 ? [`… e mais ${omitted}`] : []),
+    ].join('\n'),
+  };
+}
+
+/**
+ * Sends a digest to every notifier. Failures are logged and reported, never thrown.
+ * @param {Function} getNews - (notifier) => news for that notifier
+ * @param {string} [runId]
+ * @returns {Promise<Object[]>} One entry per notifier with news: { notifier, status, items, error? }
+ */
+async function sendDigests(getNews, runId) {
+  const results = [];
+
+  for (const notifier of NOTIFIERS) {
+    const news = getNews(notifier);
+    if (news.length === 0) continue;
+
+    try {
+      await notifier.send(buildDigest(news, { runId, maxItems: notifier.maxItems }));
+      logger.info(`[NOTIFY] Sent ${news.length} fixture news to ${notifier.name}`);
+      results.push({ notifier: notifier.id, status: 'sent', items: news.length });
+    } catch (err) {
+      const error = ensureError(err);
+      logger.error(`[NOTIFY] Failed to send fixture news to ${notifier.name}`, error);
+      results.push({ notifier: notifier.id, status: 'error', items: news.length, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Notifies the fixture news of a run: one digest per notifier
+ * @param {Object} update - Result of updateFixtureSnapshot ({ snapshot, changes, added })
+ * @param {Object} [options]
+ * @param {string} [options.runId]
+ * @returns {Promise<Object[]>} Per-notifier results (empty when there was nothing to send)
+ */
+export async function notifyFixtureNews(update, { runId } = {}) {
+  if (NOTIFIERS.length === 0) return [];
+
+  const news = collectFixtureNews(update);
+  if (news.length === 0) return [];
+
+  return sendDigests((notifier) => news.filter((item) => acceptsNews(notifier, item)), runId);
+}
+
+/**
+ * Sends a sample digest to every notifier, ignoring their filters (e.g. against a local SMTP / webhook sink)
+ * @returns {Promise<Object[]>} Per-notifier results
+ */
+export async function sendTestNotification() {
+  const sample = {
+    kind: 'kickoff',
+    key: 'test',
+    title: `${DEFAULT_TEAM.name} vs Teste`,
+    competition: 'Notificação de teste',
+    date: new Date().toISOString(),
+  };
+  const news = [{ ...sample, text: `🧪 Notificação de teste: ${sample.title} (${sample.competition})` }];
+  return sendDigests(() => news, `test-${Date.now()}`);
+}
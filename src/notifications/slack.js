@@ -0,0 +1,39 @@
+/**
+ * Slack notifier
+ *
+ * Posts the news digest to a Slack incoming webhook, as one message per sync.
+ */
+
+const FETCH_TIMEOUT_MS = 15_000;
+
+/**
+ * @param {Object} channel - NOTIFICATION_CHANNELS entry
+ * @param {string} channel.id
+ * @param {string} channel.url - Incoming webhook URL (https://hooks.slack.com/services/...)
+ * @param {string} [channel.name]
+ * @returns {Notifier}
+ */
+export function createSlackNotifier({ id, url, name = 'Slack' }) {
+  if (!url) {
+    throw new Error('url (Slack incoming webhook) is required');
+  }
+
+  return {
+    id,
+    type: 'slack',
+    name,
+
+    async send(digest) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: digest.text }),
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Slack webhook failed: HTTP ${response.status} (${await response.text()})`);
+      }
+    },
+  };
+}
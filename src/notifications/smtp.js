@@ -0,0 +1,225 @@
+/**
+ * Minimal SMTP client (RFC 5321)
+ *
+ * Just enough to send the email digest without a mail library: plain or implicit
+ * TLS connections, STARTTLS when the server offers it, AUTH PLAIN, and one UTF-8
+ * text/plain message per connection. Works against local sinks (Mailpit, MailHog)
+ * as well as regular submission servers. Credentials are only sent over TLS, so a
+ * server that stops offering STARTTLS (or an attacker stripping it) does not get them.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { hostname } from 'os';
+
+const SMTP_TIMEOUT_MS = 30_000;
+
+/**
+ * @param {net.Socket} socket
+ * @param {string} host
+ * @param {number} port
+ */
+function setSocketTimeout(socket, host, port) {
+  socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error(`SMTP connection to ${host}:${port} timed out`)));
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {boolean} options.secure - Implicit TLS (port 465)
+ * @returns {Promise<net.Socket>}
+ */
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, ...(!net.isIP(host) && { servername: host }) })
+      : net.connect({ host, port });
+    setSocketTimeout(socket, host, port);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.off('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Upgrades a connection after STARTTLS
+ * @param {net.Socket} socket
+ * @param {string} host
+ * @param {number} port
+ * @returns {Promise<tls.TLSSocket>}
+ */
+function upgradeToTLS(socket, host, port) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, ...(!net.isIP(host) && { servername: host }) });
+    setSocketTimeout(secureSocket, host, port);
+    secureSocket.once('secureConnect', () => {
+      secureSocket.off('error', reject);
+      resolve(secureSocket);
+    });
+    secureSocket.once('error', reject);
+  });
+}
+
+/**
+ * Reads SMTP replies ("250-first line", ..., "250 last line") from a socket
+ * @param {net.Socket} socket
+ * @returns {{read: () => Promise<{code: number, lines: string[]}>, detach: () => void}}
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf-8');
+    let idx;
+    while ((idx = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, idx).replace(/\r$/, '');
+      buffer = buffer.slice(idx + 1);
+      lines.push(line);
+      if (!/^\d{3}-/.test(line)) {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), lines: lines.map((entry) => entry.slice(4)) });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (err) => {
+    failure = err;
+    settle();
+  };
+  const onClose = () => {
+    failure = failure || new Error('SMTP connection closed by the server');
+    settle();
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    read: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    },
+  };
+}
+
+/**
+ * @param {string} value
+ * @returns {string} Header value, RFC 2047 encoded when it is not plain ASCII
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf-8').toString('base64')}?=`;
+}
+
+/**
+ * @param {string} address - "user@example.com" or "Name <user@example.com>"
+ * @returns {string} Bare address
+ */
+function getMailbox(address) {
+  return address.match(/<([^>]+)>/)?.[1] || address.trim();
+}
+
+/**
+ * @returns {string} RFC 5322 message with a base64 body (no line can start with a dot)
+ */
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf-8')
+    .toString('base64')
+    .replace(/.{1,76}/g, '$&\r\n')
+    .trimEnd();
+
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+/**
+ * Sends one text email
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {boolean} [options.secure] - Implicit TLS; otherwise STARTTLS is used when offered
+ * @param {string} [options.username] - AUTH PLAIN credentials (no auth when unset)
+ * @param {string} [options.password]
+ * @param {boolean} [options.allowInsecureAuth] - Authenticate without TLS (local sinks only)
+ * @param {string} options.from
+ * @param {string[]} options.to
+ * @param {string} options.subject
+ * @param {string} options.text
+ */
+export async function sendMail({ host, port, secure = false, username, password, allowInsecureAuth = false, from, to, subject, text }) {
+  let socket = await connect({ host, port, secure });
+  let reader = createReplyReader(socket);
+
+  // The error names the command only, so credentials never end up in logs
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.read();
+    if (!expected.includes(reply.code)) {
+      const name = line === null ? 'greeting' : line.split(/[\s:]/)[0];
+      throw new Error(`SMTP ${name} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    const ehlo = await command(`EHLO ${hostname()}`, [250]);
+
+    let encrypted = secure;
+    if (!secure && ehlo.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await upgradeToTLS(socket, host, port);
+      reader = createReplyReader(socket);
+      await command(`EHLO ${hostname()}`, [250]);
+      encrypted = true;
+    }
+
+    if (username) {
+      if (!encrypted && !allowInsecureAuth) {
+        throw new Error(`SMTP server ${host}:${port} does not offer STARTTLS - refusing to send credentials without TLS (set SMTP_ALLOW_INSECURE_AUTH=true for local sinks)`);
+      }
+      await command(`AUTH PLAIN ${Buffer.from(`\0${username}\0${password || ''}`, 'utf-8').toString('base64')}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${getMailbox(from)}>`, [250]);
+    for (const recipient of to) {
+      await command(`RCPT TO:<${getMailbox(recipient)}>`, [250, 251]);
+    }
+    await command('DATA', [354]);
+    await command(`${buildMessage({ from, to, subject, text })}\r\n.`, [250]);
+    await command('QUIT', [221]);
+  } finally {
+    reader.detach();
+    socket.destroy();
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Generic JSON webhook notifier
+ *
+ * POSTs the news digest as JSON, for home automation, bots or anything else that
+ * takes webhooks: { runId, subject, text, items: [...], omitted, sentAt }.
+ */
+
+const FETCH_TIMEOUT_MS = 15_000;
+
+/**
+ * @param {Object} channel - NOTIFICATION_CHANNELS entry
+ * @param {string} channel.id
+ * @param {string} channel.url
+ * @param {Object} [channel.headers] - Extra request headers, e.g. { "Authorization": "Bearer ..." }
+ * @param {string} [channel.name]
+ * @returns {Notifier}
+ */
+export function createWebhookNotifier({ id, url, headers = {}, name = 'Webhook' }) {
+  if (!url) {
+    throw new Error('url is required');
+  }
+
+  return {
+    id,
+    type: 'webhook',
+    name,
+
+    async send(digest) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ ...digest, sentAt: new Date().toISOString() }),
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook ${url} failed: HTTP ${response.status} (${response.statusText})`);
+      }
+    },
+  };
+}
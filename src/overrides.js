@@ -0,0 +1,273 @@
+/**
+ * Manual fixture overrides
+ *
+ * The sources are sometimes wrong or miss a game (preseason friendlies, closed-door
+ * training games, a kickoff fixed before the site catches up). Admins keep
+ * overrides in DATA_DIR, edited through /api/overrides and applied by
+ * processMatches (see processing.js):
+ * - patch: sets fields of a scraped fixture, found by its fixture key
+ * - hide: drops a scraped fixture
+ * - manual: adds a fixture of its own
+ * Every create, update and delete is recorded in an audit trail with its author.
+ */
+
+import { logger } from './logger.js';
+import { getFixtureOverridesState, saveFixtureOverridesState } from './storage.js';
+import { getMatchUniqueKey, toManualMatch } from './processing.js';
+import { getVenueFields } from './venues.js';
+import { TEAMS, getTeam, getTeamTag } from './teams.js';
+import { DEFAULT_SQUAD } from './squads.js';
+
+export const OVERRIDE_TYPES = ['patch', 'hide', 'manual'];
+
+/** Match fields a patch or manual fixture can set */
+const OVERRIDE_FIELDS = ['date', 'tentative', 'opponent', 'isHome', 'competition', 'location', 'broadcast'];
+
+const SQUAD_PATTERN = /^[a-z0-9-]+$/;
+// Audit entries kept, newest first
+const AUDIT_MAX_ENTRIES = 500;
+
+/**
+ * @typedef {Object} FixtureOverride
+ * @property {string} id - e.g. "ovr-1767225600000"
+ * @property {'patch'|'hide'|'manual'} type
+ * @property {string} [key] - Fixture key of the scraped fixture (patch, hide), e.g. "palmeiras_2026-03-18"
+ * @property {Object} [fields] - Match fields to set (patch)
+ * @property {Object} [match] - The fixture (manual): date, opponent, isHome, competition, location,
+ *   broadcast, tentative, team, squad
+ * @property {string} [note] - Why the override exists
+ * @property {string} createdAt
+ * @property {string} createdBy
+ * @property {string} updatedAt
+ * @property {string} updatedBy
+ */
+
+/**
+ * Invalid override or unknown id, with the HTTP status the endpoint should answer with
+ */
+export class OverrideError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OverrideError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validates the Match fields of a patch or manual fixture
+ * @param {Object} input
+ * @param {string} label
+ * @returns {Object} Fields with the date as an ISO string and the venue resolved (see venues.js)
+ */
+function validateFields(input, label) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new OverrideError(`${label}: fields must be an object`);
+  }
+  // Venue details are resolved from the location again
+  const { city: _city, address: _address, coordinates: _coordinates, ...fields } = input;
+
+  const unknown = Object.keys(fields).filter((field) => !OVERRIDE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new OverrideError(`${label}: unknown fields ${unknown.join(', ')} (expected ${OVERRIDE_FIELDS.join(', ')})`);
+  }
+
+  const { date, tentative, opponent, isHome, competition, location, broadcast } = fields;
+  if (date !== undefined && (typeof date !== 'string' || Number.isNaN(new Date(date).getTime()))) {
+    throw new OverrideError(`${label}: date must be an ISO date, e.g. "2026-03-18T21:30:00-03:00"`);
+  }
+  for (const [name, value] of Object.entries({ opponent, competition, location, broadcast })) {
+    if (value !== undefined && typeof value !== 'string') {
+      throw new OverrideError(`${label}: ${name} must be a string`);
+    }
+  }
+  for (const [name, value] of Object.entries({ tentative, isHome })) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      throw new OverrideError(`${label}: ${name} must be true or false`);
+    }
+  }
+
+  return {
+    ...fields,
+    ...(date !== undefined && { date: new Date(date).toISOString() }),
+    ...(location !== undefined && getVenueFields(location)),
+  };
+}
+
+/**
+ * Validates an override submitted to the API
+ * @param {Object} input
+ * @returns {Object} Normalized override content (type, key, fields / match, note)
+ */
+export function validateOverride(input) {
+  if (!input || typeof input !== 'object') {
+    throw new OverrideError('The override must be an object');
+  }
+
+  const { type, key, fields, match, note } = input;
+  if (!OVERRIDE_TYPES.includes(type)) {
+    throw new OverrideError(`type must be one of ${OVERRIDE_TYPES.join(', ')}`);
+  }
+  if (note !== undefined && typeof note !== 'string') {
+    throw new OverrideError('note must be a string');
+  }
+  const base = { type, ...(note?.trim() && { note: note.trim() }) };
+
+  if (type === 'patch' || type === 'hide') {
+    if (typeof key !== 'string' || !key.trim()) {
+      throw new OverrideError(`${type}: key (fixture key, e.g. "palmeiras_2026-03-18") is required`);
+    }
+    if (type === 'hide') return { ...base, key: key.trim() };
+
+    const validated = validateFields(fields, 'patch');
+    if (Object.keys(validated).length === 0) {
+      throw new OverrideError('patch: at least one field is required');
+    }
+    return { ...base, key: key.trim(), fields: validated };
+  }
+
+  const { team, squad, ...matchFields } = match || {};
+  const validated = validateFields(matchFields, 'manual');
+  for (const field of ['date', 'opponent', 'competition']) {
+    if (!validated[field]) {
+      throw new OverrideError(`manual: ${field} is required`);
+    }
+  }
+  if (team !== undefined && !TEAMS.some((profile) => profile.id === team)) {
+    throw new OverrideError(`manual: unknown team "${team}" (expected ${TEAMS.map((profile) => profile.id).join(', ')})`);
+  }
+  if (squad !== undefined && (typeof squad !== 'string' || !SQUAD_PATTERN.test(squad))) {
+    throw new OverrideError('manual: squad must be a squad id, e.g. "feminino"');
+  }
+
+  return {
+    ...base,
+    match: {
+      isHome: true,
+      location: '',
+      broadcast: '',
+      ...validated,
+      ...getTeamTag(getTeam(team)),
+      ...(squad && squad !== DEFAULT_SQUAD && { squad }),
+    },
+  };
+}
+
+/**
+ * @param {FixtureOverride} override
+ * @returns {string} Fixture key the override applies to
+ */
+export function getOverrideKey(override) {
+  return override.type === 'manual' ? getMatchUniqueKey(toManualMatch(override)) : override.key;
+}
+
+/**
+ * @returns {Promise<FixtureOverride[]>} Overrides in effect, oldest first
+ */
+export async function getFixtureOverrides() {
+  const state = await getFixtureOverridesState();
+  return state?.overrides || [];
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>} Audit trail, newest first: { at, author, action, id, before, after }
+ */
+export async function getOverrideAudit({ limit = 100 } = {}) {
+  const state = await getFixtureOverridesState();
+  return (state?.audit || []).slice(0, limit);
+}
+
+/**
+ * Saves the overrides and records the change in the audit trail
+ * @param {FixtureOverride[]} overrides
+ * @param {Object} entry - { author, action, id, before, after }
+ */
+async function saveWithAudit(overrides, entry) {
+  const state = await getFixtureOverridesState();
+  const audit = [{ at: new Date().toISOString(), ...entry }, ...(state?.audit || [])].slice(0, AUDIT_MAX_ENTRIES);
+  await saveFixtureOverridesState({ overrides, audit });
+  logger.info(`[OVERRIDES] Override ${entry.id}: ${entry.action} by ${entry.author}`);
+}
+
+/**
+ * @param {FixtureOverride[]} overrides
+ * @returns {string} A new id, unique even for overrides created within the same millisecond
+ */
+function createOverrideId(overrides) {
+  const lastTimestamp = Math.max(0, ...overrides.map((override) => parseInt(override.id.slice('ovr-'.length), 10) || 0));
+  return `ovr-${Math.max(Date.now(), lastTimestamp + 1)}`;
+}
+
+/**
+ * @param {Object} input - See validateOverride
+ * @param {string} author - Who made the change
+ * @returns {Promise<FixtureOverride>}
+ */
+export async function createOverride(input, author) {
+  const content = validateOverride(input);
+  const overrides = await getFixtureOverrides();
+  const now = new Date().toISOString();
+  const override = {
+    id: createOverrideId(overrides),
+    ...content,
+    createdAt: now,
+    createdBy: author,
+    updatedAt: now,
+    updatedBy: author,
+  };
+
+  await saveWithAudit([...overrides, override], { author, action: 'create', id: override.id, before: null, after: override });
+  return override;
+}
+
+/**
+ * Replaces the content of an override
+ * @param {string} id
+ * @param {Object} input - See validateOverride
+ * @param {string} author
+ * @returns {Promise<FixtureOverride>}
+ */
+export async function updateOverride(id, input, author) {
+  const content = validateOverride(input);
+  const overrides = await getFixtureOverrides();
+  const before = overrides.find((override) => override.id === id);
+  if (!before) {
+    throw new OverrideError(`Override ${id} not found`, 404);
+  }
+
+  const { createdAt, createdBy } = before;
+  const override = { id, ...content, createdAt, createdBy, updatedAt: new Date().toISOString(), updatedBy: author };
+  await saveWithAudit(
+    overrides.map((entry) => (entry.id === id ? override : entry)),
+    { author, action: 'update', id, before, after: override }
+  );
+  return override;
+}
+
+/**
+ * @param {string} id
+ * @param {string} author
+ * @returns {Promise<FixtureOverride>} The deleted override
+ */
+export async function deleteOverride(id, author) {
+  const overrides = await getFixtureOverrides();
+  const before = overrides.find((override) => override.id === id);
+  if (!before) {
+    throw new OverrideError(`Override ${id} not found`, 404);
+  }
+
+  await saveWithAudit(
+    overrides.filter((override) => override.id !== id),
+    { author, action: 'delete', id, before, after: null }
+  );
+  return before;
+}
+
+/**
+ * @param {FixtureOverride[]} overrides
+ * @returns {Object[]} The overrides with the fixture key each one applies to
+ */
+export function describeOverrides(overrides) {
+  return overrides.map((override) => ({ ...override, fixtureKey: getOverrideKey(override) }));
+}
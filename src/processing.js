@@ -6,20 +6,13 @@
  */
 
 import { logger } from './logger.js';
+import { RESULTS_LOOKBACK_DAYS } from './config.js';
+import { DEFAULT_SQUAD, getMatchSquad, isSquadEnabled } from './squads.js';
+import { getMatchTeam } from './teams.js';
+import { findClub, isPlaceholderName } from './clubs.js';
 
-/** Verdão in-joke: "Sistema" placeholder means Flamengo */
-const OPPONENT_ALIASES = {
-  sistema: 'Flamengo',
-};
-
-const PLACEHOLDER_OPPONENTS = new Set([
-  'a_definir',
-  'adversario',
-  'tbd',
-  'tba',
-  'a_confirmar',
-  'confirmar',
-]);
+/** A match is considered finished this long after kickoff */
+const MATCH_DURATION_MS = 2 * 60 * 60 * 1000;
 
 /**
  * @param {Date} date
@@ -29,6 +22,37 @@ export function toSaoPauloDateKey(date) {
   return date.toLocaleDateString('en-CA', { timeZone: 'America/Sao_Paulo' });
 }
 
+/**
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} YYYY-MM-DD, `days` later
+ */
+export function addDaysToDateKey(dayKey, days) {
+  const date = new Date(`${dayKey}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {Match} match
+ * @returns {string[]} Days (YYYY-MM-DD) the match can be played on: one, unless it is a tentative round window
+ */
+export function getMatchWindowDayKeys(match) {
+  const first = getMatchDayKey(match);
+  const days = match.tentative ? match.windowDays || 1 : 1;
+  return Array.from({ length: days }, (_day, idx) => addDaysToDateKey(first, idx));
+}
+
+/**
+ * @param {Match} match
+ * @param {Date} now
+ * @returns {boolean} true if the match has not started yet (tentative: its last possible day is not over)
+ */
+function isUpcomingMatch(match, now) {
+  if (!match.tentative) return match.date > now;
+  return match.date.getTime() + (match.windowDays || 1) * 24 * 60 * 60 * 1000 > now.getTime();
+}
+
 /**
  * @param {Match} match
  * @returns {string}
@@ -38,25 +62,31 @@ export function getMatchDayKey(match) {
 }
 
 /**
- * One Palmeiras fixture per calendar day (São Paulo).
+ * Fixture key: one fixture per team, squad and calendar day (São Paulo), e.g.
+ * palmeiras_2026-03-18 for the men's first team, palmeiras_feminino_2026-03-18 for another squad.
+ * @param {TeamProfile} team
+ * @param {string} squad
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {string}
+ */
+export function buildFixtureKey(team, squad, dayKey) {
+  return squad === DEFAULT_SQUAD ? `${team.keyPrefix}_${dayKey}` : `${team.keyPrefix}_${squad}_${dayKey}`;
+}
+
+/**
  * @param {Match} match
  * @returns {string}
  */
 export function getMatchUniqueKey(match) {
-  return `palmeiras_${getMatchDayKey(match)}`;
+  return buildFixtureKey(getMatchTeam(match), getMatchSquad(match), getMatchDayKey(match));
 }
 
 /**
  * @param {string} opponent
- * @returns {string}
+ * @returns {string} Canonical name of the club directory (see clubs.js), or the name as written
  */
 export function normalizeOpponentName(opponent) {
-  const key = opponent
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, '_')
-    .replace(/[^a-z0-9_]/g, '');
-  return OPPONENT_ALIASES[key] ?? opponent.trim();
+  return findClub(opponent)?.name ?? opponent.trim();
 }
 
 /**
@@ -64,12 +94,7 @@ export function normalizeOpponentName(opponent) {
  * @returns {boolean}
  */
 export function isPlaceholderOpponent(opponent) {
-  const normalized = opponent
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, '_')
-    .replace(/[^a-z0-9_]/g, '');
-  return PLACEHOLDER_OPPONENTS.has(normalized) || normalized.length < 2;
+  return isPlaceholderName(opponent);
 }
 
 /**
@@ -79,6 +104,7 @@ export function isPlaceholderOpponent(opponent) {
  */
 function matchQualityScore(match) {
   let score = 0;
+  if (match.score) score += 20;
   if (match.location) score += 10;
   if (match.broadcast) score += 5;
   const isHomePage =
@@ -93,7 +119,11 @@ function matchQualityScore(match) {
  * @param {Match} candidate
  * @returns {Match}
  */
-function pickBetterMatch(existing, candidate) {
+export function pickBetterMatch(existing, candidate) {
+  // A kickoff time beats an A/D date
+  if (Boolean(existing.tentative) !== Boolean(candidate.tentative)) {
+    return existing.tentative ? candidate : existing;
+  }
   const existingLen = existing.opponent.trim().length;
   const candidateLen = candidate.opponent.trim().length;
   if (candidateLen !== existingLen) {
@@ -103,12 +133,167 @@ function pickBetterMatch(existing, candidate) {
 }
 
 /**
- * Filters and processes matches: removes past matches, deduplicates, sorts
+ * Drops the tentative matches (A/D) of a round window once a source has the kickoff
+ * of the same game on one of its days: same team and squad, same opponent or competition
+ * @param {Match[]} matches - Deduplicated matches
+ * @returns {Match[]}
+ */
+function dropScheduledTentativeMatches(matches) {
+  const scheduled = matches.filter((match) => !match.tentative);
+
+  return matches.filter((match) => {
+    if (!match.tentative) return true;
+    const days = getMatchWindowDayKeys(match);
+    return !scheduled.some((other) =>
+      getMatchTeam(other) === getMatchTeam(match)
+      && getMatchSquad(other) === getMatchSquad(match)
+      && (other.opponent === match.opponent || other.competition === match.competition)
+      && days.includes(getMatchDayKey(other))
+    );
+  });
+}
+
+/**
+ * Selects recently finished matches with a final score (one per day), used to
+ * write the result to the existing calendar events
+ * @param {Match[]} matches - Raw matches from retrieval logic
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.lookbackDays] - How far back to look (default: RESULTS_LOOKBACK_DAYS)
+ * @param {Object[]} [options.overrides] - Manual fixture overrides: hidden fixtures get no result,
+ *   patched ones (date, opponent) are keyed like their event
+ * @returns {Match[]} Finished matches, oldest first
+ */
+export function selectRecentResults(matches, { now = new Date(), lookbackDays = RESULTS_LOOKBACK_DAYS, overrides = [] } = {}) {
+  if (lookbackDays <= 0) return [];
+  const oldest = now.getTime() - lookbackDays * 24 * 60 * 60 * 1000;
+
+  const scored = matches
+    .filter((match) => match.score && isSquadEnabled(getMatchSquad(match)))
+    .map((match) => ({ ...match, opponent: normalizeOpponentName(match.opponent) }));
+
+  const resultMap = new Map();
+  for (const result of hideAndPatchMatches(scored, overrides).matches) {
+    const kickoff = result.date.getTime();
+    if (kickoff < oldest || kickoff + MATCH_DURATION_MS > now.getTime()) continue;
+
+    const key = getMatchUniqueKey(result);
+    const existing = resultMap.get(key);
+    resultMap.set(key, existing ? pickBetterMatch(existing, result) : result);
+  }
+
+  const results = Array.from(resultMap.values()).sort((a, b) => a.date.getTime() - b.date.getTime());
+  if (results.length > 0) {
+    logger.info(`[PROCESSING] Found ${results.length} finished matches with a score in the last ${lookbackDays} days`);
+  }
+  return results;
+}
+
+/**
+ * @param {Object} override - Manual fixture override (see overrides.js)
+ * @returns {Match} Its fixture
+ */
+export function toManualMatch(override) {
+  const { tentative, ...match } = override.match;
+  return {
+    ...match,
+    date: new Date(match.date),
+    ...(tentative && { tentative: true }),
+    source: 'manual',
+    sourceId: 'manual',
+  };
+}
+
+/**
+ * @param {Match} match
+ * @param {Object} override - Patch override (see overrides.js)
+ * @returns {Match} The match with the patched fields
+ */
+function applyPatch(match, { fields }) {
+  const { date, tentative, ...rest } = fields;
+  const patched = { ...match };
+  if (fields.location !== undefined) {
+    // The new venue brings its own city / address / coordinates (resolved when the override was saved)
+    delete patched.city;
+    delete patched.address;
+    delete patched.coordinates;
+  }
+  Object.assign(patched, rest);
+
+  if (date !== undefined) {
+    patched.date = new Date(date);
+    delete patched.windowDays;
+  }
+  // A patched date is a kickoff unless the patch says it is still A/D
+  if (tentative ?? (date === undefined && match.tentative)) {
+    patched.tentative = true;
+  } else {
+    delete patched.tentative;
+    delete patched.windowDays;
+  }
+  return patched;
+}
+
+/**
+ * Drops the hidden fixtures and applies the patches, by key
+ * @param {Match[]} matches
+ * @param {Object[]} overrides - Manual fixture overrides (see overrides.js)
+ * @returns {{matches: Match[], patchCount: number}}
+ */
+function hideAndPatchMatches(matches, overrides) {
+  const hidden = new Set(overrides.filter((override) => override.type === 'hide').map((override) => override.key));
+  const patches = overrides.filter((override) => override.type === 'patch');
+
+  let patchCount = 0;
+  const patched = matches
+    .filter((match) => !hidden.has(getMatchUniqueKey(match)))
+    .map((match) => {
+      const key = getMatchUniqueKey(match);
+      const matchPatches = patches.filter((override) => override.key === key);
+      patchCount += matchPatches.length;
+      return matchPatches.reduce(applyPatch, match);
+    });
+  return { matches: patched, patchCount };
+}
+
+/**
+ * Applies the manual overrides (see overrides.js) to the deduplicated matches: hides and patches
+ * fixtures by key, and adds the manual fixtures (replacing a scraped fixture with the same key)
+ * @param {Match[]} matches
+ * @param {Object[]} overrides
+ * @param {Date} now
+ * @returns {Match[]}
+ */
+function applyFixtureOverrides(matches, overrides, now) {
+  const manual = overrides
+    .filter((override) => override.type === 'manual')
+    .map(toManualMatch)
+    .filter((match) => isUpcomingMatch(match, now) && isSquadEnabled(getMatchSquad(match)));
+  const manualKeys = new Set(manual.map(getMatchUniqueKey));
+
+  const { matches: patched, patchCount } = hideAndPatchMatches(
+    matches.filter((match) => !manualKeys.has(getMatchUniqueKey(match))),
+    overrides
+  );
+
+  if (overrides.length > 0) {
+    logger.info(
+      `[PROCESSING] Manual overrides: ${matches.length - patched.length} fixtures hidden or replaced, ${patchCount} patches applied, ${manual.length} manual fixtures`
+    );
+  }
+  return [...patched, ...manual];
+}
+
+/**
+ * Filters and processes matches: removes past matches and squads not in SQUADS, deduplicates,
+ * applies the manual overrides, sorts
  * @param {Match[]} matches - Raw matches from retrieval logic
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference date for dropping past matches (the capture date when replaying)
+ * @param {Object[]} [options.overrides] - Manual fixture overrides (see overrides.js)
  * @returns {Match[]} Processed matches ready for calendar sync
  */
-export function processMatches(matches) {
-  const now = new Date();
+export function processMatches(matches, { now = new Date(), overrides = [] } = {}) {
 
   const normalizedMatches = matches.map((match) => ({
     ...match,
@@ -116,7 +301,7 @@ export function processMatches(matches) {
   }));
 
   const futureMatches = normalizedMatches.filter(
-    (match) => match.date > now && !isPlaceholderOpponent(match.opponent)
+    (match) => isUpcomingMatch(match, now) && !isPlaceholderOpponent(match.opponent) && isSquadEnabled(getMatchSquad(match))
   );
 
   const matchMap = new Map();
@@ -132,14 +317,14 @@ export function processMatches(matches) {
     }
   }
 
-  const uniqueMatches = Array.from(matchMap.values());
+  const uniqueMatches = applyFixtureOverrides(dropScheduledTentativeMatches(Array.from(matchMap.values())), overrides, now);
 
   uniqueMatches.sort((a, b) => a.date.getTime() - b.date.getTime());
 
   const dropped = matches.length - uniqueMatches.length;
   if (dropped > 0) {
     logger.info(
-      `[PROCESSING] Dropped ${dropped} duplicate/placeholder/past matches (${matches.length} raw → ${uniqueMatches.length} unique)`
+      `[PROCESSING] Dropped ${dropped} duplicate/placeholder/past/other-squad matches (${matches.length} raw → ${uniqueMatches.length} unique)`
     );
   }
   logger.info(`[PROCESSING] Processed ${matches.length} matches: ${uniqueMatches.length} unique upcoming fixtures`);
@@ -147,7 +332,8 @@ export function processMatches(matches) {
   uniqueMatches.slice(0, 5).forEach((match, idx) => {
     const diff = match.date.getTime() - now.getTime();
     const diffDays = Math.floor(diff / (1000 * 60 * 60 * 24));
-    const teams = match.isHome ? `Palmeiras vs ${match.opponent}` : `${match.opponent} vs Palmeiras`;
+    const { name } = getMatchTeam(match);
+    const teams = match.isHome ? `${name} vs ${match.opponent}` : `${match.opponent} vs ${name}`;
     logger.info(
       `[PROCESSING] Match ${idx + 1}: ${match.isHome ? '🏠' : '✈️'} ${teams} - ${match.competition} - Date: ${match.date.toISOString()}, diff: ${diffDays} days${match.broadcast ? ` - TV: ${match.broadcast}` : ''}`
     );
@@ -0,0 +1,20 @@
+/**
+ * Registries
+ *
+ * Venues, broadcast channels and clubs come with built-in entries that the
+ * configuration extends: a configured entry is added, or replaces the built-in
+ * entry with the same id.
+ */
+
+/**
+ * @template T
+ * @param {Object[]} builtIns - Built-in entries
+ * @param {Object[]|null|undefined} configured - Configured entries (environment variable or DATA_DIR file)
+ * @param {(entry: Object, idx: number) => T} normalize - Validates and completes an entry
+ * @returns {T[]} Configured entries first, then the built-in entries whose id is not configured
+ */
+export function mergeRegistry(builtIns, configured, normalize) {
+  const entries = (configured || []).map(normalize);
+  const ids = new Set(entries.map((entry) => entry.id));
+  return [...entries, ...builtIns.filter((entry) => !ids.has(entry.id)).map(normalize)];
+}
@@ -0,0 +1,85 @@
+/**
+ * Replay CLI
+ *
+ * Re-runs retrieval and processing against the pages recorded during a past run
+ * (HTML_RECORDING=true), without touching the network or any calendar.
+ *
+ * Usage:
+ *   bun run replay                # latest capture in DATA_DIR/captures
+ *   bun run replay <runId>        # capture of a given run
+ *   bun run replay <dir>          # capture directory copied elsewhere (e.g. a regression fixture)
+ *   bun run replay --list         # list the captures in DATA_DIR
+ *   bun run replay <runId> --json # print the processed matches as JSON
+ */
+
+import { existsSync } from 'fs';
+import { logger, ensureError } from './logger.js';
+import { listHtmlCaptures, getHtmlCapture, readHtmlCapture } from './storage.js';
+import { retrieveMatches } from './retrieval/index.js';
+import { createPageReplayer } from './retrieval/capture.js';
+import { processMatches } from './processing.js';
+import { loadClubDirectory } from './clubs.js';
+
+/**
+ * @param {string} [target] - Run id or capture directory (default: latest capture)
+ * @returns {Promise<Object|null>}
+ */
+async function loadCapture(target) {
+  if (target && existsSync(target)) {
+    return readHtmlCapture(target);
+  }
+  const runId = target || (await listHtmlCaptures())[0];
+  return runId ? getHtmlCapture(runId) : null;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const target = args.find((arg) => !arg.startsWith('--'));
+
+  if (args.includes('--list')) {
+    const runIds = await listHtmlCaptures();
+    console.log(runIds.length > 0 ? runIds.join('\n') : 'No HTML captures found (enable HTML_RECORDING=true)');
+    return;
+  }
+
+  const capture = await loadCapture(target);
+  if (!capture) {
+    throw new Error(`HTML capture not found: ${target || 'no captures recorded yet (enable HTML_RECORDING=true)'}`);
+  }
+
+  const replay = createPageReplayer(capture);
+  logger.info(`[REPLAY] Replaying ${capture.runId} (${capture.pages.length} pages recorded at ${capture.startedAt})`);
+
+  await loadClubDirectory();
+  const { matches: rawMatches, sources } = await retrieveMatches({ replay });
+  const matches = processMatches(rawMatches, { now: replay.capturedAt });
+
+  if (asJson) {
+    console.log(JSON.stringify({ runId: capture.runId, sources, matches }, null, 2));
+    return;
+  }
+
+  for (const source of sources) {
+    console.log(`${source.id}: ${source.status} (${source.count} raw matches)${source.error ? ` - ${source.error}` : ''}`);
+    for (const page of source.pages || []) {
+      const stats = page.status === 'ok'
+        ? `${page.tables} tables, ${page.rows} rows, ${page.parsed} parsed, ${page.rejected} rejected, ${page.undetermined} A/D`
+        : page.status;
+      console.log(`  ${page.url}: ${stats}`);
+    }
+  }
+  for (const match of matches) {
+    const date = match.tentative
+      ? `${match.date.toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' })} A/D${match.windowDays > 1 ? ` (+${match.windowDays - 1}d)` : ''}`
+      : match.date.toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo', dateStyle: 'short', timeStyle: 'short' });
+    console.log(`  ${date} - ${match.isHome ? '🏠' : '✈️'} vs ${match.opponent} [${match.competition}]${match.broadcast ? ` 📺 ${match.broadcast}` : ''}`);
+  }
+  console.log(`${matches.length} upcoming fixtures as of ${capture.startedAt}`);
+}
+
+main().catch((err) => {
+  const error = ensureError(err);
+  logger.error('[REPLAY] Replay failed', error);
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+/**
+ * Retrieval logic for API-Football (api-sports.io)
+ *
+ * Secondary source used by the retrieval registry when API_FOOTBALL_KEY is set.
+ * It has reliable kickoff times and venues, but no broadcast information.
+ * All functions here must return matches in the standardized Match format.
+ */
+
+import { logger, ensureError } from '../logger.js';
+import { API_FOOTBALL_KEY, RESULTS_LOOKBACK_DAYS } from '../config.js';
+import { normalizeOpponentName } from '../processing.js';
+import { DEFAULT_SQUAD, isSquadEnabled } from '../squads.js';
+import { DEFAULT_TEAM } from '../teams.js';
+import { getVenueFields } from '../venues.js';
+import { parseStage } from '../stages.js';
+
+const API_FOOTBALL_BASE_URL = 'https://v3.football.api-sports.io';
+const FETCH_TIMEOUT_MS = 30_000;
+/** Finished fixtures fetched for the final scores (see RESULTS_LOOKBACK_DAYS) */
+const LAST_FIXTURES = 5;
+/** Fixture statuses with a final score: full time, after extra time, after penalties */
+const FINISHED_STATUSES = new Set(['FT', 'AET', 'PEN']);
+
+/** API-Football league names → names used by ptd.verdao.net */
+const LEAGUE_NAMES = {
+  'Serie A': 'Brasileirão',
+  'Copa Do Brasil': 'Copa do Brasil',
+  'CONMEBOL Libertadores': 'Libertadores',
+  'CONMEBOL Sudamericana': 'Sudamericana',
+  'Paulista - A1': 'Paulista',
+};
+
+/**
+ * Converts an API-Football fixture to the standardized Match format
+ * @param {Object} item - Entry of the API-Football `response` array
+ * @param {{squad: string, teamId: number}} team - Squad and API-Football team the fixture was fetched for
+ * @returns {Match|null}
+ */
+function fixtureToMatch(item, { squad, teamId }) {
+  const { fixture, league, teams } = item;
+  if (!fixture?.date || !teams?.home || !teams?.away) return null;
+
+  const isHome = teams.home.id === teamId;
+  const opponent = isHome ? teams.away.name : teams.home.name;
+  const leagueName = LEAGUE_NAMES[league?.name] || league?.name || 'Futebol';
+  const goals = item.goals || {};
+  // e.g. "Regular Season - 12", "Quarter-finals"
+  const stage = parseStage(league?.round);
+  const hasScore = FINISHED_STATUSES.has(fixture.status?.short) && Number.isInteger(goals.home) && Number.isInteger(goals.away);
+
+  return {
+    date: new Date(fixture.date),
+    opponent: normalizeOpponentName(opponent),
+    isHome,
+    competition: league?.season ? `${leagueName} ${league.season}` : leagueName,
+    ...getVenueFields(fixture.venue?.name, { city: fixture.venue?.city }),
+    broadcast: '',
+    source: `${API_FOOTBALL_BASE_URL}/fixtures/${fixture.id}`,
+    ...(squad !== DEFAULT_SQUAD && { squad }),
+    ...(stage && { stage }),
+    ...(hasScore && {
+      score: isHome
+        ? { team: goals.home, opponent: goals.away }
+        : { team: goals.away, opponent: goals.home },
+    }),
+  };
+}
+
+/**
+ * @param {number} teamId
+ * @param {string} query - Fixture filter, e.g. "next=30"
+ * @returns {Promise<Object[]>} Entries of the API-Football `response` array
+ */
+async function fetchFixtures(teamId, query) {
+  const url = `${API_FOOTBALL_BASE_URL}/fixtures?team=${teamId}&${query}&timezone=America/Sao_Paulo`;
+  const response = await fetch(url, {
+    headers: { 'x-apisports-key': API_FOOTBALL_KEY },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`API-Football responded with HTTP ${response.status} (${response.statusText})`);
+  }
+
+  const data = await response.json();
+  const apiErrors = data.errors && Object.values(data.errors);
+  if (apiErrors?.length > 0) {
+    throw new Error(`API-Football error: ${apiErrors.join(', ')}`);
+  }
+
+  return data.response || [];
+}
+
+/**
+ * Retrieves a club's upcoming fixtures from API-Football, plus the last finished
+ * ones (with their final score) when RESULTS_LOOKBACK_DAYS is enabled, for every
+ * squad in SQUADS with a team id in the profile (apiFootballTeamIds)
+ * @param {Object} [context]
+ * @param {TeamProfile} [context.team] - Team profile the fixtures are retrieved for
+ * @returns {Promise<Match[]>} Array of matches in standardized format
+ */
+export async function fetchApiFootballFixtures({ team: profile = DEFAULT_TEAM } = {}) {
+  logger.info(`[RETRIEVAL] Fetching ${profile.name} fixtures from API-Football...`);
+
+  try {
+    const teams = Object.entries(profile.apiFootballTeamIds)
+      .filter(([squad, teamId]) => isSquadEnabled(squad) && Number.isInteger(teamId))
+      .map(([squad, teamId]) => ({ squad, teamId }));
+
+    const matches = [];
+    for (const team of teams) {
+      const items = await fetchFixtures(team.teamId, 'next=30');
+      if (RESULTS_LOOKBACK_DAYS > 0) {
+        items.push(...(await fetchFixtures(team.teamId, `last=${LAST_FIXTURES}`)));
+      }
+      matches.push(...items.map((item) => fixtureToMatch(item, team)).filter(Boolean));
+    }
+
+    logger.info(`[RETRIEVAL] Total matches found on API-Football: ${matches.length}`);
+    return matches;
+  } catch (err) {
+    const error = ensureError(err);
+    logger.error('[RETRIEVAL] Failed to fetch fixtures from API-Football', error);
+    throw err;
+  }
+}
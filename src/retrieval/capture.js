@@ -0,0 +1,73 @@
+/**
+ * Record and replay of scraped pages
+ *
+ * A recorder collects every response fetched by a scraping source during a run
+ * and saves them to DATA_DIR/captures/<runId> (see storage.js). A replayer serves
+ * those responses back instead of the network, so the parsers can be re-run
+ * offline against the exact HTML of a past run.
+ */
+
+import { logger } from '../logger.js';
+import { saveHtmlCapture } from '../storage.js';
+
+/**
+ * @typedef {Object} PageRecorder
+ * @property {string} runId
+ * @property {(page: {url: string, status: number|null, headers?: Object, body?: string|null, error?: string}) => void} record
+ * @property {() => Promise<number>} save - Saves the capture, returns the number of recorded pages
+ */
+
+/**
+ * @typedef {Object} PageReplayer
+ * @property {string} runId - Run the capture was recorded in
+ * @property {Date} capturedAt - Start of the recorded run, used to rebuild that run's page list
+ * @property {(url: string) => string|null} getHTML - Recorded body (null when the page was missing or failed)
+ */
+
+/**
+ * @param {string} runId
+ * @returns {PageRecorder}
+ */
+export function createPageRecorder(runId) {
+  const startedAt = new Date().toISOString();
+  const pages = [];
+
+  return {
+    runId,
+    record(page) {
+      pages.push({ ...page, fetchedAt: new Date().toISOString() });
+    },
+    async save() {
+      if (pages.length === 0) return 0;
+      await saveHtmlCapture({ runId, startedAt, pages });
+      logger.info(`[RETRIEVAL] Recorded ${pages.length} fetched pages for ${runId}`);
+      return pages.length;
+    },
+  };
+}
+
+/**
+ * @param {Object} capture - Capture read from storage (getHtmlCapture / readHtmlCapture)
+ * @returns {PageReplayer}
+ */
+export function createPageReplayer(capture) {
+  // Retries record one entry per attempt: the last one is what the run used
+  const pagesByUrl = new Map(capture.pages.map((page) => [page.url, page]));
+
+  return {
+    runId: capture.runId,
+    capturedAt: new Date(capture.startedAt),
+    getHTML(url) {
+      const page = pagesByUrl.get(url);
+      if (!page) {
+        logger.warn(`[RETRIEVAL] Page not in capture ${capture.runId}: ${url}`);
+        return null;
+      }
+      if (page.status === null || page.status < 200 || page.status >= 300) {
+        logger.info(`[RETRIEVAL] Replaying ${page.error || `HTTP ${page.status}`} for ${url}`);
+        return null;
+      }
+      return page.body;
+    },
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * Competition page catalogue for ptd.verdao.net
+ *
+ * Every competition has one page per season (e.g. /brasileirao-2026/). The
+ * catalogue describes them with slug and display name templates ({year} is the
+ * season) and the seasons they are active in. It comes from COMPETITION_CATALOGUE
+ * (or the built-in list below), can be replaced at runtime through the admin
+ * endpoints (stored in DATA_DIR) and is extended with the competitions linked
+ * from the home page menu, so new tournaments are picked up without code changes.
+ * Discovered competitions are added disabled: an admin enables them
+ * (PATCH /api/competitions/:id) before their pages are scraped.
+ */
+
+import * as cheerio from 'cheerio';
+import { logger } from '../logger.js';
+import { COMPETITION_CATALOGUE } from '../config.js';
+import { getCompetitionCatalogueState, saveCompetitionCatalogueState } from '../storage.js';
+import { DEFAULT_SQUAD, inferSquad } from '../squads.js';
+
+export const VERDAO_BASE_URL = 'https://ptd.verdao.net';
+
+/**
+ * @typedef {Object} Competition
+ * @property {string} id - Unique id, e.g. "brasileirao"
+ * @property {string} name - Display name template, e.g. "Brasileirão {year}"
+ * @property {string} slug - Page slug template, e.g. "brasileirao-{year}"
+ * @property {number[]} [seasons] - Seasons the competition has a page for (default: every season)
+ * @property {string} [squad] - Squad playing it (see squads.js; default: 'principal')
+ * @property {boolean} [enabled] - false to stop scraping it (default: true)
+ * @property {boolean} [discovered] - Added from the home page menu (disabled until an admin enables it)
+ */
+
+/** @type {Competition[]} */
+export const DEFAULT_COMPETITIONS = [
+  { id: 'brasileirao', name: 'Brasileirão {year}', slug: 'brasileirao-{year}' },
+  { id: 'paulista', name: 'Paulista {year}', slug: 'paulista-{year}' },
+  { id: 'copa-do-brasil', name: 'Copa do Brasil {year}', slug: 'copa-do-brasil-{year}' },
+  { id: 'libertadores', name: 'Libertadores {year}', slug: 'libertadores-{year}' },
+];
+
+const ID_PATTERN = /^[a-z0-9-]+$/;
+const SLUG_PATTERN = /^(?:[a-z0-9-]|\{year\})+$/;
+// Season pages linked from the home page menu, e.g. /mundial-de-clubes-2025/
+const SEASON_PAGE_PATTERN = /^\/([a-z0-9-]+?)-(\d{4})\/?$/;
+const MENU_LINK_SELECTOR = 'nav a[href], .menu a[href], .menu-item a[href]';
+
+/**
+ * Invalid catalogue, with the HTTP status the admin endpoint should answer with
+ */
+export class CompetitionCatalogueError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CompetitionCatalogueError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validates a catalogue and normalizes its entries
+ * @param {Object[]} competitions
+ * @returns {Competition[]}
+ */
+export function validateCompetitions(competitions) {
+  if (!Array.isArray(competitions)) {
+    throw new CompetitionCatalogueError('The competition catalogue must be an array');
+  }
+
+  const ids = new Set();
+  return competitions.map((competition, idx) => {
+    const label = `Competition #${idx + 1}`;
+    if (!competition || typeof competition !== 'object') {
+      throw new CompetitionCatalogueError(`${label} must be an object`);
+    }
+
+    const { id, name, slug, seasons, squad, enabled, discovered } = competition;
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new CompetitionCatalogueError(`${label}: id must contain only lowercase letters, digits and dashes`);
+    }
+    if (ids.has(id)) {
+      throw new CompetitionCatalogueError(`${label}: duplicate id "${id}"`);
+    }
+    ids.add(id);
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new CompetitionCatalogueError(`${label} (${id}): name is required`);
+    }
+    if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) {
+      throw new CompetitionCatalogueError(`${label} (${id}): slug must contain only lowercase letters, digits, dashes and {year}`);
+    }
+    if (seasons !== undefined && seasons !== null
+      && (!Array.isArray(seasons) || !seasons.every((season) => Number.isInteger(season)))) {
+      throw new CompetitionCatalogueError(`${label} (${id}): seasons must be a list of years`);
+    }
+    if (squad !== undefined && (typeof squad !== 'string' || !ID_PATTERN.test(squad))) {
+      throw new CompetitionCatalogueError(`${label} (${id}): squad must be a squad id, e.g. "feminino"`);
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      throw new CompetitionCatalogueError(`${label} (${id}): enabled must be true or false`);
+    }
+
+    return {
+      id,
+      name: name.trim(),
+      slug,
+      ...(seasons && { seasons: [...new Set(seasons)].sort((a, b) => a - b) }),
+      ...(squad && { squad }),
+      enabled: enabled !== false,
+      ...(discovered && { discovered: true }),
+    };
+  });
+}
+
+/** @type {Competition[]|null} COMPETITION_CATALOGUE, validated at startup rather than on every sync */
+const CONFIGURED_COMPETITIONS = (() => {
+  if (!COMPETITION_CATALOGUE) return null;
+  try {
+    return validateCompetitions(COMPETITION_CATALOGUE);
+  } catch (err) {
+    throw new Error(`Invalid COMPETITION_CATALOGUE: ${err.message}`);
+  }
+})();
+
+/**
+ * Season whose pages are scraped: past December 20th the next season's pages are used
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function getSeasonYear(now = new Date()) {
+  const currentYear = now.getFullYear();
+  return (now.getMonth() === 11 && now.getDate() > 20) ? currentYear + 1 : currentYear;
+}
+
+/**
+ * @param {Object|null} state - Stored catalogue state
+ * @returns {{source: 'stored'|'config'|'default', competitions: Competition[], discovered: Competition[]}}
+ *   Catalogue list in effect, and the discovered competitions that are not in it
+ */
+function resolveCatalogue(state) {
+  let source = 'default';
+  let competitions = validateCompetitions(DEFAULT_COMPETITIONS);
+  if (state?.competitions) {
+    source = 'stored';
+    competitions = validateCompetitions(state.competitions);
+  } else if (CONFIGURED_COMPETITIONS) {
+    source = 'config';
+    competitions = CONFIGURED_COMPETITIONS;
+  }
+
+  const ids = new Set(competitions.map((competition) => competition.id));
+  const slugs = new Set(competitions.map((competition) => competition.slug));
+  const discovered = (state?.discovered || [])
+    .filter((competition) => !ids.has(competition.id) && !slugs.has(competition.slug));
+
+  return { source, competitions, discovered };
+}
+
+/**
+ * Resolves the catalogue in effect: the admin-edited list (DATA_DIR), else
+ * COMPETITION_CATALOGUE, else the built-in list, plus the discovered competitions
+ * that are not in it
+ * @returns {Promise<{source: 'stored'|'config'|'default', competitions: Competition[], updatedAt?: string}>}
+ */
+export async function getCompetitionCatalogue() {
+  const state = await getCompetitionCatalogueState();
+  const { source, competitions, discovered } = resolveCatalogue(state);
+  return { source, competitions: [...competitions, ...discovered], updatedAt: state?.updatedAt };
+}
+
+/**
+ * @param {Competition[]} competitions
+ * @param {Date} [now]
+ * @returns {Array<{url: string, competition: string, id: string, squad?: string}>} Pages of the enabled
+ *   competitions active this season
+ */
+export function getCompetitionPages(competitions, now = new Date()) {
+  const year = getSeasonYear(now);
+  return competitions
+    .filter((competition) => competition.enabled !== false)
+    .filter((competition) => !competition.seasons || competition.seasons.includes(year))
+    .map((competition) => ({
+      id: competition.id,
+      url: `${VERDAO_BASE_URL}/${competition.slug.replaceAll('{year}', year)}/`,
+      competition: competition.name.replaceAll('{year}', year),
+      ...(competition.squad && { squad: competition.squad }),
+    }));
+}
+
+/**
+ * Replaces the catalogue with an admin-edited list (discovered competitions are kept)
+ * @param {Object[]} competitions
+ * @returns {Promise<Object>} Catalogue in effect (see getCompetitionCatalogue)
+ */
+export async function saveCompetitions(competitions) {
+  const validated = validateCompetitions(competitions);
+  const state = await getCompetitionCatalogueState();
+  await saveCompetitionCatalogueState({ competitions: validated, discovered: state?.discovered || [] });
+  logger.info(`[COMPETITIONS] Catalogue replaced (${validated.length} competitions)`);
+  return getCompetitionCatalogue();
+}
+
+/**
+ * Drops the admin-edited list, going back to COMPETITION_CATALOGUE or the built-in list
+ * @returns {Promise<Object>} Catalogue in effect (see getCompetitionCatalogue)
+ */
+export async function resetCompetitions() {
+  const state = await getCompetitionCatalogueState();
+  await saveCompetitionCatalogueState({ competitions: null, discovered: state?.discovered || [] });
+  logger.info('[COMPETITIONS] Catalogue reset to the configured defaults');
+  return getCompetitionCatalogue();
+}
+
+/**
+ * Enables or disables one competition. A catalogue entry is changed in the admin-edited list
+ * (created from the catalogue in effect, like PUT /api/competitions); a discovered one in place.
+ * @param {string} id
+ * @param {boolean} enabled
+ * @returns {Promise<Object>} Catalogue in effect (see getCompetitionCatalogue)
+ */
+export async function setCompetitionEnabled(id, enabled) {
+  if (typeof enabled !== 'boolean') {
+    throw new CompetitionCatalogueError('enabled must be true or false');
+  }
+
+  const state = await getCompetitionCatalogueState();
+  const { competitions, discovered } = resolveCatalogue(state);
+  const toggle = (competition) => (competition.id === id ? { ...competition, enabled } : competition);
+
+  if (competitions.some((competition) => competition.id === id)) {
+    await saveCompetitionCatalogueState({ competitions: competitions.map(toggle), discovered: state?.discovered || [] });
+  } else if (discovered.some((competition) => competition.id === id)) {
+    await saveCompetitionCatalogueState({ competitions: state?.competitions || null, discovered: state.discovered.map(toggle) });
+  } else {
+    throw new CompetitionCatalogueError(`Unknown competition "${id}"`, 404);
+  }
+
+  logger.info(`[COMPETITIONS] ${id} ${enabled ? 'enabled' : 'disabled'}`);
+  return getCompetitionCatalogue();
+}
+
+/**
+ * Reads the competition season pages linked from the home page menu
+ * @param {string} html - ptd.verdao.net home page
+ * @returns {Competition[]} One entry per competition, with the seasons found (disabled)
+ */
+export function discoverCompetitions(html) {
+  const $ = cheerio.load(html);
+  const found = new Map();
+
+  $(MENU_LINK_SELECTOR).each((_idx, link) => {
+    let url;
+    try {
+      url = new URL($(link).attr('href'), VERDAO_BASE_URL);
+    } catch (err) {
+      return;
+    }
+    if (url.hostname !== new URL(VERDAO_BASE_URL).hostname) return;
+
+    const pageMatch = url.pathname.match(SEASON_PAGE_PATTERN);
+    const text = $(link).text().replace(/\s+/g, ' ').trim();
+    if (!pageMatch || !text) return;
+
+    const [, id, year] = pageMatch;
+    const season = parseInt(year, 10);
+    const existing = found.get(id);
+    if (existing) {
+      existing.seasons = [...new Set([...existing.seasons, season])].sort((a, b) => a - b);
+      return;
+    }
+
+    const squad = inferSquad(`${id} ${text}`);
+    found.set(id, {
+      id,
+      name: text.includes(year) ? text.replaceAll(year, '{year}') : `${text} {year}`,
+      slug: `${id}-{year}`,
+      seasons: [season],
+      ...(squad !== DEFAULT_SQUAD && { squad }),
+      enabled: false,
+      discovered: true,
+    });
+  });
+
+  return Array.from(found.values());
+}
+
+/**
+ * Adds discovered competitions to the catalogue. Competitions already in the
+ * catalogue are left alone, except previously discovered ones, which gain the new seasons.
+ * @param {Competition[]} discovered - See discoverCompetitions
+ * @param {Object} [options]
+ * @param {boolean} [options.persist] - Save the result (false for dry runs and replays)
+ * @returns {Promise<{competitions: Competition[], added: string[], updated: string[]}>}
+ *   Catalogue in effect after the merge, and the ids added / given new seasons
+ */
+export async function mergeDiscoveredCompetitions(discovered, { persist = true } = {}) {
+  const state = await getCompetitionCatalogueState();
+  const { competitions } = await getCompetitionCatalogue();
+  const known = competitions.filter((competition) => !competition.discovered);
+  const storedDiscovered = [...(state?.discovered || [])];
+  const added = [];
+  const updated = [];
+
+  for (const competition of discovered) {
+    if (known.some((entry) => entry.id === competition.id || entry.slug === competition.slug)) continue;
+
+    const previous = storedDiscovered.find((entry) => entry.id === competition.id);
+    if (!previous) {
+      storedDiscovered.push(competition);
+      added.push(competition.id);
+      continue;
+    }
+
+    const newSeasons = competition.seasons.filter((season) => !previous.seasons?.includes(season));
+    if (newSeasons.length > 0) {
+      previous.seasons = [...(previous.seasons || []), ...newSeasons].sort((a, b) => a - b);
+      updated.push(competition.id);
+    }
+  }
+
+  if (added.length > 0 || updated.length > 0) {
+    logger.info(`[COMPETITIONS] Discovered on the home page menu: ${[...added, ...updated].join(', ')}`);
+    if (added.length > 0) {
+      logger.info(`[COMPETITIONS] New competitions are not scraped until enabled: PATCH /api/competitions/:id {"enabled": true}`);
+    }
+    if (persist) {
+      await saveCompetitionCatalogueState({ competitions: state?.competitions || null, discovered: storedDiscovered });
+    }
+  }
+
+  const discoveredEntries = storedDiscovered.filter(
+    (competition) => !known.some((entry) => entry.id === competition.id || entry.slug === competition.slug)
+  );
+  return { competitions: [...known, ...discoveredEntries], added, updated };
+}
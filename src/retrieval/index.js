@@ -0,0 +1,271 @@
+/**
+ * Retrieval source registry
+ *
+ * Runs every enabled retrieval source, tags each Match with the id of the
+ * source that produced it and merges fixtures found by more than one source.
+ * Field values are picked per field, following RETRIEVAL_FIELD_PRIORITY
+ * (e.g. kickoff time from one source, broadcast from another).
+ * A source that fails or returns nothing does not fail the whole retrieval.
+ */
+
+import { logger } from '../logger.js';
+import { RETRIEVAL_FIELD_PRIORITY, API_FOOTBALL_KEY, HTML_RECORDING } from '../config.js';
+import { getMatchUniqueKey, pickBetterMatch } from '../processing.js';
+import { TEAMS, DEFAULT_TEAM, getTeamTag } from '../teams.js';
+import {
+  fetchPalmeirasFixtures,
+  getVerdaoPages,
+  parseMatchesFromHTML,
+  createPageStats,
+  VERDAO_HEADERS,
+} from './verdao.js';
+import { fetchApiFootballFixtures } from './api-football.js';
+import { createPageRecorder } from './capture.js';
+
+/** Match fields that can be merged across sources */
+const MERGEABLE_FIELDS = ['date', 'opponent', 'isHome', 'competition', 'location', 'city', 'address', 'coordinates', 'broadcast', 'stage', 'score'];
+
+/**
+ * @typedef {Object} RetrievalSource
+ * @property {string} id - Identifier used in RETRIEVAL_SOURCES and field priorities
+ * @property {string} name - Human readable name
+ * @property {(context: {team: TeamProfile, recorder?: PageRecorder, replay?: PageReplayer, pageStats: Object[], persist: boolean}) => Promise<Match[]>} fetch
+ *   Returns the matches of context.team in standardized format. Scraping sources record fetched pages to
+ *   context.recorder, read them from context.replay instead of the network when set,
+ *   and push per-page parser health counters to context.pageStats (see drift.js).
+ *   Source state (e.g. discovered competitions) is only saved when context.persist is set.
+ * @property {() => boolean} [isConfigured] - false when the source cannot run (e.g. missing key)
+ * @property {() => Promise<Array<{url: string, competition: string}>>} [getPages] - HTML pages the source scrapes
+ * @property {(html: string, page: {url: string, competition: string}) => {matches: Match[], stats: Object}} [parsePage]
+ *   Parser for those pages, with its parser health counters
+ * @property {Object} [headers] - Request headers used to fetch the pages
+ * @property {boolean} [supportsReplay] - Can read pages from a recorded run (see retrieval/capture.js)
+ */
+
+/** @type {Map<string, RetrievalSource>} */
+const sources = new Map();
+
+/**
+ * Registers a retrieval source. Registering an existing id replaces it.
+ * @param {RetrievalSource} source
+ */
+export function registerSource(source) {
+  sources.set(source.id, source);
+}
+
+registerSource({
+  id: 'verdao',
+  name: 'ptd.verdao.net',
+  fetch: fetchPalmeirasFixtures,
+  getPages: () => getVerdaoPages(),
+  parsePage: (html, page) => {
+    const stats = createPageStats();
+    const matches = parseMatchesFromHTML(html, page.competition, page.url, new Date(), stats);
+    return { matches, stats };
+  },
+  supportsReplay: true,
+  headers: VERDAO_HEADERS,
+});
+
+registerSource({
+  id: 'api-football',
+  name: 'API-Football',
+  fetch: fetchApiFootballFixtures,
+  isConfigured: () => Boolean(API_FOOTBALL_KEY),
+});
+
+/**
+ * @param {TeamProfile} [team]
+ * @returns {RetrievalSource[]} Enabled and configured sources of the team (RETRIEVAL_SOURCES
+ *   for the built-in profile), in priority order
+ */
+export function getEnabledSources(team = DEFAULT_TEAM) {
+  const enabled = [];
+
+  for (const id of team.sources) {
+    const source = sources.get(id);
+    if (!source) {
+      logger.warn(`[RETRIEVAL] Unknown retrieval source for team ${team.id}: ${id}`);
+      continue;
+    }
+    if (source.isConfigured && !source.isConfigured()) {
+      logger.info(`[RETRIEVAL] Source ${id} is not configured - skipping`);
+      continue;
+    }
+    enabled.push(source);
+  }
+
+  return enabled;
+}
+
+/**
+ * Pages scraped by the enabled sources, used as the allowlist of the page diagnostics
+ * @returns {Promise<Array<{url: string, competition: string, source: RetrievalSource}>>}
+ */
+export async function getSourcePages() {
+  const scraping = new Set(TEAMS.flatMap((team) => getEnabledSources(team)).filter((source) => source.getPages));
+  const pages = [];
+  for (const source of scraping) {
+    pages.push(...(await source.getPages()).map((page) => ({ ...page, source })));
+  }
+  return pages;
+}
+
+/**
+ * Picks the value of a field from the candidates, following the field priority.
+ * Empty strings and missing values are skipped so a lower priority source can fill the gap.
+ * @param {string} field
+ * @param {Map<string, Match[]>} candidates - Matches per source id, best match first
+ * @param {string[]} sourceOrder - Default source order
+ */
+function pickFieldValue(field, candidates, sourceOrder) {
+  const order = [...(RETRIEVAL_FIELD_PRIORITY[field] || []), ...sourceOrder];
+
+  for (const sourceId of order) {
+    for (const match of candidates.get(sourceId) || []) {
+      const value = match[field];
+      if (value !== undefined && value !== null && value !== '') {
+        return value;
+      }
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Merges matches from several sources into a single list.
+ * Fixtures reported by only one source are passed through untouched (processing
+ * deduplicates them later); fixtures reported by several sources are merged field by field.
+ * @param {Map<string, Match[]>} matchesBySource - Matches keyed by source id, in priority order
+ * @returns {Match[]}
+ */
+export function mergeSourceMatches(matchesBySource) {
+  const sourceOrder = Array.from(matchesBySource.keys());
+  const byKey = new Map();
+
+  for (const [sourceId, matches] of matchesBySource) {
+    for (const match of matches) {
+      const key = getMatchUniqueKey(match);
+      if (!byKey.has(key)) byKey.set(key, new Map());
+      const perSource = byKey.get(key);
+      if (!perSource.has(sourceId)) perSource.set(sourceId, []);
+      perSource.get(sourceId).push(match);
+    }
+  }
+
+  const merged = [];
+
+  for (const perSource of byKey.values()) {
+    if (perSource.size === 1) {
+      merged.push(...perSource.values().next().value);
+      continue;
+    }
+
+    const candidates = new Map();
+    for (const [sourceId, matches] of perSource) {
+      const ranked = [...matches].sort((a, b) => (pickBetterMatch(a, b) === a ? -1 : 1));
+      candidates.set(sourceId, ranked);
+    }
+
+    // A kickoff time from any source beats an A/D (tentative) date
+    const scheduled = new Map(
+      Array.from(candidates)
+        .map(([sourceId, matches]) => [sourceId, matches.filter((match) => !match.tentative)])
+        .filter(([, matches]) => matches.length > 0)
+    );
+    const dateCandidates = scheduled.size > 0 ? scheduled : candidates;
+
+    const baseSourceId = sourceOrder.find((id) => dateCandidates.has(id));
+    const match = { ...dateCandidates.get(baseSourceId)[0] };
+    for (const field of MERGEABLE_FIELDS) {
+      const value = pickFieldValue(field, field === 'date' ? dateCandidates : candidates, sourceOrder);
+      if (value !== undefined) match[field] = value;
+    }
+    match.sources = Array.from(candidates.keys());
+
+    merged.push(match);
+  }
+
+  return merged;
+}
+
+/**
+ * Runs the enabled retrieval sources of every team profile and merges their results
+ * (per team: fixtures of different teams are never merged)
+ * @param {Object} [options]
+ * @param {string} [options.runId] - Run id, used to name the HTML capture
+ * @param {boolean} [options.record] - Archive fetched pages when HTML_RECORDING is enabled and save
+ *   source state (false for dry runs)
+ * @param {PageReplayer} [options.replay] - Replay a recorded run (only sources that support replay run)
+ * @returns {Promise<{matches: Match[], sources: Object[], capturedPages?: number}>} Merged matches and per-source report
+ */
+export async function retrieveMatches({ runId, record = false, replay } = {}) {
+  const plan = TEAMS.map((team) => {
+    let enabledSources = getEnabledSources(team);
+    if (replay) {
+      enabledSources = enabledSources.filter((source) => source.supportsReplay);
+    }
+    return { team, enabledSources };
+  });
+  if (plan.every(({ enabledSources }) => enabledSources.length === 0)) {
+    throw new Error('No retrieval sources enabled - check RETRIEVAL_SOURCES / TEAM_PROFILES');
+  }
+
+  const recorder = record && HTML_RECORDING && runId && !replay ? createPageRecorder(runId) : null;
+
+  const matches = [];
+  const report = [];
+
+  for (const { team, enabledSources } of plan) {
+    const matchesBySource = new Map();
+
+    for (const source of enabledSources) {
+      const start = Date.now();
+      const pageStats = [];
+      try {
+        const sourceMatches = await source.fetch({ team, recorder, replay, pageStats, persist: record && !replay });
+        const tagged = sourceMatches.map((match) => ({ ...match, ...getTeamTag(team), sourceId: source.id }));
+
+        report.push({
+          id: source.id,
+          ...(TEAMS.length > 1 && { team: team.id }),
+          status: tagged.length > 0 ? 'ok' : 'empty',
+          count: tagged.length,
+          durationMs: Date.now() - start,
+          pages: pageStats.length > 0 ? pageStats : undefined,
+        });
+
+        if (tagged.length === 0) {
+          logger.warn(`[RETRIEVAL] Source ${source.id} returned no matches for ${team.name}`);
+          continue;
+        }
+        matchesBySource.set(source.id, tagged);
+      } catch (err) {
+        logger.warn(`[RETRIEVAL] Source ${source.id} failed for ${team.name}: ${err.message}`);
+        report.push({
+          id: source.id,
+          ...(TEAMS.length > 1 && { team: team.id }),
+          status: 'error',
+          count: 0,
+          error: err.message,
+          durationMs: Date.now() - start,
+          pages: pageStats.length > 0 ? pageStats : undefined,
+        });
+      }
+    }
+
+    const merged = mergeSourceMatches(matchesBySource);
+    logger.info(`[RETRIEVAL] Merged ${merged.length} ${team.name} matches from ${matchesBySource.size} source(s)`);
+    matches.push(...merged);
+  }
+
+  // Saved before failing so the pages of a broken run can be replayed
+  const capturedPages = recorder ? await recorder.save() : undefined;
+
+  if (report.every((entry) => entry.status === 'error')) {
+    throw new Error(`All retrieval sources failed: ${report.map((entry) => `${entry.id} (${entry.error})`).join(', ')}`);
+  }
+
+  return { matches, sources: report, capturedPages };
+}
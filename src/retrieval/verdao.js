@@ -2,36 +2,43 @@
  * Retrieval logic for ptd.verdao.net
  * 
  * This module contains all code related to fetching/scraping match data from verdao.net.
- * To change the data source, create a new retrieval module and update the import in sync.js.
+ * Other data sources live next to this module and are registered in retrieval/index.js.
  * All functions here must return matches in the standardized Match format.
  */
 
 import { logger, ensureError } from '../logger.js';
 import { normalizeOpponentName } from '../processing.js';
+import { COMPETITION_DISCOVERY } from '../config.js';
+import { DEFAULT_SQUAD, inferSquad, isSquadEnabled } from '../squads.js';
+import { DEFAULT_TEAM, isTeamName, isHomeVenue } from '../teams.js';
+import { getVenueFields } from '../venues.js';
+import { parseStage } from '../stages.js';
+import { parseBroadcastText } from '../channels.js';
+import {
+  VERDAO_BASE_URL,
+  getCompetitionCatalogue,
+  getCompetitionPages,
+  discoverCompetitions,
+  mergeDiscoveredCompetitions,
+} from './competitions.js';
 import * as cheerio from 'cheerio';
 
-const VERDAO_BASE_URL = 'https://ptd.verdao.net';
+const HOME_PAGE = { url: `${VERDAO_BASE_URL}/`, competition: 'Próximos Jogos' };
 
 /**
- * Generates the list of pages to scrape based on current year
- * If we're past December 20th, use next year instead
- * @returns {Array<{url: string, competition: string}>}
+ * Lists the pages to scrape: the competition catalogue pages of the current season
+ * (see retrieval/competitions.js) of the squads in SQUADS, plus the home page
+ * @param {Date} [now] - Reference date (the capture date when replaying a recorded run)
+ * @param {Competition[]} [competitions] - Catalogue to use (default: the catalogue in effect)
+ * @returns {Promise<Array<{url: string, competition: string}>>}
  */
-export function getVerdaoPages() {
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  // If we're past December 20th, use next year for URLs
-  const year = (now.getMonth() === 11 && now.getDate() > 20) ? currentYear + 1 : currentYear;
-  return [
-    { url: `${VERDAO_BASE_URL}/brasileirao-${year}/`, competition: `Brasileirão ${year}` },
-    { url: `${VERDAO_BASE_URL}/paulista-${year}/`, competition: `Paulista ${year}` },
-    { url: `${VERDAO_BASE_URL}/copa-do-brasil-${year}/`, competition: `Copa do Brasil ${year}` },
-    { url: `${VERDAO_BASE_URL}/libertadores-${year}/`, competition: `Libertadores ${year}` },
-    { url: `${VERDAO_BASE_URL}/`, competition: 'Próximos Jogos' }, // Home page
-  ];
+export async function getVerdaoPages(now = new Date(), competitions) {
+  const catalogue = competitions || (await getCompetitionCatalogue()).competitions;
+  const pages = getCompetitionPages(catalogue, now).filter((page) => isSquadEnabled(page.squad || DEFAULT_SQUAD));
+  return [...pages, HOME_PAGE];
 }
 
-const VERDAO_HEADERS = {
+export const VERDAO_HEADERS = {
   'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
   'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
   'Accept-Language': 'pt-BR,pt;q=0.9,en-US;q=0.8,en;q=0.7',
@@ -45,16 +52,18 @@ const VERDAO_HEADERS = {
   'Upgrade-Insecure-Requests': '1',
 };
 
+const FETCH_TIMEOUT_MS = 60_000;
+
 /**
  * Fetches HTML from a URL with retry logic
  * Returns null if the page is not found (404), not published yet, or unreachable after retries.
  * @param {string} url - URL to fetch
  * @param {number} retries - Number of retry attempts
+ * @param {Object} [options]
+ * @param {PageRecorder} [options.recorder] - Records every attempt (see retrieval/capture.js)
  * @returns {Promise<string|null>} - HTML content or null
  */
-const FETCH_TIMEOUT_MS = 60_000;
-
-export async function fetchHTML(url, retries = 4) {
+export async function fetchHTML(url, retries = 4, { recorder } = {}) {
   const attemptErrors = [];
 
   for (let i = 0; i < retries; i++) {
@@ -66,10 +75,17 @@ export async function fetchHTML(url, retries = 4) {
         signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
       });
       
+      const body = recorder || response.ok ? await response.text() : null;
+      recorder?.record({
+        url,
+        status: response.status,
+        headers: Object.fromEntries(response.headers.entries()),
+        body,
+      });
+
       if (response.ok) {
-        const html = await response.text();
-        logger.info(`[RETRIEVAL] Success: ${url} - ${html.length} bytes`);
-        return html;
+        logger.info(`[RETRIEVAL] Success: ${url} - ${body.length} bytes`);
+        return body;
       }
       
       if (response.status === 404 || response.status === 410) {
@@ -82,6 +98,7 @@ export async function fetchHTML(url, retries = 4) {
       logger.warn(`[RETRIEVAL] Attempt ${i + 1}/${retries} ${detail} for ${url}`);
     } catch (error) {
       const detail = `${error.name}: ${error.message}`;
+      recorder?.record({ url, status: null, error: detail });
       attemptErrors.push(detail);
       logger.warn(`[RETRIEVAL] Attempt ${i + 1}/${retries} failed for ${url}: ${detail}`);
     }
@@ -156,9 +173,33 @@ function createDateInSaoPaulo(year, month, day, hour, minute) {
   return new Date(targetUTC.getTime() + offsetMs);
 }
 
-function parseDateTime(dateTimeStr, competition) {
-  if (/A\s*\/\s*D/i.test(dateTimeStr)) {
-    logger.info(`[RETRIEVAL] Skipping match with undefined date/time (A/D): ${dateTimeStr}`);
+/** "A/D" (a definir): the date or kickoff time is not set yet */
+const UNDETERMINED_DATE_PATTERN = /A\s*\/\s*D/i;
+
+/**
+ * Parser health counters of a page, compared across runs to detect layout changes (see drift.js)
+ * @returns {{tables: number, rows: number, parsed: number, rejected: number, undetermined: number, unknownBroadcasts: string[]}}
+ *   tables: tables recognized as fixture tables; rows: candidate fixture rows;
+ *   parsed: rows that became matches; rejected: rows whose date/teams could not be parsed;
+ *   undetermined: rows with an A/D (not yet defined) date or time, including those that became tentative matches;
+ *   unknownBroadcasts: TV column tokens missing from the channel dictionary
+ */
+export function createPageStats() {
+  return { tables: 0, rows: 0, parsed: 0, rejected: 0, undetermined: 0, unknownBroadcasts: [] };
+}
+
+/**
+ * @param {string} competition - e.g. "Brasileirão 2026"
+ * @param {Date} now
+ * @returns {number} Season year from the competition name, else the current year
+ */
+function getCompetitionYear(competition, now) {
+  const yearMatch = competition.match(/\b(20\d{2})\b/);
+  return yearMatch ? parseInt(yearMatch[1], 10) : now.getFullYear();
+}
+
+function parseDateTime(dateTimeStr, competition, now = new Date()) {
+  if (UNDETERMINED_DATE_PATTERN.test(dateTimeStr)) {
     return null;
   }
 
@@ -169,14 +210,8 @@ function parseDateTime(dateTimeStr, competition) {
   }
   
   const [, day, month, hour, minute] = match;
-  const now = new Date();
-  let year = now.getFullYear();
-  
   // Extract year from competition name (e.g., "Brasileirão 2026" -> 2026)
-  const yearMatch = competition.match(/\b(20\d{2})\b/);
-  if (yearMatch) {
-    year = parseInt(yearMatch[1], 10);
-  }
+  const year = getCompetitionYear(competition, now);
   
   // Create date in São Paulo timezone (verdao.net always uses São Paulo time)
   let date = createDateInSaoPaulo(year, parseInt(month), parseInt(day), parseInt(hour), parseInt(minute));
@@ -189,60 +224,107 @@ function parseDateTime(dateTimeStr, competition) {
   return date;
 }
 
-function parseBroadcast(tvText) {
+/**
+ * Parses an A/D date: a known day without kickoff time ("18/03 – A/D"), or the
+ * window of the round when only its weekend is known ("14/03 a 16/03 – A/D", "14 a 16/03 – A/D")
+ * @param {string} dateTimeStr
+ * @param {string} competition
+ * @param {Date} [now]
+ * @returns {{date: Date, windowDays: number}|null} São Paulo midnight of the first possible day and
+ *   the number of possible days, or null when not even the day is known
+ */
+function parseTentativeDate(dateTimeStr, competition, now = new Date()) {
+  const window = dateTimeStr.match(/(\d{1,2})(?:\/(\d{1,2}))?\s*(?:a|e|[–-])\s*(\d{1,2})\/(\d{1,2})/i);
+  const single = dateTimeStr.match(/(\d{1,2})\/(\d{1,2})/);
+  if (!window && !single) {
+    logger.info(`[RETRIEVAL] Skipping match with undefined date (A/D): ${dateTimeStr}`);
+    return null;
+  }
+
+  const endDay = parseInt(window ? window[3] : single[1], 10);
+  const endMonth = parseInt(window ? window[4] : single[2], 10);
+  const startDay = window ? parseInt(window[1], 10) : endDay;
+  const startMonth = window?.[2] ? parseInt(window[2], 10) : endMonth;
+
+  let year = getCompetitionYear(competition, now);
+  // Same year rollover as parseDateTime, checked on the last possible day
+  if (createDateInSaoPaulo(year, endMonth, endDay, 23, 59) < now && now.getMonth() >= 11) {
+    year++;
+  }
+
+  // A window across new year ("30/12 a 02/01") starts in the previous year
+  const date = createDateInSaoPaulo(startMonth > endMonth ? year - 1 : year, startMonth, startDay, 0, 0);
+  const end = createDateInSaoPaulo(year, endMonth, endDay, 0, 0);
+  const windowDays = Math.round((end - date) / (24 * 60 * 60 * 1000)) + 1;
+  if (windowDays < 1 || windowDays > 7) {
+    logger.warn(`[RETRIEVAL] Could not parse A/D date window: ${dateTimeStr}`);
+    return null;
+  }
+
+  return { date, windowDays };
+}
+
+/**
+ * @param {{date: Date, windowDays: number}} tentativeDate - See parseTentativeDate
+ * @returns {Object} Match fields of a tentative match (kickoff time not set yet)
+ */
+function toTentativeFields({ date, windowDays }) {
+  return { date, tentative: true, ...(windowDays > 1 && { windowDays }) };
+}
+
+/**
+ * Resolves the TV column through the channel dictionary (see channels.js)
+ * @param {string} tvText
+ * @param {Object} stats - Page counters; tokens that match no channel are added to unknownBroadcasts
+ * @returns {string} Channel names, e.g. "Record, Cazé TV"
+ */
+function parseBroadcast(tvText, stats) {
   if (!tvText || tvText.trim() === '') return '';
-  
-  const channelMap = {
-    '1': 'Record',
-    '2': 'Cazé TV',
-    '3': 'TNT',
-    '4': 'HBO Max',
-    'Globo': 'Globo',
-    'Sportv': 'Sportv',
-    'Premiere': 'Premiere',
-    'Amazon Prime': 'Amazon Prime',
-    'Record': 'Record',
-    'Cazé': 'Cazé TV',
-    'HBO': 'HBO Max',
-  };
-  
-  const channels = [];
-  const parts = tvText.split(/[,\|]/).map(p => p.trim());
-  
-  for (const part of parts) {
-    if (channelMap[part]) {
-      channels.push(channelMap[part]);
-    } else if (part.match(/^\d+$/)) {
-      if (channelMap[part]) {
-        channels.push(channelMap[part]);
-      }
-    } else {
-      // Only add if it matches a known channel (case-insensitive)
-      const found = Object.entries(channelMap).find(([key, value]) => 
-        part.toLowerCase().includes(value.toLowerCase()) || part.toLowerCase().includes(key.toLowerCase())
-      );
-      if (found) {
-        channels.push(found[1]);
-      }
-      // Don't add unknown values (like stadium names) - they are not broadcast channels
-    }
+
+  const { broadcast, unknown } = parseBroadcastText(tvText);
+  for (const token of unknown) {
+    if (!stats.unknownBroadcasts.includes(token)) stats.unknownBroadcasts.push(token);
   }
-  
-  // Only return channels if we found known broadcast channels
-  return channels.join(', ');
+  return broadcast;
 }
 
-function parseCompetitionTable(html, competition, pageUrl) {
+/**
+ * Parses the score column of a finished match, e.g. "2 x 1" (empty for upcoming matches)
+ * @param {string} scoreText
+ * @param {Object} options
+ * @param {boolean} options.opponentFirst - The left side of the score is the opponent's
+ * @returns {{team: number, opponent: number}|null}
+ */
+function parseScore(scoreText, { opponentFirst }) {
+  const match = (scoreText || '').match(/^(\d{1,2})\s*[x×-]\s*(\d{1,2})$/i);
+  if (!match) return null;
+
+  const left = parseInt(match[1], 10);
+  const right = parseInt(match[2], 10);
+  return opponentFirst ? { team: right, opponent: left } : { team: left, opponent: right };
+}
+
+function parseCompetitionTable(html, competition, pageUrl, now = new Date(), stats = createPageStats(), team = DEFAULT_TEAM) {
   const $ = cheerio.load(html);
   const matches = [];
+  // Headings before a table name the stage of its games ("Fase de grupos", "Oitavas de final")
+  let sectionStage = null;
 
-  $('table').each((_idx, table) => {
-    const $table = $(table);
+  $('h1, h2, h3, h4, h5, h6, table').each((_idx, element) => {
+    if (element.tagName !== 'table') {
+      sectionStage = parseStage($(element).text());
+      return;
+    }
+
+    const $table = $(element);
     const tableText = $table.text().toLowerCase();
 
     if (!tableText.includes('data') && !tableText.includes('horário') && !tableText.includes('adversário')) {
       return;
     }
+    stats.tables++;
+    const tableStage = parseStage($table.find('caption').first().text(), sectionStage) || sectionStage;
+    let stage = tableStage;
 
     const rows = $table.find('tr').toArray();
     // Detect column layout from header row
@@ -252,10 +334,16 @@ function parseCompetitionTable(html, competition, pageUrl) {
 
     for (let ri = 1; ri < rows.length; ri++) {
       const cells = $(rows[ri]).find('td').map((_i, cell) => $(cell).text().trim()).get();
-      if (cells.length < 3) continue;
+      if (cells.length < 3) {
+        // Section rows ("QUARTAS DE FINAL – IDA", "12ª RODADA") name the stage of the rows below
+        const rowStage = parseStage($(rows[ri]).text(), tableStage);
+        if (rowStage) stage = rowStage;
+        continue;
+      }
 
       const dateTimeStr = cells[0];
       const opponent = cells[1];
+      const scoreText = hasScoreColumn ? cells[2] : '';
       const location = cells[2 + colOffset] || '';
       const tv = cells[3 + colOffset] || '';
 
@@ -264,35 +352,44 @@ function parseCompetitionTable(html, competition, pageUrl) {
           opponent === 'x' || opponent === '') {
         continue;
       }
+      stats.rows++;
+
+      const isUndetermined = UNDETERMINED_DATE_PATTERN.test(dateTimeStr);
+      const tentativeDate = isUndetermined ? parseTentativeDate(dateTimeStr, competition, now) : null;
+      const matchDate = isUndetermined ? tentativeDate?.date : parseDateTime(dateTimeStr, competition, now);
+      if (isUndetermined) stats.undetermined++;
+      if (!matchDate) {
+        if (!isUndetermined) stats.rejected++;
+        continue;
+      }
 
-      const matchDate = parseDateTime(dateTimeStr, competition);
-      if (!matchDate) continue;
-
-      const locationLower = location.toLowerCase();
-      const isHome =
-        locationLower.includes('barueri') ||
-        locationLower.includes('allianz') ||
-        locationLower.includes('nubank');
+      const isHome = isHomeVenue(team, location);
       const cleanOpponent = normalizeOpponentName(
         opponent.trim().replace(/^x\s+/i, '').replace(/\s+x$/i, '').trim()
       );
+      // "Santos x" means the opponent is listed first (left side of the score)
+      const score = parseScore(scoreText, { opponentFirst: /\s+x$/i.test(opponent.trim()) });
 
       matches.push({
         date: matchDate,
         opponent: cleanOpponent,
-        location: location.trim(),
-        broadcast: parseBroadcast(tv),
+        ...getVenueFields(location),
+        broadcast: parseBroadcast(tv, stats),
         competition,
         isHome,
         source: pageUrl,
+        ...(tentativeDate && toTentativeFields(tentativeDate)),
+        ...(stage && { stage }),
+        ...(score && { score }),
       });
+      stats.parsed++;
     }
   });
 
   return matches;
 }
 
-function parseHomePage(html, _fallbackCompetition, pageUrl) {
+function parseHomePage(html, _fallbackCompetition, pageUrl, now = new Date(), stats = createPageStats(), team = DEFAULT_TEAM) {
   const $ = cheerio.load(html);
   const matches = [];
 
@@ -301,11 +398,13 @@ function parseHomePage(html, _fallbackCompetition, pageUrl) {
     const $table = $(table);
     const headerRow = $table.find('tr').first();
     if (!headerRow.text().includes('PRÓXIMOS JOGOS')) return;
+    stats.tables++;
 
     $table.find('tr').each((_ri, row) => {
       const $row = $(row);
       const tds = $row.find('td');
       if (tds.length < 3) return;
+      stats.rows++;
 
       // Middle cell HTML: "18/03 | 19h00 | <a>Brasileirão</a><br>Allianz Parque | Sportv"
       const middleTd = tds.eq(1);
@@ -314,27 +413,50 @@ function parseHomePage(html, _fallbackCompetition, pageUrl) {
       const middleText = middleHtml.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').trim();
 
       const dateMatch = middleText.match(/(\d{1,2})\/(\d{1,2})\s*\|\s*(\d{1,2})h(\d{2})/);
-      if (!dateMatch) return;
-
-      const [, day, month, hour, minute] = dateMatch;
-      const dateTimeStr = `${day}/${month} – ${hour}h${minute}`;
+      // "18/03 | A/D | ...": the day is known but not the kickoff time
+      const dateLine = middleText.split('\n')[0];
+      const isUndetermined = !dateMatch && UNDETERMINED_DATE_PATTERN.test(dateLine);
+      if (isUndetermined) stats.undetermined++;
+      if (!dateMatch && !isUndetermined) {
+        stats.rejected++;
+        return;
+      }
 
       // Extract competition from <a> tag
       const competitionLink = middleTd.find('a').first();
       const competition = competitionLink.text().trim() || 'Brasileirão';
-      const yearSuffix = new Date().getFullYear();
-
-      const matchDate = parseDateTime(dateTimeStr, `${competition} ${yearSuffix}`);
-      if (!matchDate) return;
+      const yearSuffix = now.getFullYear();
+      // The home page lists every squad's games; the competition tells them apart (e.g. "Brasileirão Feminino")
+      const squad = inferSquad(`${competition} ${competitionLink.attr('href') || ''}`);
+      // "18/03 | 19h00 | Libertadores – Oitavas (ida)"
+      const stage = parseStage(dateLine.split('|').pop());
+
+      let matchDate;
+      let tentativeDate = null;
+      if (isUndetermined) {
+        tentativeDate = parseTentativeDate(dateLine, `${competition} ${yearSuffix}`, now);
+        matchDate = tentativeDate?.date;
+        if (!matchDate) return;
+      } else {
+        const [, day, month, hour, minute] = dateMatch;
+        matchDate = parseDateTime(`${day}/${month} – ${hour}h${minute}`, `${competition} ${yearSuffix}`, now);
+        if (!matchDate) {
+          stats.rejected++;
+          return;
+        }
+      }
 
       // Get team images: [left team, right team]
       const imgs = $row.find('img[alt]').map((_i, img) => $(img).attr('alt')).get();
       const leftTeam = imgs[0] || '';
       const rightTeam = imgs[imgs.length - 1] || '';
 
-      const isPalmeirasLeft = leftTeam === 'Palmeiras';
-      const opponent = isPalmeirasLeft ? rightTeam : leftTeam;
-      if (!opponent || opponent === 'Palmeiras') return;
+      const isTeamLeft = isTeamName(team, leftTeam);
+      const opponent = isTeamLeft ? rightTeam : leftTeam;
+      if (!opponent || isTeamName(team, opponent)) {
+        stats.rejected++;
+        return;
+      }
 
       // Parse venue and broadcast from the last line (after competition name)
       // Lines: ["18/03 | 19h00 |", "Brasileirão", "Allianz Parque | Sportv"]
@@ -348,68 +470,137 @@ function parseHomePage(html, _fallbackCompetition, pageUrl) {
         broadcast = infoParts.slice(1).join(', ');
       }
 
-      const locationLower = location.toLowerCase();
-      const isHome =
-        isPalmeirasLeft ||
-        locationLower.includes('barueri') ||
-        locationLower.includes('allianz') ||
-        locationLower.includes('nubank');
+      const isHome = isTeamLeft || isHomeVenue(team, location);
 
       matches.push({
         date: matchDate,
         opponent: normalizeOpponentName(opponent.trim()),
-        location: location.trim(),
-        broadcast: parseBroadcast(broadcast),
+        ...getVenueFields(location),
+        broadcast: parseBroadcast(broadcast, stats),
         competition: `${competition} ${yearSuffix}`,
         isHome,
         source: pageUrl,
+        ...(tentativeDate && toTentativeFields(tentativeDate)),
+        ...(stage && { stage }),
+        ...(squad !== DEFAULT_SQUAD && { squad }),
       });
+      stats.parsed++;
     });
   });
 
   return matches;
 }
 
-function parseMatchesFromHTML(html, competition, pageUrl) {
+/**
+ * Parses the matches of a verdao.net page (home page or competition table)
+ * @param {string} html
+ * @param {string} competition - Competition name of the page
+ * @param {string} pageUrl
+ * @param {Date} [now] - Reference date for year inference (the capture date when replaying)
+ * @param {Object} [stats] - Parser health counters to fill (see createPageStats)
+ * @param {TeamProfile} [team] - Club the page is about (names and home venues)
+ * @returns {Match[]}
+ */
+export function parseMatchesFromHTML(html, competition, pageUrl, now = new Date(), stats = createPageStats(), team = DEFAULT_TEAM) {
   const isHomePage = pageUrl.endsWith('verdao.net/') || pageUrl.endsWith('verdao.net');
   if (isHomePage) {
-    return parseHomePage(html, competition, pageUrl);
+    return parseHomePage(html, competition, pageUrl, now, stats, team);
+  }
+  return parseCompetitionTable(html, competition, pageUrl, now, stats, team);
+}
+
+/**
+ * Reads the competitions linked from the home page menu into the catalogue
+ * @param {string|null} homeHTML
+ * @param {boolean} persist - Save newly discovered competitions
+ * @returns {Promise<Competition[]|undefined>} Catalogue after discovery (undefined to use the current one)
+ */
+async function discoverFromHomePage(homeHTML, persist) {
+  if (!COMPETITION_DISCOVERY || homeHTML === null) return undefined;
+  try {
+    const { competitions } = await mergeDiscoveredCompetitions(discoverCompetitions(homeHTML), { persist });
+    return competitions;
+  } catch (err) {
+    logger.warn(`[RETRIEVAL] Competition discovery failed: ${err.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Fetches the home page and adds the competitions linked from its menu to the catalogue
+ * (on demand, from the admin endpoint; syncs do it with the home page they already fetch)
+ * @returns {Promise<{competitions: Competition[], added: string[], updated: string[]}>}
+ */
+export async function discoverVerdaoCompetitions() {
+  const html = await fetchHTML(HOME_PAGE.url, 1);
+  if (html === null) {
+    throw new Error(`Home page not available: ${HOME_PAGE.url}`);
   }
-  return parseCompetitionTable(html, competition, pageUrl);
+  return mergeDiscoveredCompetitions(discoverCompetitions(html));
 }
 
 /**
  * Retrieves Palmeiras fixtures from ptd.verdao.net
+ * @param {Object} [context]
+ * @param {PageRecorder} [context.recorder] - Archives every fetched page
+ * @param {PageReplayer} [context.replay] - Reads pages from a recorded run instead of the network
+ * @param {Object[]} [context.pageStats] - Receives one parser health entry per page (see createPageStats)
+ * @param {boolean} [context.persist] - Save source state (discovered competitions); false for dry runs and replays
+ * @param {TeamProfile} [context.team] - Team profile the fixtures are retrieved for
  * @returns {Promise<Match[]>} Array of matches in standardized format
  */
-export async function fetchPalmeirasFixtures() {
-  logger.info('[RETRIEVAL] Fetching Palmeiras fixtures from ptd.verdao.net...');
+export async function fetchPalmeirasFixtures({ recorder, replay, pageStats = [], persist = !replay, team = DEFAULT_TEAM } = {}) {
+  if (team.id !== 'palmeiras') {
+    throw new Error(`ptd.verdao.net only lists Palmeiras fixtures, not ${team.name}`);
+  }
+
+  logger.info(`[RETRIEVAL] Fetching Palmeiras fixtures from ptd.verdao.net${replay ? ` (replaying ${replay.runId})` : ''}...`);
   
   try {
-    const now = new Date();
+    const now = replay ? replay.capturedAt : new Date();
     logger.info(`[RETRIEVAL] Current date/time: ${now.toISOString()}`);
+
+    const loadPage = (url) => (replay ? replay.getHTML(url) : fetchHTML(url, undefined, { recorder }));
+
+    // The home page goes first: its menu links to the competitions of the season
+    const homeHTML = await loadPage(HOME_PAGE.url);
+    if (!replay) {
+      await new Promise(r => setTimeout(r, 1000));
+    }
+    const competitions = await discoverFromHomePage(homeHTML, persist);
     
     const allMatches = [];
-    const pages = getVerdaoPages();
+    const pages = await getVerdaoPages(now, competitions);
     
     for (const page of pages) {
       try {
         logger.info(`[RETRIEVAL] Fetching ${page.competition} from ${page.url}...`);
-        const html = await fetchHTML(page.url);
+        const html = page.url === HOME_PAGE.url ? homeHTML : await loadPage(page.url);
         
         if (html === null) {
           logger.info(`[RETRIEVAL] Skipping ${page.competition} - page not available or unreachable`);
+          pageStats.push({ url: page.url, competition: page.competition, status: 'missing' });
           continue;
         }
         
-        const matches = parseMatchesFromHTML(html, page.competition, page.url);
+        const stats = createPageStats();
+        const parsed = parseMatchesFromHTML(html, page.competition, page.url, now, stats, team);
+        const matches = page.squad ? parsed.map((match) => ({ ...match, squad: page.squad })) : parsed;
+        const competitions = {};
+        for (const match of matches) {
+          competitions[match.competition] = (competitions[match.competition] || 0) + 1;
+        }
+        pageStats.push({ url: page.url, competition: page.competition, status: 'ok', ...stats, competitions });
         
-        logger.info(`[RETRIEVAL] Found ${matches.length} matches from ${page.competition}`);
+        logger.info(`[RETRIEVAL] Found ${matches.length} matches from ${page.competition} (${stats.tables} tables, ${stats.rows} rows, ${stats.rejected} rejected)`);
         allMatches.push(...matches);
         
-        await new Promise(r => setTimeout(r, 1000));
+        if (!replay) {
+          await new Promise(r => setTimeout(r, 1000));
+        }
       } catch (err) {
         logger.warn(`[RETRIEVAL] Error processing ${page.competition}: ${err.message}`);
+        pageStats.push({ url: page.url, competition: page.competition, status: 'error', error: err.message });
       }
     }
     
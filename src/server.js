@@ -1,7 +1,44 @@
 import { logger, ensureError } from './logger.js';
 import { sync } from './sync.js';
-import { getLatestRunStatus } from './storage.js';
-import { fetchHTML, getVerdaoPages } from './retrieval/verdao.js';
+import { requestSync } from './coordinator.js';
+import { getLatestRunStatus, listRunHistory, getRunFromHistory, getFixtureChanges } from './storage.js';
+import { fetchHTML, getVerdaoPages, discoverVerdaoCompetitions } from './retrieval/verdao.js';
+import {
+  getCompetitionCatalogue,
+  getCompetitionPages,
+  saveCompetitions,
+  resetCompetitions,
+  setCompetitionEnabled,
+  CompetitionCatalogueError,
+} from './retrieval/competitions.js';
+import { COMPETITION_DISCOVERY, TRUST_PROXY } from './config.js';
+import { getSnapshotFixtures } from './fixtures.js';
+import { renderCalendarFeed, filterFeedFixtures } from './ics.js';
+import { DEFAULT_TEAM, getTeam } from './teams.js';
+import { getClubDirectory } from './clubs.js';
+import { runPageDiagnostic, DiagnosticError } from './diagnostics.js';
+import { getNotifiers, sendTestNotification } from './notifications/index.js';
+import {
+  OverrideError,
+  getFixtureOverrides,
+  getOverrideAudit,
+  createOverride,
+  updateOverride,
+  deleteOverride,
+  describeOverrides,
+} from './overrides.js';
+import {
+  isAuthEnabled,
+  isPublicEndpoint,
+  authorize,
+  getRequestRole,
+  getTokenRole,
+  createSessionCookie,
+  clearSessionCookie,
+  getLoginRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures,
+} from './auth.js';
 
 const PORT = process.env.PORT || 3000;
 
@@ -150,6 +187,17 @@ const HTML = `
       border-radius: 4px;
       font-size: 0.9em;
     }
+    .drift-warning {
+      margin-top: 15px;
+      padding: 12px;
+      background: #fff3cd;
+      border-left: 3px solid #ffc107;
+      border-radius: 6px;
+      font-size: 0.9em;
+    }
+    .drift-warning ul {
+      margin: 8px 0 0 20px;
+    }
     .timestamp {
       color: #6c757d;
       font-size: 0.85em;
@@ -162,6 +210,102 @@ const HTML = `
       border-radius: 6px;
       border-left: 3px solid #0066cc;
     }
+    .login-card input {
+      width: 100%;
+      padding: 12px;
+      margin: 10px 0;
+      border: 1px solid #ced4da;
+      border-radius: 6px;
+      font-size: 1em;
+    }
+    .session-info {
+      text-align: right;
+      font-size: 0.85em;
+      color: #6c757d;
+      margin-bottom: 10px;
+    }
+    .session-info a {
+      color: #006b3c;
+      cursor: pointer;
+    }
+    .button-secondary {
+      background: white;
+      color: #006b3c;
+      border: 2px solid #006b3c;
+      margin-top: 10px;
+    }
+    .button-secondary:hover:not(:disabled) {
+      background: #e8f5ee;
+    }
+    .loading-dark {
+      border-color: #006b3c;
+      border-top-color: transparent;
+    }
+    .plan-card {
+      margin-top: 20px;
+    }
+    .plan-item {
+      padding: 10px;
+      background: #fff;
+      border-left: 3px solid #006b3c;
+      margin-bottom: 8px;
+      border-radius: 4px;
+      font-size: 0.9em;
+    }
+    .plan-diff {
+      margin-top: 6px;
+      color: #6c757d;
+      font-size: 0.9em;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+    .history-table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-top: 15px;
+      font-size: 0.85em;
+    }
+    .history-table th, .history-table td {
+      padding: 8px 6px;
+      text-align: left;
+      border-bottom: 1px solid #dee2e6;
+    }
+    .history-table th {
+      color: #6c757d;
+      text-transform: uppercase;
+      font-size: 0.85em;
+    }
+    .history-table a {
+      color: #006b3c;
+    }
+    .override-form {
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 8px;
+      margin-top: 15px;
+    }
+    .override-form input, .override-form select {
+      padding: 8px;
+      border: 1px solid #ced4da;
+      border-radius: 6px;
+      font-size: 0.9em;
+    }
+    .override-form .full {
+      grid-column: 1 / -1;
+    }
+    .link-button {
+      background: none;
+      border: none;
+      color: #dc3545;
+      cursor: pointer;
+    }
+    .sparkline {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      color: #6c757d;
+      font-size: 0.85em;
+    }
     .test-error-btn {
       position: fixed;
       bottom: 20px;
@@ -198,6 +342,16 @@ const HTML = `
       <p>Sincronização automática de jogos do Palmeiras</p>
     </div>
     <div class="content">
+      <div class="session-info" id="sessionInfo" style="display: none;"></div>
+
+      <div class="status-card login-card" id="loginCard" style="display: none;">
+        <h2>🔒 Acesso restrito</h2>
+        <form onsubmit="login(event)">
+          <input type="password" id="tokenInput" placeholder="Token de acesso" autocomplete="current-password" required>
+          <button class="button" type="submit">Entrar</button>
+        </form>
+      </div>
+
       <div class="status-card" id="statusCard">
         <div id="statusBadge"></div>
         <h2 id="statusTitle">Carregando...</h2>
@@ -207,8 +361,86 @@ const HTML = `
       <button class="button" id="syncButton" onclick="triggerSync()">
         🔄 Executar Sincronização
       </button>
+
+      <button class="button button-secondary" id="previewButton" onclick="previewSync()">
+        👁️ Pré-visualizar
+      </button>
       
       <div id="message" style="display: none;" class="message"></div>
+
+      <div class="status-card plan-card" id="planCard" style="display: none;"></div>
+
+      <div class="status-card plan-card" id="historyCard">
+        <h2>Histórico</h2>
+        <div class="sparkline" id="historySparkline"></div>
+        <table class="history-table">
+          <thead>
+            <tr>
+              <th>Início</th>
+              <th>Status</th>
+              <th>Jogos</th>
+              <th>Criados</th>
+              <th>Atualizados</th>
+              <th>Erros</th>
+              <th>Duração</th>
+            </tr>
+          </thead>
+          <tbody id="historyBody"></tbody>
+        </table>
+      </div>
+
+      <div class="status-card plan-card" id="overridesCard" style="display: none;">
+        <h2>Ajustes manuais</h2>
+        <table class="history-table">
+          <thead>
+            <tr>
+              <th>Tipo</th>
+              <th>Jogo</th>
+              <th>Ajuste</th>
+              <th>Por</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody id="overridesBody"></tbody>
+        </table>
+        <form class="override-form" onsubmit="saveOverride(event)">
+          <select id="overrideType" onchange="updateOverrideForm()">
+            <option value="patch">Corrigir jogo</option>
+            <option value="hide">Ocultar jogo</option>
+            <option value="manual">Adicionar jogo</option>
+          </select>
+          <input id="overrideKey" placeholder="Chave do jogo (ex.: palmeiras_2026-03-18)">
+          <input id="overrideDate" type="datetime-local" title="Data e horário (Brasília)">
+          <input id="overrideOpponent" placeholder="Adversário">
+          <input id="overrideCompetition" placeholder="Competição">
+          <input id="overrideLocation" placeholder="Local">
+          <input id="overrideBroadcast" placeholder="Transmissão">
+          <select id="overrideHome">
+            <option value="">Mando: sem alteração</option>
+            <option value="true">Em casa</option>
+            <option value="false">Fora</option>
+          </select>
+          <input id="overrideNote" class="full" placeholder="Motivo (ex.: amistoso de pré-temporada)">
+          <input id="overrideAuthor" placeholder="Seu nome" required>
+          <button class="button" type="submit">Salvar ajuste</button>
+        </form>
+      </div>
+
+      <div class="status-card plan-card" id="changesCard">
+        <h2>Alterações nos jogos</h2>
+        <table class="history-table">
+          <thead>
+            <tr>
+              <th>Quando</th>
+              <th>Jogo</th>
+              <th>Campo</th>
+              <th>Antes</th>
+              <th>Depois</th>
+            </tr>
+          </thead>
+          <tbody id="changesBody"></tbody>
+        </table>
+      </div>
     </div>
   </div>
   
@@ -218,10 +450,84 @@ const HTML = `
 
   <script>
     let isSyncing = false;
+    let session = { authEnabled: false, role: 'admin' };
+
+    async function loadSession() {
+      try {
+        const response = await fetch('/api/session');
+        session = await response.json();
+      } catch (err) {
+        showMessage('Erro ao carregar sessão', 'error');
+      }
+      applySession();
+    }
+
+    // Shows only what the current role can use: read-only sessions cannot sync or run diagnostics
+    function applySession() {
+      const isAdmin = session.role === 'admin';
+      document.getElementById('loginCard').style.display = session.role ? 'none' : 'block';
+      document.getElementById('historyCard').style.display = session.role ? 'block' : 'none';
+      document.getElementById('changesCard').style.display = session.role ? 'block' : 'none';
+      document.getElementById('overridesCard').style.display = isAdmin ? 'block' : 'none';
+      if (isAdmin) loadOverrides();
+      document.getElementById('syncButton').style.display = isAdmin ? 'block' : 'none';
+      document.getElementById('previewButton').style.display = isAdmin ? 'block' : 'none';
+      document.getElementById('testErrorButton').style.display = isAdmin ? 'block' : 'none';
+
+      const sessionInfo = document.getElementById('sessionInfo');
+      if (session.authEnabled && session.role) {
+        sessionInfo.style.display = 'block';
+        sessionInfo.innerHTML = \`Perfil: \${session.role === 'admin' ? 'administrador' : 'leitura'} · <a onclick="logout()">Sair</a>\`;
+      } else {
+        sessionInfo.style.display = 'none';
+      }
+    }
+
+    async function login(event) {
+      event.preventDefault();
+      const tokenInput = document.getElementById('tokenInput');
+
+      try {
+        const response = await fetch('/api/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token: tokenInput.value })
+        });
+        const data = await response.json();
+
+        if (response.status === 429) {
+          showMessage(\`⏳ Muitas tentativas inválidas - tente novamente em \${response.headers.get('Retry-After')}s\`, 'error');
+          return;
+        }
+        if (!response.ok) {
+          showMessage(\`❌ \${data.error || 'Token inválido'}\`, 'error');
+          return;
+        }
+
+        tokenInput.value = '';
+        await loadSession();
+        await loadStatus();
+        await loadHistory();
+      } catch (err) {
+        showMessage(\`❌ Erro ao entrar: \${err.message}\`, 'error');
+      }
+    }
+
+    async function logout() {
+      await fetch('/api/logout', { method: 'POST' });
+      await loadSession();
+      await loadStatus();
+    }
 
     async function loadStatus() {
       try {
         const response = await fetch('/api/status');
+        if (response.status === 401) {
+          document.getElementById('statusTitle').textContent = '🔒 Faça login para ver o status';
+          document.getElementById('statusBadge').innerHTML = '';
+          document.getElementById('statusContent').innerHTML = '';
+          return;
+        }
         const data = await response.json();
         updateUI(data);
       } catch (err) {
@@ -230,6 +536,20 @@ const HTML = `
       }
     }
 
+    const DRIFT_LABELS = {
+      'no-tables': 'nenhuma tabela de jogos encontrada',
+      'no-matches': 'nenhum jogo lido nas tabelas',
+      'rows-rejected': 'maioria das linhas não reconhecida',
+      'competition-dropped': 'bem menos jogos da competição que o normal'
+    };
+
+    const CHANGE_FIELD_LABELS = {
+      date: 'Data/horário',
+      opponent: 'Adversário',
+      location: 'Local',
+      broadcast: 'Transmissão'
+    };
+
     function updateUI(data) {
       const statusCard = document.getElementById('statusCard');
       const statusBadge = document.getElementById('statusBadge');
@@ -281,15 +601,19 @@ const HTML = `
             <div class="stat-label">Jogos Encontrados</div>
           </div>
           <div class="stat">
-            <div class="stat-value">\${data.created || 0}</div>
+            <div class="stat-value">\${data.fixturesCreated || 0}</div>
             <div class="stat-label">Criados</div>
           </div>
           <div class="stat">
-            <div class="stat-value">\${data.updated || 0}</div>
+            <div class="stat-value">\${data.fixturesUpdated || 0}</div>
             <div class="stat-label">Atualizados</div>
           </div>
           <div class="stat">
-            <div class="stat-value">\${data.skipped || 0}</div>
+            <div class="stat-value">\${data.fixturesUnchanged || 0}</div>
+            <div class="stat-label">Inalterados</div>
+          </div>
+          <div class="stat">
+            <div class="stat-value">\${data.fixturesSkipped || 0}</div>
             <div class="stat-label">Erros</div>
           </div>
         \`;
@@ -312,6 +636,34 @@ const HTML = `
         statsHTML += \`<div class="timestamp">🕐 Finalizado em: \${endDate}</div>\`;
       }
 
+      // Parser drift: a page that used to yield matches suddenly yields nothing (site markup changed?)
+      if (data.drift && data.drift.length > 0) {
+        statsHTML += '<div class="drift-warning"><strong>⚠️ Possível mudança no layout do site</strong>';
+        statsHTML += '<p>Páginas que costumavam ter jogos não foram lidas corretamente nesta execução:</p><ul>';
+        data.drift.forEach(entry => {
+          statsHTML += \`<li>\${escapeHTML(entry.competition)}: \${DRIFT_LABELS[entry.reason] || entry.reason} (\${entry.current.parsed} jogos, média anterior \${entry.baseline.avgParsed})</li>\`;
+        });
+        statsHTML += '</ul></div>';
+      }
+
+      // TV column entries missing from the channel dictionary (BROADCAST_CHANNELS)
+      if (data.unknownBroadcasts && data.unknownBroadcasts.length > 0) {
+        statsHTML += '<div class="drift-warning"><strong>📺 Canais de transmissão desconhecidos</strong>';
+        statsHTML += \`<p>\${data.unknownBroadcasts.map(escapeHTML).join(', ')} - adicione em BROADCAST_CHANNELS para exibir o nome e o link "onde assistir".</p></div>\`;
+      }
+
+      // Opponents missing from the club directory (DATA_DIR/clubs.json)
+      if (data.unknownClubs && data.unknownClubs.length > 0) {
+        statsHTML += '<div class="drift-warning"><strong>🛡️ Adversários fora do diretório de clubes</strong>';
+        statsHTML += \`<p>\${data.unknownClubs.map(escapeHTML).join(', ')} - adicione em clubs.json (DATA_DIR) para unificar a grafia do nome.</p></div>\`;
+      }
+
+      // Empty scrape: the ICS feed keeps the fixtures of the previous run
+      if (data.feedStale) {
+        statsHTML += '<div class="drift-warning"><strong>📭 Nenhum jogo encontrado nesta execução</strong>';
+        statsHTML += '<p>O feed ICS continua com os jogos da execução anterior.</p></div>';
+      }
+
       // Errors
       if (data.errors && data.errors.length > 0) {
         statsHTML += '<div class="error-list"><strong>Erros:</strong>';
@@ -342,9 +694,16 @@ const HTML = `
         const response = await fetch('/api/sync', { method: 'POST' });
         const data = await response.json();
         
-        if (response.ok) {
+        if (response.ok && data.coalesced) {
+          showMessage(\`ℹ️ Sincronização já em andamento (\${data.runId})\`, 'info');
+          await loadStatus();
+        } else if (response.status === 409) {
+          showMessage(\`ℹ️ Sincronização \${data.runId || ''} em andamento em outro processo\`, 'info');
+          await loadStatus();
+        } else if (response.ok) {
           showMessage('✅ Sincronização concluída com sucesso!', 'success');
           await loadStatus();
+          await loadHistory();
         } else {
           showMessage(\`❌ Erro: \${data.error || 'Falha na sincronização'}\`, 'error');
           await loadStatus();
@@ -371,6 +730,104 @@ const HTML = `
       }, 5000);
     }
 
+    const PLAN_LABELS = {
+      'create': '➕ Criar',
+      'update': '✏️ Atualizar',
+      'delete-duplicate': '🗑️ Remover duplicado',
+      'orphan-delete': '🗑️ Remover órfão',
+      'orphan-mark': '❓ Marcar como adiado/removido',
+      'orphan-archive': '📦 Arquivar órfão',
+    };
+
+    function escapeHTML(value) {
+      return String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    async function previewSync() {
+      const previewButton = document.getElementById('previewButton');
+      previewButton.disabled = true;
+      previewButton.innerHTML = '<span class="loading loading-dark"></span> Calculando...';
+
+      try {
+        const response = await fetch('/api/sync/plan');
+        const data = await response.json();
+
+        if (response.ok) {
+          renderPlan(data);
+        } else {
+          showMessage('❌ Erro: ' + (data.error || 'Falha ao calcular a pré-visualização'), 'error');
+        }
+      } catch (err) {
+        showMessage('❌ Erro ao calcular a pré-visualização: ' + err.message, 'error');
+      } finally {
+        previewButton.disabled = false;
+        previewButton.innerHTML = '👁️ Pré-visualizar';
+      }
+    }
+
+    function renderPlan(data) {
+      const planCard = document.getElementById('planCard');
+
+      let html = \`<h2>Pré-visualização</h2><p>\${data.fixturesFound} jogos encontrados</p>\`;
+      data.plans.forEach(plan => {
+        html += renderTargetPlan(plan);
+      });
+      html += \`<div class="timestamp">🕐 Calculado em: \${new Date(data.endTime).toLocaleString('pt-BR')}</div>\`;
+
+      planCard.innerHTML = html;
+      planCard.style.display = 'block';
+    }
+
+    function renderTargetPlan(plan) {
+      let html = \`<h3 style="margin-top: 15px;">📅 \${escapeHTML(plan.name)}</h3>\`;
+      html += \`
+        <div class="stats">
+          <div class="stat">
+            <div class="stat-value">\${plan.created}</div>
+            <div class="stat-label">A Criar</div>
+          </div>
+          <div class="stat">
+            <div class="stat-value">\${plan.updated}</div>
+            <div class="stat-label">A Atualizar</div>
+          </div>
+          <div class="stat">
+            <div class="stat-value">\${plan.unchanged}</div>
+            <div class="stat-label">Inalterados</div>
+          </div>
+          <div class="stat">
+            <div class="stat-value">\${plan.deleted + plan.orphans.planned}</div>
+            <div class="stat-label">A Remover/Marcar</div>
+          </div>
+        </div>
+      \`;
+
+      if (plan.orphans.skippedReason) {
+        html += \`<div class="error-item">⚠️ Órfãos não serão tratados: \${escapeHTML(plan.orphans.skippedReason)}</div>\`;
+      }
+
+      const changes = plan.actions.filter(action => action.type !== 'unchanged');
+      html += '<div class="error-list">';
+      if (changes.length === 0) {
+        html += '<p>Nenhuma alteração planejada.</p>';
+      }
+      changes.forEach(action => {
+        const label = PLAN_LABELS[action.type] || action.type;
+        html += \`<div class="plan-item"><strong>\${label}</strong> \${escapeHTML(action.summary || action.eventId)}\`;
+        if (action.type === 'update') {
+          if (action.diff.length === 0) {
+            html += '<div class="plan-diff">Somente metadados da sincronização</div>';
+          }
+          action.diff.forEach(change => {
+            html += \`<div class="plan-diff"><strong>\${change.field}</strong>: \${escapeHTML(change.before)} → \${escapeHTML(change.after)}</div>\`;
+          });
+        }
+        html += '</div>';
+      });
+      html += '</div>';
+
+      return html;
+    }
+
     async function triggerTestError() {
       const testErrorButton = document.getElementById('testErrorButton');
       testErrorButton.disabled = true;
@@ -393,19 +850,451 @@ const HTML = `
       }
     }
 
-    // Load status on page load and refresh every 10 seconds
+    async function loadHistory() {
+      try {
+        const response = await fetch('/api/runs?limit=50');
+        if (response.status === 401) return;
+        const data = await response.json();
+        renderHistory(data.runs || []);
+      } catch (err) {
+        showMessage('Erro ao carregar histórico', 'error');
+      }
+    }
+
+    function renderHistory(runs) {
+      const historyBody = document.getElementById('historyBody');
+      if (runs.length === 0) {
+        historyBody.innerHTML = '<tr><td colspan="7">Nenhuma execução registrada.</td></tr>';
+      } else {
+        historyBody.innerHTML = runs.slice(0, 10).map(run => \`
+          <tr>
+            <td><a href="/api/runs/\${encodeURIComponent(run.runId)}" target="_blank">\${new Date(run.startTime).toLocaleString('pt-BR')}</a></td>
+            <td>\${run.status === 'success' ? '✅' : '❌'}\${run.drift ? ' <span title="Possível mudança no layout do site">⚠️</span>' : ''}</td>
+            <td>\${run.fixturesFound ?? '-'}</td>
+            <td>\${run.fixturesCreated ?? '-'}</td>
+            <td>\${run.fixturesUpdated ?? '-'}</td>
+            <td>\${run.status === 'error' ? escapeHTML(run.error) : (run.fixturesSkipped ?? 0)}</td>
+            <td>\${run.duration ? (run.duration / 1000).toFixed(1) + 's' : '-'}</td>
+          </tr>
+        \`).join('');
+      }
+
+      document.getElementById('historySparkline').innerHTML = renderSparkline(runs);
+    }
+
+    const OVERRIDE_TYPE_LABELS = { patch: 'Correção', hide: 'Oculto', manual: 'Manual' };
+
+    async function loadOverrides() {
+      try {
+        const response = await fetch('/api/overrides');
+        if (!response.ok) return;
+        const data = await response.json();
+        renderOverrides(data.overrides || []);
+      } catch (err) {
+        showMessage('Erro ao carregar ajustes manuais', 'error');
+      }
+    }
+
+    function renderOverrides(overrides) {
+      const overridesBody = document.getElementById('overridesBody');
+      if (overrides.length === 0) {
+        overridesBody.innerHTML = '<tr><td colspan="5">Nenhum ajuste manual.</td></tr>';
+        return;
+      }
+      overridesBody.innerHTML = overrides.map(override => {
+        const fields = override.fields || override.match || {};
+        const summary = Object.entries(fields)
+          .filter(([field]) => ['date', 'opponent', 'competition', 'location', 'broadcast', 'isHome', 'tentative'].includes(field))
+          .map(([field, value]) => \`\${field}: \${field === 'date' ? new Date(value).toLocaleString('pt-BR') : value}\`)
+          .join(', ');
+        return \`
+          <tr>
+            <td>\${OVERRIDE_TYPE_LABELS[override.type] || override.type}</td>
+            <td>\${escapeHTML(override.fixtureKey)}</td>
+            <td>\${escapeHTML(summary || '-')}\${override.note ? \`<br><small>\${escapeHTML(override.note)}</small>\` : ''}</td>
+            <td>\${escapeHTML(override.updatedBy)}<br><small>\${new Date(override.updatedAt).toLocaleString('pt-BR')}</small></td>
+            <td><button class="link-button" onclick="deleteOverride('\${escapeHTML(override.id)}')">Remover</button></td>
+          </tr>
+        \`;
+      }).join('');
+    }
+
+    // Fields that do not apply to the selected override type are hidden
+    function updateOverrideForm() {
+      const type = document.getElementById('overrideType').value;
+      document.getElementById('overrideKey').style.display = type === 'manual' ? 'none' : 'block';
+      ['overrideDate', 'overrideOpponent', 'overrideCompetition', 'overrideLocation', 'overrideBroadcast', 'overrideHome'].forEach(id => {
+        document.getElementById(id).style.display = type === 'hide' ? 'none' : 'block';
+      });
+    }
+
+    function getOverrideAuthor() {
+      const author = document.getElementById('overrideAuthor').value.trim();
+      localStorage.setItem('overrideAuthor', author);
+      return author;
+    }
+
+    async function saveOverride(event) {
+      event.preventDefault();
+      const value = id => document.getElementById(id).value.trim();
+      const type = value('overrideType');
+      const fields = {};
+      // datetime-local has no time zone: the form is filled in Brasília time
+      if (value('overrideDate')) fields.date = value('overrideDate') + ':00-03:00';
+      ['opponent', 'competition', 'location', 'broadcast'].forEach(field => {
+        const fieldValue = value('override' + field.charAt(0).toUpperCase() + field.slice(1));
+        if (fieldValue) fields[field] = fieldValue;
+      });
+      if (value('overrideHome')) fields.isHome = value('overrideHome') === 'true';
+
+      const body = { type, note: value('overrideNote') || undefined };
+      if (type === 'manual') body.match = fields;
+      else body.key = value('overrideKey');
+      if (type === 'patch') body.fields = fields;
+
+      try {
+        const response = await fetch('/api/overrides', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-Author': getOverrideAuthor() },
+          body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          showMessage(\`❌ \${data.error}\`, 'error');
+          return;
+        }
+        event.target.reset();
+        document.getElementById('overrideAuthor').value = localStorage.getItem('overrideAuthor') || '';
+        updateOverrideForm();
+        showMessage('✅ Ajuste salvo - será aplicado na próxima sincronização', 'success');
+        loadOverrides();
+      } catch (err) {
+        showMessage('❌ Erro ao salvar ajuste: ' + err.message, 'error');
+      }
+    }
+
+    async function deleteOverride(id) {
+      const author = getOverrideAuthor();
+      if (!author) {
+        showMessage('Informe seu nome para remover o ajuste', 'error');
+        return;
+      }
+      if (!confirm('Remover este ajuste?')) return;
+      try {
+        const response = await fetch('/api/overrides/' + encodeURIComponent(id), {
+          method: 'DELETE',
+          headers: { 'X-Author': author }
+        });
+        if (!response.ok) {
+          const data = await response.json();
+          showMessage(\`❌ \${data.error}\`, 'error');
+          return;
+        }
+        loadOverrides();
+      } catch (err) {
+        showMessage('❌ Erro ao remover ajuste: ' + err.message, 'error');
+      }
+    }
+
+    async function loadChanges() {
+      try {
+        const response = await fetch('/api/changes?limit=20');
+        if (response.status === 401) return;
+        const data = await response.json();
+        renderChanges(data.changes || []);
+      } catch (err) {
+        showMessage('Erro ao carregar alterações', 'error');
+      }
+    }
+
+    // Dates are ISO timestamps, or a YYYY-MM-DD day while the kickoff is A/D
+    function formatChangeValue(field, value) {
+      if (!value) return '-';
+      if (field !== 'date') return escapeHTML(value);
+      if (/^\\d{4}-\\d{2}-\\d{2}$/.test(value)) return value.split('-').reverse().join('/') + ' (A/D)';
+      return new Date(value).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+    }
+
+    function renderChanges(changes) {
+      const changesBody = document.getElementById('changesBody');
+      if (changes.length === 0) {
+        changesBody.innerHTML = '<tr><td colspan="5">Nenhuma alteração registrada.</td></tr>';
+        return;
+      }
+      changesBody.innerHTML = changes.map(change => \`
+        <tr>
+          <td>\${new Date(change.at).toLocaleString('pt-BR')}</td>
+          <td>vs \${escapeHTML(change.opponent)} <small>(\${escapeHTML(change.competition)})</small></td>
+          <td>\${CHANGE_FIELD_LABELS[change.field] || escapeHTML(change.field)}</td>
+          <td>\${formatChangeValue(change.field, change.from)}</td>
+          <td>\${formatChangeValue(change.field, change.to)}</td>
+        </tr>
+      \`).join('');
+    }
+
+    // Daily success rate, oldest day first
+    function renderSparkline(runs) {
+      const days = new Map();
+      runs.slice().reverse().forEach(run => {
+        const day = new Date(run.startTime).toLocaleDateString('pt-BR');
+        const entry = days.get(day) || { total: 0, success: 0 };
+        entry.total++;
+        if (run.status === 'success') entry.success++;
+        days.set(day, entry);
+      });
+
+      const rates = Array.from(days.values()).map(entry => entry.success / entry.total);
+      if (rates.length === 0) return '';
+
+      const width = 160;
+      const height = 32;
+      const step = rates.length > 1 ? width / (rates.length - 1) : 0;
+      const points = rates.map((rate, idx) => \`\${(idx * step).toFixed(1)},\${(height - rate * (height - 4) - 2).toFixed(1)}\`).join(' ');
+      const total = runs.length;
+      const success = runs.filter(run => run.status === 'success').length;
+
+      return \`
+        <svg width="\${width}" height="\${height}" viewBox="0 0 \${width} \${height}">
+          <polyline points="\${points}" fill="none" stroke="#006b3c" stroke-width="2" />
+        </svg>
+        <span>Taxa de sucesso: \${Math.round((success / total) * 100)}% (\${success}/\${total} execuções, \${rates.length} dia(s))</span>
+      \`;
+    }
+
+    // Load status on page load and refresh every 10 seconds (history every minute)
+    loadSession();
     loadStatus();
+    loadHistory();
+    loadChanges();
+    document.getElementById('overrideAuthor').value = localStorage.getItem('overrideAuthor') || '';
+    updateOverrideForm();
     setInterval(loadStatus, 10000);
+    setInterval(loadHistory, 60000);
+    setInterval(loadChanges, 60000);
   </script>
 </body>
 </html>
 `;
 
+/**
+ * Access rule of an endpoint: the minimum role, and the AUTH_PUBLIC_ENDPOINTS name that makes it public
+ * @param {string} pathname
+ * @returns {{role: 'read'|'admin', publicAs?: string, allowQueryToken?: boolean}|null} null for unprotected routes
+ */
+function getRouteAccess(pathname) {
+  if (pathname === '/health') return { role: 'read', publicAs: 'health' };
+  if (pathname === '/calendar.ics') return { role: 'read', publicAs: 'feed', allowQueryToken: true };
+  if (pathname === '/api/status') return { role: 'read', publicAs: 'status' };
+  if (pathname === '/api/runs' || pathname.startsWith('/api/runs/')) return { role: 'read' };
+  if (pathname === '/api/changes') return { role: 'read' };
+  if (pathname === '/api/clubs') return { role: 'read' };
+  if (pathname.startsWith('/api/')) return { role: 'admin' };
+  // Dashboard page: it holds no data and shows the login form when needed
+  return null;
+}
+
+/**
+ * @param {Request} req
+ * @param {Object} server - Bun server
+ * @returns {string} Client address: the first X-Forwarded-For entry when TRUST_PROXY is set, else the peer address
+ */
+function getClientAddress(req, server) {
+  if (TRUST_PROXY) {
+    const forwarded = req.headers.get('x-forwarded-for')?.split(',')[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return server.requestIP(req)?.address || 'unknown';
+}
+
+/**
+ * Handles the session endpoints used by the dashboard login
+ * @param {Request} req
+ * @param {URL} url
+ * @param {Object} server - Bun server
+ * @returns {Promise<Response|null>} null if the request is not a session endpoint
+ */
+async function handleSessionRoutes(req, url, server) {
+  if (url.pathname === '/api/session' && req.method === 'GET') {
+    return Response.json({ authEnabled: isAuthEnabled, role: getRequestRole(req) });
+  }
+
+  if (url.pathname === '/api/login' && req.method === 'POST') {
+    // Failed logins per address: past LOGIN_MAX_ATTEMPTS, the address has to wait (see auth.js)
+    const address = getClientAddress(req, server);
+    const retryAfter = getLoginRetryAfter(address);
+    if (retryAfter > 0) {
+      return Response.json(
+        { error: `Too many failed logins - try again in ${retryAfter}s` },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      );
+    }
+
+    let token = null;
+    try {
+      ({ token } = await req.json());
+    } catch (err) {
+      return Response.json({ error: 'Expected a JSON body with a token' }, { status: 400 });
+    }
+
+    const role = getTokenRole(token);
+    if (!role) {
+      const wait = recordLoginFailure(address);
+      logger.warn(`[SERVER] Dashboard login with an invalid token from ${address}${wait > 0 ? ` - blocked for ${wait}s` : ''}`);
+      return Response.json({ error: 'Invalid token' }, { status: 401 });
+    }
+    clearLoginFailures(address);
+
+    return Response.json({ role }, { headers: { 'Set-Cookie': createSessionCookie(req, role) } });
+  }
+
+  if (url.pathname === '/api/logout' && req.method === 'POST') {
+    return Response.json({ role: null }, { headers: { 'Set-Cookie': clearSessionCookie(req) } });
+  }
+
+  return null;
+}
+
+/**
+ * @param {Object} catalogue - See getCompetitionCatalogue
+ * @returns {Object} Catalogue with the pages it resolves to this season
+ */
+function describeCatalogue(catalogue) {
+  return {
+    ...catalogue,
+    discovery: COMPETITION_DISCOVERY,
+    pages: getCompetitionPages(catalogue.competitions),
+  };
+}
+
+/**
+ * Handles the competition catalogue endpoints (admin only, see getRouteAccess)
+ * @param {Request} req
+ * @param {URL} url
+ * @returns {Promise<Response|null>} null if the request is not a catalogue endpoint
+ */
+async function handleCompetitionRoutes(req, url) {
+  try {
+    if (url.pathname === '/api/competitions' && req.method === 'GET') {
+      return Response.json(describeCatalogue(await getCompetitionCatalogue()));
+    }
+
+    if (url.pathname === '/api/competitions' && req.method === 'PUT') {
+      let body;
+      try {
+        body = await req.json();
+      } catch (err) {
+        return Response.json({ error: 'Expected a JSON body with a competitions array' }, { status: 400 });
+      }
+      return Response.json(describeCatalogue(await saveCompetitions(body?.competitions)));
+    }
+
+    if (url.pathname === '/api/competitions' && req.method === 'DELETE') {
+      return Response.json(describeCatalogue(await resetCompetitions()));
+    }
+
+    if (url.pathname === '/api/competitions/discover' && req.method === 'POST') {
+      const { added, updated } = await discoverVerdaoCompetitions();
+      return Response.json({ added, updated, ...describeCatalogue(await getCompetitionCatalogue()) });
+    }
+
+    if (url.pathname.startsWith('/api/competitions/') && req.method === 'PATCH') {
+      let body;
+      try {
+        body = await req.json();
+      } catch (err) {
+        return Response.json({ error: 'Expected a JSON body with enabled: true or false' }, { status: 400 });
+      }
+      const id = decodeURIComponent(url.pathname.slice('/api/competitions/'.length));
+      return Response.json(describeCatalogue(await setCompetitionEnabled(id, body?.enabled)));
+    }
+  } catch (err) {
+    if (err instanceof CompetitionCatalogueError) {
+      return Response.json({ error: err.message }, { status: err.status });
+    }
+    logger.error('[SERVER] Competition catalogue request failed', ensureError(err));
+    return Response.json({ error: err.message }, { status: 500 });
+  }
+
+  return null;
+}
+
+/**
+ * @param {Request} req
+ * @returns {string} Author recorded in the override audit trail: the name sent in X-Author (the
+ *   dashboard form asks for it), with how the request authenticated
+ */
+function getRequestAuthor(req) {
+  const name = (req.headers.get('x-author') || '').trim().slice(0, 100);
+  if (!isAuthEnabled) return name || 'anonymous';
+
+  const via = req.headers.get('authorization') ? 'admin token' : 'admin session';
+  return name ? `${name} (${via})` : via;
+}
+
+/**
+ * Handles the fixture override endpoints (admin only, see getRouteAccess)
+ * @param {Request} req
+ * @param {URL} url
+ * @returns {Promise<Response|null>} null if the request is not an override endpoint
+ */
+async function handleOverrideRoutes(req, url) {
+  if (url.pathname !== '/api/overrides' && !url.pathname.startsWith('/api/overrides/')) return null;
+
+  try {
+    if (url.pathname === '/api/overrides' && req.method === 'GET') {
+      return Response.json({ overrides: describeOverrides(await getFixtureOverrides()) });
+    }
+
+    if (url.pathname === '/api/overrides/audit' && req.method === 'GET') {
+      const limit = Math.min(500, Math.max(1, parseInt(url.searchParams.get('limit') || '100', 10) || 100));
+      return Response.json({ audit: await getOverrideAudit({ limit }) });
+    }
+
+    const id = decodeURIComponent(url.pathname.slice('/api/overrides/'.length));
+    if (url.pathname.startsWith('/api/overrides/') && req.method === 'DELETE') {
+      return Response.json(await deleteOverride(id, getRequestAuthor(req)));
+    }
+
+    if (req.method === 'POST' || req.method === 'PUT') {
+      let body;
+      try {
+        body = await req.json();
+      } catch (err) {
+        return Response.json({ error: 'Expected a JSON body with an override' }, { status: 400 });
+      }
+
+      if (url.pathname === '/api/overrides' && req.method === 'POST') {
+        return Response.json(await createOverride(body, getRequestAuthor(req)), { status: 201 });
+      }
+      if (url.pathname.startsWith('/api/overrides/') && req.method === 'PUT') {
+        return Response.json(await updateOverride(id, body, getRequestAuthor(req)));
+      }
+    }
+  } catch (err) {
+    if (err instanceof OverrideError) {
+      return Response.json({ error: err.message }, { status: err.status });
+    }
+    logger.error('[SERVER] Fixture override request failed', ensureError(err));
+    return Response.json({ error: err.message }, { status: 500 });
+  }
+
+  return null;
+}
+
 export function createServer() {
   const server = Bun.serve({
     port: PORT,
-    async fetch(req) {
+    async fetch(req, server) {
       const url = new URL(req.url);
+
+      const sessionResponse = await handleSessionRoutes(req, url, server);
+      if (sessionResponse) return sessionResponse;
+
+      const access = getRouteAccess(url.pathname);
+      if (access && !(access.publicAs && isPublicEndpoint(access.publicAs))) {
+        const denied = authorize(req, access.role, { allowQueryToken: access.allowQueryToken });
+        if (denied) return denied;
+      }
       
       // Serve UI
       if (url.pathname === '/' || url.pathname === '/index.html') {
@@ -414,6 +1303,25 @@ export function createServer() {
         });
       }
       
+      // ICS feed of the latest processed fixtures (works without Google credentials)
+      if (url.pathname === '/calendar.ics' && req.method === 'GET') {
+        try {
+          const fixtures = filterFeedFixtures(await getSnapshotFixtures(), url.searchParams);
+          const team = getTeam(url.searchParams.get('team'));
+          return new Response(renderCalendarFeed(fixtures, { name: `${team.name} ⚽` }), {
+            headers: {
+              'Content-Type': 'text/calendar; charset=utf-8',
+              'Content-Disposition': 'inline; filename="palmeiras.ics"',
+              'Cache-Control': isPublicEndpoint('feed') ? 'public, max-age=300' : 'private, max-age=300',
+            }
+          });
+        } catch (err) {
+          const error = ensureError(err);
+          logger.error('[SERVER] Failed to render ICS feed', error);
+          return new Response('Failed to render calendar feed', { status: 500 });
+        }
+      }
+      
       // API: Get status
       if (url.pathname === '/api/status' && req.method === 'GET') {
         try {
@@ -424,28 +1332,90 @@ export function createServer() {
         }
       }
       
-      // API: Trigger sync
+      // API: Run history (paginated, newest first)
+      if (url.pathname === '/api/runs' && req.method === 'GET') {
+        try {
+          const page = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10) || 1);
+          const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit') || '20', 10) || 20));
+          const history = await listRunHistory({ page, limit });
+          return Response.json(history);
+        } catch (err) {
+          return Response.json({ error: err.message }, { status: 500 });
+        }
+      }
+
+      // API: Single run with per-fixture actions and errors
+      if (url.pathname.startsWith('/api/runs/') && req.method === 'GET') {
+        try {
+          const runId = decodeURIComponent(url.pathname.slice('/api/runs/'.length));
+          const run = await getRunFromHistory(runId);
+          if (!run) {
+            return Response.json({ error: 'Run not found' }, { status: 404 });
+          }
+          return Response.json(run);
+        } catch (err) {
+          return Response.json({ error: err.message }, { status: 500 });
+        }
+      }
+      
+      // API: Fixture changelog (newest first), optionally for one fixture key or team
+      if (url.pathname === '/api/changes' && req.method === 'GET') {
+        try {
+          const limit = Math.min(500, Math.max(1, parseInt(url.searchParams.get('limit') || '100', 10) || 100));
+          const key = url.searchParams.get('key');
+          const team = url.searchParams.get('team');
+          const changes = (await getFixtureChanges())
+            .filter((change) => !key || change.key === key)
+            .filter((change) => !team || (change.team || DEFAULT_TEAM.id) === team);
+          return Response.json({ changes: changes.slice(0, limit), total: changes.length });
+        } catch (err) {
+          return Response.json({ error: err.message }, { status: 500 });
+        }
+      }
+
+      if (url.pathname === '/api/clubs' && req.method === 'GET') {
+        return Response.json(getClubDirectory());
+      }
+
+      // API: Trigger sync (runs in the background; concurrent requests share the in-flight run)
       if (url.pathname === '/api/sync' && req.method === 'POST') {
         try {
-          // Save running status immediately
-          const { saveRunStatus } = await import('./storage.js');
-          await saveRunStatus({
-            runId: `sync-${Date.now()}`,
-            status: 'running',
-            startTime: new Date().toISOString(),
-            message: 'Sync in progress...'
-          });
-          
-          // Run sync in background
-          sync().catch(err => {
-            const error = ensureError(err);
-            logger.error('[SERVER] Background sync failed', error);
-          });
-          
-          return Response.json({ 
-            message: 'Sync started',
-            status: 'running'
-          });
+          const { runId, status, promise, error } = requestSync({ trigger: 'api' });
+
+          if (status === 'error') {
+            return Response.json({ status: 'error', runId, error: error.message }, { status: 500 });
+          }
+          if (status === 'locked') {
+            return Response.json({
+              message: 'Sync already running in another process',
+              status: 'locked',
+              runId
+            }, { status: 409 });
+          }
+
+          if (status === 'started') {
+            promise.catch(err => {
+              const error = ensureError(err);
+              logger.error('[SERVER] Background sync failed', error);
+            });
+          }
+
+          return Response.json({
+            message: status === 'started' ? 'Sync started' : status === 'queued' ? 'Sync queued' : 'Sync already in progress',
+            status: status === 'queued' ? 'queued' : 'running',
+            runId,
+            coalesced: status !== 'started'
+          }, { status: 202 });
+        } catch (err) {
+          return Response.json({ error: err.message }, { status: 500 });
+        }
+      }
+      
+      // API: Dry-run sync plan (nothing is written to the calendar)
+      if (url.pathname === '/api/sync/plan' && req.method === 'GET') {
+        try {
+          const plan = await sync({ dryRun: true });
+          return Response.json(plan);
         } catch (err) {
           return Response.json({ error: err.message }, { status: 500 });
         }
@@ -468,32 +1438,46 @@ export function createServer() {
         }
       }
       
-      // API: Test fetch a URL (diagnostic)
+      // API: Send a sample news digest to every notification channel (e.g. a local SMTP / webhook sink)
+      if (url.pathname === '/api/notifications/test' && req.method === 'POST') {
+        try {
+          if (getNotifiers().length === 0) {
+            return Response.json({ error: 'No notification channels configured - check NOTIFICATION_CHANNELS' }, { status: 400 });
+          }
+          const results = await sendTestNotification();
+          const failed = results.some((result) => result.status === 'error');
+          return Response.json({ status: failed ? 'error' : 'ok', results }, { status: failed ? 502 : 200 });
+        } catch (err) {
+          return Response.json({ error: err.message }, { status: 500 });
+        }
+      }
+
+      // API: Fetch an allowlisted source page and run its parser (diagnostic)
       if (url.pathname === '/api/test-fetch' && req.method === 'GET') {
-        const testUrl = url.searchParams.get('url') || 'https://ptd.verdao.net/';
-        const start = Date.now();
         try {
-          const html = await fetchHTML(testUrl, 1);
-          return Response.json({
-            url: testUrl,
-            success: html !== null,
-            length: html?.length || 0,
-            preview: html?.substring(0, 500) || null,
-            durationMs: Date.now() - start,
-          });
+          const diagnostic = await runPageDiagnostic(url.searchParams.get('url'));
+          return Response.json(diagnostic);
         } catch (err) {
           return Response.json({
-            url: testUrl,
+            url: url.searchParams.get('url'),
             success: false,
             error: err.message,
-            durationMs: Date.now() - start,
-          });
+            allowed: err.allowed,
+          }, { status: err instanceof DiagnosticError ? err.status : 500 });
         }
       }
 
+      // API: Manual fixture overrides (list, create, replace, delete, audit trail)
+      const overrideResponse = await handleOverrideRoutes(req, url);
+      if (overrideResponse) return overrideResponse;
+
+      // API: Competition page catalogue (view, replace, reset, discover)
+      const competitionResponse = await handleCompetitionRoutes(req, url);
+      if (competitionResponse) return competitionResponse;
+
       // API: Test all verdao pages (diagnostic)
       if (url.pathname === '/api/test-pages' && req.method === 'GET') {
-        const pages = getVerdaoPages();
+        const pages = await getVerdaoPages();
         const results = [];
         for (const page of pages) {
           const start = Date.now();
@@ -519,13 +1503,20 @@ export function createServer() {
         return Response.json({ pages: results });
       }
 
-      // API: Force sync (GET for easy browser/curl testing)
+      // API: Force sync (GET for easy browser/curl testing); waits for the run covering this request
       if (url.pathname === '/api/force-sync' && req.method === 'GET') {
+        const { runId, status, promise, error } = requestSync({ trigger: 'force-sync' });
+        if (status === 'error') {
+          return Response.json({ status: 'error', runId, error: error.message }, { status: 500 });
+        }
+        if (status === 'locked') {
+          return Response.json({ status: 'locked', runId, error: 'Sync already running in another process' }, { status: 409 });
+        }
         try {
-          const result = await sync();
-          return Response.json({ status: 'completed', result });
+          const result = await promise;
+          return Response.json({ status: 'completed', runId, coalesced: status !== 'started', result });
         } catch (err) {
-          return Response.json({ status: 'error', error: err.message }, { status: 500 });
+          return Response.json({ status: 'error', runId, error: err.message }, { status: 500 });
         }
       }
 
@@ -541,6 +1532,7 @@ export function createServer() {
   logger.info(`🚀 Server running on http://localhost:${server.port}`);
   logger.info(`📊 Dashboard: http://localhost:${server.port}/`);
   logger.info(`🔍 Health check: http://localhost:${server.port}/health`);
+  logger.info(`📆 ICS feed: http://localhost:${server.port}/calendar.ics`);
   
   return server;
 }
@@ -0,0 +1,72 @@
+/**
+ * Squads
+ *
+ * Besides the men's first team ('principal'), Palmeiras fields a women's team and
+ * youth teams whose games can fall on the same day. Every Match belongs to one
+ * squad (principal when unset): fixtures are deduplicated per squad and day, and
+ * each squad can be synced to its own calendar or get its own title prefix.
+ */
+
+import { SQUADS, SQUAD_TITLE_PREFIXES } from './config.js';
+
+export const DEFAULT_SQUAD = 'principal';
+
+/** Display names of the known squads */
+const SQUAD_NAMES = {
+  principal: 'Profissional',
+  feminino: 'Feminino',
+  'sub-23': 'Sub-23',
+  'sub-20': 'Sub-20',
+  'sub-17': 'Sub-17',
+  'sub-15': 'Sub-15',
+};
+
+/**
+ * @param {Match} match
+ * @returns {string}
+ */
+export function getMatchSquad(match) {
+  return match.squad || DEFAULT_SQUAD;
+}
+
+/**
+ * @param {string} squad
+ * @returns {string} e.g. "Feminino"
+ */
+export function getSquadName(squad) {
+  return SQUAD_NAMES[squad] || squad;
+}
+
+/**
+ * @param {string} squad
+ * @returns {boolean} true if the squad is listed in SQUADS
+ */
+export function isSquadEnabled(squad) {
+  return SQUADS.includes(squad);
+}
+
+/**
+ * @param {string} squad
+ * @returns {string} Event title prefix ('' for the men's first team, unless configured)
+ */
+export function getSquadTitlePrefix(squad) {
+  return SQUAD_TITLE_PREFIXES[squad] ?? (squad === DEFAULT_SQUAD ? '' : `[${getSquadName(squad)}]`);
+}
+
+/**
+ * Infers the squad from a competition name or page slug, e.g.
+ * "Brasileirão Feminino 2026" or "copa-sao-paulo-sub-20-2026"
+ * @param {string} text
+ * @returns {string}
+ */
+export function inferSquad(text) {
+  const normalized = (text || '').toLowerCase();
+  if (/feminin/.test(normalized)) return 'feminino';
+
+  const youth = normalized.match(/sub[\s-]?(\d{2})\b/);
+  if (youth) return `sub-${youth[1]}`;
+  // Copinha: Copa São Paulo de Futebol Júnior is played by the U-20 squad
+  if (/copinha|copa[\s-]s[aã]o[\s-]paulo/.test(normalized)) return 'sub-20';
+
+  return DEFAULT_SQUAD;
+}
@@ -0,0 +1,177 @@
+/**
+ * Competition stages
+ *
+ * Where a fixture sits in its competition: the round of a league ("12ª rodada"),
+ * the group stage or a knockout phase, with the leg of two-legged ties. Parsed from
+ * the section labels of ptd.verdao.net and the API-Football round names, shown in
+ * the event title and description ("Libertadores 2026 – Quartas (ida)"). Finals
+ * and second legs are decisive games, highlighted with a marker and their own color.
+ */
+
+import { normalizeText } from './text.js';
+
+/**
+ * @typedef {Object} MatchStage
+ * @property {string} phase - 'league', 'group', 'preliminary', 'knockout-round' (numbered cup
+ *   phases, e.g. "3ª fase", "3rd Round"), 'round-of-32', 'round-of-16', 'quarterfinal', 'semifinal', 'third-place' or 'final'
+ * @property {number} [round] - Round number (league and group rounds, numbered cup phases)
+ * @property {string} [group] - Group letter, e.g. "F"
+ * @property {'ida'|'volta'} [leg] - Leg of a two-legged tie
+ */
+
+/** Display names of the phases, rounds, groups and legs, per event locale (see templates.js) */
+const STAGE_NAMES = {
+  'pt-BR': {
+    phases: {
+      group: 'Fase de grupos',
+      preliminary: 'Fase preliminar',
+      'round-of-32': '16 avos',
+      'round-of-16': 'Oitavas',
+      quarterfinal: 'Quartas',
+      semifinal: 'Semifinal',
+      'third-place': 'Disputa de 3º lugar',
+      final: 'Final',
+    },
+    round: (round) => `Rodada ${round}`,
+    group: (group) => `Grupo ${group}`,
+    knockoutRound: (round) => `${round}ª fase`,
+    legs: { ida: 'ida', volta: 'volta' },
+  },
+  en: {
+    phases: {
+      group: 'Group stage',
+      preliminary: 'Qualifying',
+      'round-of-32': 'Round of 32',
+      'round-of-16': 'Round of 16',
+      quarterfinal: 'Quarter-final',
+      semifinal: 'Semi-final',
+      'third-place': 'Third place play-off',
+      final: 'Final',
+    },
+    round: (round) => `Round ${round}`,
+    group: (group) => `Group ${group}`,
+    knockoutRound: (round) => `Phase ${round}`,
+    legs: { ida: '1st leg', volta: '2nd leg' },
+  },
+};
+
+/**
+ * Phase patterns, checked in order (accent-free, lowercase text); "oitavas de final" before "final".
+ * "Final" in a page heading may be "Jogos do final de semana", which is not a final.
+ */
+const PHASE_PATTERNS = [
+  ['round-of-16', /\boitavas\b|\bround of 16\b|\b8th finals\b/],
+  ['quarterfinal', /\bquartas\b|\bquarter-?finals?\b/],
+  ['semifinal', /\bsemi-?\s?fina(?:l|is|ls)?\b|\bsemi\b/],
+  ['round-of-32', /\b16 ?avos\b|\bdezesseis-?avos\b|\bround of 32\b|\b16th finals\b/],
+  ['third-place', /\b(?:3o|terceiro) lugar\b|\b3rd place\b/],
+  ['preliminary', /\bpreliminar\b|\bpre-?\s?libertadores\b|\bqualifying\b|\bpreliminary\b/],
+  ['group', /\bfase de grupos\b|\bgrupo [a-h]\b|\bgroup(?: stage| [a-h])\b/],
+  ['final', /\bfinal\b(?!\s+d[aeo]s?\s+(?:semana|mes|temporada|ano)\b)|\bdecisao\b/],
+  ['knockout-round', /\b\d{1,2}\s*[ao]?\s*fase\b|\b\d{1,2}(?:st|nd|rd|th) round\b/],
+  ['league', /\brodada\b|\bregular season\b/],
+];
+
+/**
+ * @param {string} text
+ * @returns {string} Lowercase text without accents ("ª"/"º" become "a"/"o")
+ */
+function normalizeStageText(text) {
+  return normalizeText(String(text || '').replace(/ª/g, 'a').replace(/º/g, 'o'));
+}
+
+/**
+ * @param {string} text - Normalized text
+ * @param {string} phase
+ * @returns {number|undefined}
+ */
+function parseRound(text, phase) {
+  const round = phase === 'knockout-round'
+    ? text.match(/\b(\d{1,2})\s*[ao]?\s*fase\b/) || text.match(/\b(\d{1,2})(?:st|nd|rd|th) round\b/)
+    : text.match(/\b(\d{1,2})\s*a?\s*rodada\b/) || text.match(/\brodada\s*(\d{1,2})\b/) || text.match(/\s-\s*(\d{1,2})\s*$/);
+  return round ? parseInt(round[1], 10) : undefined;
+}
+
+/**
+ * @param {string} text - Normalized text
+ * @returns {'ida'|'volta'|undefined}
+ */
+function parseLeg(text) {
+  if (/\bida\b|\bjogo 1\b|\b1o jogo\b|\b1st leg\b/.test(text)) return 'ida';
+  if (/\bvolta\b|\bjogo 2\b|\b2o jogo\b|\b2nd leg\b/.test(text)) return 'volta';
+  return undefined;
+}
+
+/**
+ * Reads the stage from a section label or round name, e.g. "Quartas de final – ida",
+ * "12ª rodada", "Fase de grupos - Grupo F", "Regular Season - 12" or "Quarter-finals"
+ * @param {string} text
+ * @param {MatchStage|null} [base] - Stage of the enclosing section: completed by labels of the same
+ *   phase, or by labels that only name the leg ("IDA", "Jogo de volta")
+ * @returns {MatchStage|null} null when the text names no stage
+ */
+export function parseStage(text, base = null) {
+  const normalized = normalizeStageText(text);
+  const entry = PHASE_PATTERNS.find(([, pattern]) => pattern.test(normalized));
+  if (!entry) {
+    const leg = base && !['league', 'group'].includes(base.phase) ? parseLeg(normalized) : undefined;
+    return leg ? { ...base, leg } : null;
+  }
+
+  const [phase] = entry;
+  const round = parseRound(normalized, phase);
+  const group = phase === 'group' ? normalized.match(/\b(?:grupo|group) ([a-h])\b/)?.[1]?.toUpperCase() : undefined;
+  const leg = ['league', 'group'].includes(phase) ? undefined : parseLeg(normalized);
+  if (phase === 'knockout-round' && !round) return null;
+
+  return {
+    ...(base?.phase === phase && base),
+    phase,
+    ...(round && { round }),
+    ...(group && { group }),
+    ...(leg && { leg }),
+  };
+}
+
+/**
+ * @param {MatchStage} [stage]
+ * @param {string} [locale] - 'pt-BR' or 'en'
+ * @returns {string} e.g. "Rodada 12", "Fase de grupos – Grupo F", "Quartas (ida)", "3ª fase"
+ *   ('' when there is nothing to show)
+ */
+export function formatStage(stage, locale = 'pt-BR') {
+  if (!stage) return '';
+  const names = STAGE_NAMES[locale] || STAGE_NAMES['pt-BR'];
+
+  if (stage.phase === 'league') {
+    return stage.round ? names.round(stage.round) : '';
+  }
+  if (stage.phase === 'group') {
+    return [
+      names.phases.group,
+      stage.group && names.group(stage.group),
+      stage.round && names.round(stage.round),
+    ].filter(Boolean).join(' – ');
+  }
+
+  const name = stage.phase === 'knockout-round' ? names.knockoutRound(stage.round) : names.phases[stage.phase];
+  return stage.leg ? `${name} (${names.legs[stage.leg]})` : name;
+}
+
+/**
+ * @param {Match} match
+ * @returns {boolean} true for knockout games (cup phases, preliminaries and finals)
+ */
+export function isKnockoutMatch(match) {
+  return Boolean(match.stage) && !['league', 'group'].includes(match.stage.phase);
+}
+
+/**
+ * @param {Match} match
+ * @returns {boolean} true for finals and the second leg of knockout ties
+ */
+export function isDecisiveMatch(match) {
+  const { stage } = match;
+  if (!stage) return false;
+  return stage.phase === 'final' || (stage.leg === 'volta' && !['league', 'group'].includes(stage.phase));
+}
@@ -1,7 +1,9 @@
 import { logger, ensureError } from './logger.js';
-import { writeFile, readFile, mkdir } from 'fs/promises';
-import { existsSync } from 'fs';
-import { join } from 'path';
+import { writeFile, readFile, mkdir, readdir, unlink, rm } from 'fs/promises';
+import { existsSync, writeFileSync, readFileSync, unlinkSync, mkdirSync } from 'fs';
+import { join, basename } from 'path';
+import { hostname } from 'os';
+import { randomUUID } from 'crypto';
 
 // Use /data for persistent storage (mount as Docker volume)
 // Falls back to /tmp if DATA_DIR is not set (for local development)
@@ -61,3 +63,411 @@ export async function getLatestRunStatus() {
   }
 }
 
+
+const FIXTURES_FILE = join(DATA_DIR, 'palmeiras-fixtures.json');
+
+/**
+ * Saves the snapshot of processed fixtures of the latest run
+ * @param {Object} snapshot - { updatedAt, fixtures: [...] }
+ */
+export async function saveFixtureSnapshot(snapshot) {
+  try {
+    await ensureDataDir();
+    await writeFile(FIXTURES_FILE, JSON.stringify(snapshot, null, 2), 'utf-8');
+    logger.debug(`[STORAGE] Saved fixture snapshot to ${FIXTURES_FILE}`);
+  } catch (err) {
+    const error = ensureError(err);
+    logger.error(`[STORAGE] Failed to save fixture snapshot to ${FIXTURES_FILE}`, error);
+  }
+}
+
+/**
+ * @returns {Promise<Object|null>} Snapshot saved by the latest run, or null if there is none
+ */
+export async function getFixtureSnapshot() {
+  try {
+    if (!existsSync(FIXTURES_FILE)) {
+      logger.debug(`[STORAGE] Fixture snapshot not found: ${FIXTURES_FILE}`);
+      return null;
+    }
+
+    const content = await readFile(FIXTURES_FILE, 'utf-8');
+    return JSON.parse(content);
+  } catch (err) {
+    const error = ensureError(err);
+    logger.error(`[STORAGE] Failed to read fixture snapshot from ${FIXTURES_FILE}`, error);
+    return null;
+  }
+}
+
+const CLUBS_FILE = join(DATA_DIR, 'clubs.json');
+
+/**
+ * Reads the editable club directory file (see clubs.js)
+ * @returns {Promise<Object|null>} { path, clubs: [...], placeholders: [...] }, or null if there is none
+ *   or it cannot be read
+ */
+export async function getClubDirectoryFile() {
+  try {
+    if (!existsSync(CLUBS_FILE)) return null;
+    return { path: CLUBS_FILE, ...JSON.parse(await readFile(CLUBS_FILE, 'utf-8')) };
+  } catch (err) {
+    const error = ensureError(err);
+    logger.error(`[STORAGE] Failed to read club directory from ${CLUBS_FILE}`, error);
+    return null;
+  }
+}
+
+const CHANGES_FILE = join(DATA_DIR, 'palmeiras-changes.json');
+const FIXTURE_CHANGELOG_MAX_ENTRIES = parseInt(process.env.FIXTURE_CHANGELOG_MAX_ENTRIES || '1000', 10);
+
+/**
+ * @returns {Promise<Object[]>} Fixture changelog, newest first (empty if there is none)
+ */
+export async function getFixtureChanges() {
+  try {
+    if (!existsSync(CHANGES_FILE)) return [];
+    return JSON.parse(await readFile(CHANGES_FILE, 'utf-8')).changes || [];
+  } catch (err) {
+    const error = ensureError(err);
+    logger.error(`[STORAGE] Failed to read fixture changelog from ${CHANGES_FILE}`, error);
+    return [];
+  }
+}
+
+/**
+ * Adds changes to the fixture changelog, keeping the latest FIXTURE_CHANGELOG_MAX_ENTRIES
+ * @param {Object[]} changes - Changes found in a run (see fixtures.js)
+ */
+export async function appendFixtureChanges(changes) {
+  try {
+    await ensureDataDir();
+    const existing = await getFixtureChanges();
+    const updated = [...changes, ...existing].slice(0, FIXTURE_CHANGELOG_MAX_ENTRIES);
+    await writeFile(CHANGES_FILE, JSON.stringify({ updatedAt: new Date().toISOString(), changes: updated }, null, 2), 'utf-8');
+    logger.debug(`[STORAGE] Appended ${changes.length} fixture changes to ${CHANGES_FILE}`);
+  } catch (err) {
+    const error = ensureError(err);
+    logger.error(`[STORAGE] Failed to save fixture changelog to ${CHANGES_FILE}`, error);
+  }
+}
+
+const RUNS_DIR = join(DATA_DIR, 'runs');
+const RUN_HISTORY_MAX_RUNS = parseInt(process.env.RUN_HISTORY_MAX_RUNS || '500', 10);
+const RUN_HISTORY_MAX_DAYS = parseInt(process.env.RUN_HISTORY_MAX_DAYS || '90', 10);
+const RUN_ID_PATTERN = /^[a-z]+-(\d+)$/;
+
+/**
+ * @param {string} runId - e.g. sync-1767225600000
+ * @returns {number} Run start timestamp encoded in the id
+ */
+function getRunTimestamp(runId) {
+  return parseInt(runId.match(RUN_ID_PATTERN)?.[1] || '0', 10);
+}
+
+/**
+ * @returns {Promise<string[]>} Run ids in the history, newest first
+ */
+async function listRunIds() {
+  if (!existsSync(RUNS_DIR)) return [];
+
+  const files = await readdir(RUNS_DIR);
+  return files
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => file.slice(0, -'.json'.length))
+    .filter((runId) => RUN_ID_PATTERN.test(runId))
+    .sort((a, b) => getRunTimestamp(b) - getRunTimestamp(a));
+}
+
+/**
+ * Deletes runs beyond RUN_HISTORY_MAX_RUNS or older than RUN_HISTORY_MAX_DAYS
+ */
+async function pruneRunHistory() {
+  const runIds = await listRunIds();
+  const oldestAllowed = Date.now() - RUN_HISTORY_MAX_DAYS * 24 * 60 * 60 * 1000;
+  const expired = runIds.filter(
+    (runId, idx) => idx >= RUN_HISTORY_MAX_RUNS || getRunTimestamp(runId) < oldestAllowed
+  );
+
+  for (const runId of expired) {
+    await unlink(join(RUNS_DIR, `${runId}.json`));
+  }
+  if (expired.length > 0) {
+    logger.debug(`[STORAGE] Pruned ${expired.length} runs from history`);
+  }
+}
+
+/**
+ * Appends a finished run to the history. Run files are never rewritten,
+ * only deleted once they fall out of the retention window.
+ * @param {Object} run - Full run result, including per-fixture actions and errors
+ */
+export async function appendRunHistory(run) {
+  try {
+    await mkdir(RUNS_DIR, { recursive: true });
+    await writeFile(join(RUNS_DIR, `${run.runId}.json`), JSON.stringify(run, null, 2), { encoding: 'utf-8', flag: 'wx' });
+    logger.debug(`[STORAGE] Appended run ${run.runId} to history`);
+    await pruneRunHistory();
+  } catch (err) {
+    const error = ensureError(err);
+    logger.error(`[STORAGE] Failed to append run ${run.runId} to history in ${RUNS_DIR}`, error);
+  }
+}
+
+/**
+ * Lists run summaries, newest first (per-fixture actions are left out)
+ * @param {Object} [options]
+ * @param {number} [options.page] - 1-based page number
+ * @param {number} [options.limit] - Runs per page
+ * @returns {Promise<Object>} { runs, page, limit, total }
+ */
+export async function listRunHistory({ page = 1, limit = 20 } = {}) {
+  const runIds = await listRunIds();
+  const pageIds = runIds.slice((page - 1) * limit, page * limit);
+  const runs = [];
+
+  for (const runId of pageIds) {
+    const run = await getRunFromHistory(runId);
+    if (!run) continue;
+    const { actions: _actions, ...summary } = run;
+    runs.push(summary);
+  }
+
+  return { runs, page, limit, total: runIds.length };
+}
+
+/**
+ * @param {string} runId
+ * @returns {Promise<Object|null>} Full run, or null if it is not in the history
+ */
+export async function getRunFromHistory(runId) {
+  if (!RUN_ID_PATTERN.test(runId)) return null;
+
+  const file = join(RUNS_DIR, `${runId}.json`);
+  try {
+    if (!existsSync(file)) return null;
+    return JSON.parse(await readFile(file, 'utf-8'));
+  } catch (err) {
+    const error = ensureError(err);
+    logger.error(`[STORAGE] Failed to read run ${runId} from history`, error);
+    return null;
+  }
+}
+
+const LOCK_FILE = join(DATA_DIR, 'palmeiras-sync.lock');
+const SYNC_LOCK_STALE_MS = parseInt(process.env.SYNC_LOCK_STALE_MS || String(30 * 60 * 1000), 10);
+// Tells this process apart from an earlier one with the same hostname and pid: a restarted
+// container keeps its hostname and runs the app as pid 1 again
+const PROCESS_BOOT_ID = randomUUID();
+
+/**
+ * @param {Object} lock - Lock file content
+ * @returns {boolean} true if the process holding the lock is gone or the lock is too old
+ */
+function isLockStale(lock) {
+  if (!lock?.startedAt || Date.now() - new Date(lock.startedAt).getTime() > SYNC_LOCK_STALE_MS) {
+    return true;
+  }
+  if (lock.hostname !== hostname()) {
+    return false;
+  }
+  // Our pid with another boot id: the holder was a previous run of this container
+  if (lock.pid === process.pid) {
+    return lock.bootId !== PROCESS_BOOT_ID;
+  }
+  try {
+    process.kill(lock.pid, 0);
+    return false;
+  } catch (err) {
+    return err.code === 'ESRCH';
+  }
+}
+
+/**
+ * Takes the sync lock file in DATA_DIR, replacing it if stale.
+ * Synchronous so callers can check and take the lock without yielding to other requests.
+ * @param {string} runId
+ * @returns {{acquired: boolean, holder?: Object}} holder is the lock content when not acquired
+ */
+export function acquireSyncLock(runId) {
+  const lock = { runId, pid: process.pid, hostname: hostname(), bootId: PROCESS_BOOT_ID, startedAt: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      mkdirSync(DATA_DIR, { recursive: true });
+      writeFileSync(LOCK_FILE, JSON.stringify(lock, null, 2), { encoding: 'utf-8', flag: 'wx' });
+      logger.debug(`[STORAGE] Acquired sync lock for ${runId}`);
+      return { acquired: true };
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        const error = ensureError(err);
+        logger.error(`[STORAGE] Failed to create sync lock ${LOCK_FILE}`, error);
+        throw err;
+      }
+    }
+
+    let holder = null;
+    try {
+      holder = JSON.parse(readFileSync(LOCK_FILE, 'utf-8'));
+    } catch (err) {
+      // Unreadable lock (e.g. partially written): treat as stale
+    }
+
+    if (!isLockStale(holder)) {
+      return { acquired: false, holder };
+    }
+
+    logger.warn(`[STORAGE] Removing stale sync lock held by ${holder?.runId || 'unknown run'}`);
+    try {
+      unlinkSync(LOCK_FILE);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  return { acquired: false, holder: null };
+}
+
+/**
+ * Releases the sync lock file if it is still held by this run
+ * @param {string} runId
+ */
+export function releaseSyncLock(runId) {
+  try {
+    const holder = JSON.parse(readFileSync(LOCK_FILE, 'utf-8'));
+    if (holder.runId === runId) {
+      unlinkSync(LOCK_FILE);
+      logger.debug(`[STORAGE] Released sync lock for ${runId}`);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      const error = ensureError(err);
+      logger.error(`[STORAGE] Failed to release sync lock ${LOCK_FILE}`, error);
+    }
+  }
+}
+
+const CAPTURES_DIR = join(DATA_DIR, 'captures');
+const HTML_CAPTURE_MAX_RUNS = parseInt(process.env.HTML_CAPTURE_MAX_RUNS || '20', 10);
+const CAPTURE_MANIFEST = 'manifest.json';
+
+/**
+ * @returns {Promise<string[]>} Run ids with an HTML capture, newest first
+ */
+export async function listHtmlCaptures() {
+  if (!existsSync(CAPTURES_DIR)) return [];
+
+  const entries = await readdir(CAPTURES_DIR);
+  return entries
+    .filter((runId) => RUN_ID_PATTERN.test(runId))
+    .sort((a, b) => getRunTimestamp(b) - getRunTimestamp(a));
+}
+
+/**
+ * Saves the pages fetched during a run: DATA_DIR/captures/<runId>/manifest.json
+ * plus one body file per page, so captures can be copied as regression fixtures.
+ * Only the latest HTML_CAPTURE_MAX_RUNS captures are kept.
+ * @param {Object} capture - { runId, startedAt, pages: [{ url, status, headers, fetchedAt, body, error }] }
+ */
+export async function saveHtmlCapture(capture) {
+  const dir = join(CAPTURES_DIR, capture.runId);
+  try {
+    await mkdir(dir, { recursive: true });
+
+    const pages = [];
+    for (const [idx, { body, ...page }] of capture.pages.entries()) {
+      const slug = new URL(page.url).pathname.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'home';
+      const file = body === undefined || body === null ? null : `${String(idx).padStart(2, '0')}-${slug}.html`;
+      if (file) {
+        await writeFile(join(dir, file), body, 'utf-8');
+      }
+      pages.push({ ...page, file });
+    }
+
+    await writeFile(join(dir, CAPTURE_MANIFEST), JSON.stringify({ ...capture, pages }, null, 2), 'utf-8');
+    logger.debug(`[STORAGE] Saved HTML capture of ${capture.runId} (${pages.length} pages)`);
+
+    const expired = (await listHtmlCaptures()).slice(HTML_CAPTURE_MAX_RUNS);
+    for (const runId of expired) {
+      await rm(join(CAPTURES_DIR, runId), { recursive: true, force: true });
+    }
+  } catch (err) {
+    const error = ensureError(err);
+    logger.error(`[STORAGE] Failed to save HTML capture to ${dir}`, error);
+  }
+}
+
+/**
+ * Reads an HTML capture directory (inside DATA_DIR or copied elsewhere as a fixture)
+ * @param {string} dir
+ * @returns {Promise<Object|null>} Capture with page bodies loaded, or null if there is no manifest
+ */
+export async function readHtmlCapture(dir) {
+  const manifestFile = join(dir, CAPTURE_MANIFEST);
+  if (!existsSync(manifestFile)) return null;
+
+  const capture = JSON.parse(await readFile(manifestFile, 'utf-8'));
+  for (const page of capture.pages) {
+    page.body = page.file ? await readFile(join(dir, basename(page.file)), 'utf-8') : null;
+  }
+  return capture;
+}
+
+/**
+ * @param {string} runId
+ * @returns {Promise<Object|null>} Capture of the run, or null if it was not recorded
+ */
+export async function getHtmlCapture(runId) {
+  if (!RUN_ID_PATTERN.test(runId)) return null;
+  return readHtmlCapture(join(CAPTURES_DIR, runId));
+}
+
+const COMPETITIONS_FILE = join(DATA_DIR, 'palmeiras-competitions.json');
+
+/**
+ * @returns {Promise<Object|null>} Stored competition catalogue state ({ competitions, discovered, updatedAt }), or null if none
+ */
+export async function getCompetitionCatalogueState() {
+  try {
+    if (!existsSync(COMPETITIONS_FILE)) return null;
+    return JSON.parse(await readFile(COMPETITIONS_FILE, 'utf-8'));
+  } catch (err) {
+    const error = ensureError(err);
+    logger.error(`[STORAGE] Failed to read competition catalogue from ${COMPETITIONS_FILE}`, error);
+    return null;
+  }
+}
+
+/**
+ * @param {Object} state - { competitions: Object[]|null (admin edits), discovered: Object[] }
+ */
+export async function saveCompetitionCatalogueState(state) {
+  await ensureDataDir();
+  await writeFile(COMPETITIONS_FILE, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2), 'utf-8');
+  logger.debug(`[STORAGE] Saved competition catalogue to ${COMPETITIONS_FILE}`);
+}
+
+const OVERRIDES_FILE = join(DATA_DIR, 'palmeiras-overrides.json');
+
+/**
+ * @returns {Promise<Object|null>} Stored fixture overrides ({ overrides, audit, updatedAt }), or null if none
+ */
+export async function getFixtureOverridesState() {
+  try {
+    if (!existsSync(OVERRIDES_FILE)) return null;
+    return JSON.parse(await readFile(OVERRIDES_FILE, 'utf-8'));
+  } catch (err) {
+    const error = ensureError(err);
+    logger.error(`[STORAGE] Failed to read fixture overrides from ${OVERRIDES_FILE}`, error);
+    return null;
+  }
+}
+
+/**
+ * @param {Object} state - { overrides: Object[], audit: Object[] }
+ */
+export async function saveFixtureOverridesState(state) {
+  await ensureDataDir();
+  await writeFile(OVERRIDES_FILE, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }, null, 2), 'utf-8');
+  logger.debug(`[STORAGE] Saved fixture overrides to ${OVERRIDES_FILE}`);
+}
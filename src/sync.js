@@ -2,47 +2,187 @@
  * Main sync orchestration
  * 
  * This module orchestrates the entire sync process:
- * 1. Retrieve matches from data source
- * 2. Process matches (filter, deduplicate, sort)
- * 3. Sync matches to Google Calendar
+ * 1. Retrieve matches from all enabled data sources (opponents resolved through the club directory)
+ * 2. Process matches (filter, deduplicate, apply manual overrides, sort), pick
+ *    recent results (final scores) and check the parsers for drift
+ * 3. Save the fixture snapshot (served as the ICS feed), record what changed since
+ *    the previous run (changelog) and notify the fixture news
+ * 4. Sync matches to every calendar target (Google Calendar, CalDAV), writing
+ *    final scores on the events of recent results; skipped when no target is configured
+ *
+ * In dry-run mode step 4 only computes the plan (creates, updates with field
+ * diffs, duplicate and orphan removals) and nothing is written anywhere.
  */
 
 import { logger, ensureError } from './logger.js';
-import { saveRunStatus } from './storage.js';
-import { GOOGLE_CREDENTIALS } from './config.js';
-import { fetchPalmeirasFixtures } from './retrieval/verdao.js';
-import { processMatches } from './processing.js';
+import { saveRunStatus, appendRunHistory } from './storage.js';
+import { retrieveMatches } from './retrieval/index.js';
+import { processMatches, selectRecentResults } from './processing.js';
 import { syncMatchesToCalendar } from './calendar.js';
+import { updateFixtureSnapshot, withFixtureHistory } from './fixtures.js';
+import { getCalendarTargets, getTargetMatches } from './targets/index.js';
+import { checkParserDrift } from './drift.js';
+import { notifyFixtureNews } from './notifications/index.js';
+import { getFixtureOverrides } from './overrides.js';
+import { loadClubDirectory, findUnknownClubs } from './clubs.js';
 
-function validateEnv() {
-  const missing = [];
-  if (!GOOGLE_CREDENTIALS) missing.push('GOOGLE_CREDENTIALS');
-  
-  if (missing.length > 0) {
-    const errorMsg = `Missing environment variables: ${missing.join(', ')}`;
-    logger.error('[SYNC] Missing environment variables', new Error(errorMsg));
+function validateTargets(targets) {
+  if (targets.length === 0) {
+    const errorMsg = 'No calendar targets configured - set GOOGLE_CREDENTIALS and/or CALDAV_URL';
+    logger.error('[SYNC] No calendar targets configured', new Error(errorMsg));
     throw new Error(errorMsg);
   }
 }
 
-export async function sync() {
-  const runId = `sync-${Date.now()}`;
+/**
+ * Syncs the matches to every target (each gets the matches of its squads). A failing
+ * target does not stop the others; the run only fails when every target failed.
+ * @param {CalendarTarget[]} targets
+ * @param {Match[]} matches
+ * @param {Match[]} recentResults - Recently finished matches with a score
+ * @returns {Promise<Object>} Summed counts, per-target results, errors and actions
+ */
+async function syncToTargets(targets, matches, recentResults) {
+  const totals = { created: 0, updated: 0, unchanged: 0, skipped: 0, orphaned: 0 };
+  const results = {};
+  const errors = [];
+  const actions = [];
+  const failures = [];
+
+  for (const target of targets) {
+    try {
+      const result = await syncMatchesToCalendar(getTargetMatches(target, matches), {
+        target,
+        results: getTargetMatches(target, recentResults),
+      });
+      results[target.id] = {
+        status: 'success',
+        created: result.created,
+        updated: result.updated,
+        unchanged: result.unchanged,
+        deleted: result.deleted,
+        skipped: result.skipped,
+        orphans: result.orphans,
+      };
+      totals.created += result.created;
+      totals.updated += result.updated;
+      totals.unchanged += result.unchanged;
+      totals.skipped += result.skipped;
+      totals.orphaned += result.orphans.handled;
+      errors.push(...result.errors.map((error) => ({ ...error, target: target.id })));
+      actions.push(...result.actions.map((action) => ({ ...action, target: target.id })));
+    } catch (err) {
+      failures.push(err);
+      results[target.id] = { status: 'error', error: err.message };
+      errors.push({ fixture: target.name, error: err.message, target: target.id });
+    }
+  }
+
+  if (failures.length === targets.length) {
+    throw failures[0];
+  }
+
+  return { ...totals, targets: results, errors, actions };
+}
+
+/**
+ * @param {Object[]} sources - Per-source retrieval report (see retrieveMatches)
+ * @returns {string[]} TV column tokens missing from the channel dictionary (see channels.js), across all pages
+ */
+function collectUnknownBroadcasts(sources) {
+  const unknown = new Set();
+  for (const source of sources) {
+    for (const page of source.pages || []) {
+      (page.unknownBroadcasts || []).forEach((token) => unknown.add(token));
+    }
+  }
+  return Array.from(unknown);
+}
+
+/**
+ * Saves the run as the latest status and appends it, with its per-fixture actions, to the history
+ * @param {Object} result - Run result
+ * @param {Object[]} [actions] - Per-fixture calendar actions
+ */
+async function recordRun(result, actions = []) {
+  await saveRunStatus(result);
+  await appendRunHistory({ ...result, actions });
+}
+
+/**
+ * Runs the sync pipeline
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Compute the calendar plan without writing to the calendar or run status
+ * @param {string} [options.runId] - Run id assigned by the sync coordinator (see coordinator.js)
+ * @returns {Promise<Object>} Run result (or plan, in dry-run mode)
+ */
+export async function sync({ dryRun = false, runId = `${dryRun ? 'plan' : 'sync'}-${Date.now()}` } = {}) {
   const startTime = Date.now();
   
-  logger.info('⚽ Palmeiras Calendar Sync Started', { runId });
+  logger.info(`⚽ Palmeiras Calendar Sync Started${dryRun ? ' (dry run)' : ''}`, { runId });
   logger.info('══════════════════════════════════════════════════');
   
   try {
-    validateEnv();
-    
-    // Step 1: Retrieve matches (isolated retrieval logic)
-    const rawMatches = await fetchPalmeirasFixtures();
+    // Step 1: Retrieve matches (isolated retrieval logic, merged across sources), with opponent
+    // names resolved through the club directory as edited now
+    await loadClubDirectory();
+    const { matches: rawMatches, sources, capturedPages } = await retrieveMatches({ runId, record: !dryRun });
     
-    // Step 2: Process matches (filter, deduplicate, sort)
-    const processedMatches = processMatches(rawMatches);
+    // Step 2: Process matches (filter, deduplicate, apply manual overrides, sort)
+    const overrides = await getFixtureOverrides();
+    const processedMatches = processMatches(rawMatches, { overrides });
+    const results = selectRecentResults(rawMatches, { overrides });
+
+    // Pages that used to yield matches and suddenly do not (markup changes) - alerts, does not fail the run
+    const drift = dryRun ? [] : await checkParserDrift(sources);
+    const unknownBroadcasts = collectUnknownBroadcasts(sources);
+    if (unknownBroadcasts.length > 0) {
+      logger.warn(`[RETRIEVAL] Unknown broadcast channels (add them to BROADCAST_CHANNELS): ${unknownBroadcasts.join(', ')}`);
+    }
+    const unknownClubs = findUnknownClubs(rawMatches.map((match) => match.opponent));
+    if (unknownClubs.length > 0) {
+      logger.warn(`[RETRIEVAL] Opponents missing from the club directory (add them to DATA_DIR/clubs.json): ${unknownClubs.join(', ')}`);
+    }
+
+    const targets = getCalendarTargets();
+
+    if (dryRun) {
+      validateTargets(targets);
+      // Fixture history as the real run would put it in the event descriptions, without saving the snapshot
+      const { snapshot } = await updateFixtureSnapshot([...results, ...processedMatches], { persist: false });
+      const plannedMatches = withFixtureHistory(processedMatches, snapshot);
+      const plannedResults = withFixtureHistory(results, snapshot);
+      const plans = [];
+      for (const target of targets) {
+        const plan = await syncMatchesToCalendar(getTargetMatches(target, plannedMatches), {
+          target,
+          dryRun: true,
+          results: getTargetMatches(target, plannedResults),
+        });
+        plans.push({ target: target.id, name: target.name, ...plan });
+      }
+      const result = {
+        runId,
+        status: 'plan',
+        startTime: new Date(startTime).toISOString(),
+        endTime: new Date().toISOString(),
+        duration: Date.now() - startTime,
+        fixturesFound: processedMatches.length,
+        resultsFound: results.length,
+        sources,
+        unknownBroadcasts: unknownBroadcasts.length > 0 ? unknownBroadcasts : undefined,
+        unknownClubs: unknownClubs.length > 0 ? unknownClubs : undefined,
+        plans,
+      };
+
+      logger.info('📝 Sync plan computed', { runId, targets: plans.map((plan) => plan.target) });
+      return result;
+    }
     
-    if (processedMatches.length === 0) {
-      logger.info('[SYNC] No upcoming fixtures found');
+    if (processedMatches.length === 0 && results.length === 0) {
+      // An empty scrape (site outage, markup change) must not wipe the fixture snapshot: its
+      // sequence numbers and history would be lost. The feed keeps the previous fixtures.
+      logger.warn('[SYNC] No upcoming fixtures found - keeping the previous fixture snapshot (ICS feed not refreshed)');
       const result = {
         runId,
         status: 'success',
@@ -52,15 +192,22 @@ export async function sync() {
         fixturesFound: 0,
         fixturesCreated: 0,
         fixturesUpdated: 0,
+        fixturesUnchanged: 0,
         fixturesSkipped: 0,
+        feedStale: true,
+        sources,
+        capturedPages,
+        drift: drift.length > 0 ? drift : undefined,
+        unknownBroadcasts: unknownBroadcasts.length > 0 ? unknownBroadcasts : undefined,
+        unknownClubs: unknownClubs.length > 0 ? unknownClubs : undefined,
       };
       
-      await saveRunStatus(result);
+      await recordRun(result);
       return result;
     }
     
     // Log fixtures summary
-    logger.info(`[SYNC] Fixtures to sync: ${processedMatches.length}`);
+    logger.info(`[SYNC] Fixtures to sync: ${processedMatches.length} (+${results.length} recent results)`);
     processedMatches.slice(0, 5).forEach(f => {
       const date = f.date.toLocaleString('pt-BR', { 
         timeZone: 'America/Sao_Paulo',
@@ -73,8 +220,45 @@ export async function sync() {
       logger.info(`  ... and ${processedMatches.length - 5} more`);
     }
     
-    // Step 3: Sync to calendar (isolated calendar sync logic)
-    const syncResult = await syncMatchesToCalendar(processedMatches);
+    // Step 3: Keep the ICS feed current, even when no calendar target is configured, and record
+    // what changed since the previous run (fixture history and changelog)
+    const fixtureUpdate = await updateFixtureSnapshot([...results, ...processedMatches], { runId });
+    const { snapshot, changes } = fixtureUpdate;
+    const fixtureChanges = changes.length > 0 ? changes.length : undefined;
+
+    // New games and kickoff / venue / broadcast changes: one digest per notification channel
+    const notifications = await notifyFixtureNews(fixtureUpdate, { runId });
+
+    if (targets.length === 0) {
+      logger.info('[SYNC] No calendar targets configured - skipping calendar sync (ICS feed only)');
+      const result = {
+        runId,
+        status: 'success',
+        startTime: new Date(startTime).toISOString(),
+        endTime: new Date().toISOString(),
+        duration: Date.now() - startTime,
+        fixturesFound: processedMatches.length,
+        resultsFound: results.length,
+        fixturesChanged: fixtureChanges,
+        notifications: notifications.length > 0 ? notifications : undefined,
+        calendarSkipped: true,
+        sources,
+        capturedPages,
+        drift: drift.length > 0 ? drift : undefined,
+        unknownBroadcasts: unknownBroadcasts.length > 0 ? unknownBroadcasts : undefined,
+        unknownClubs: unknownClubs.length > 0 ? unknownClubs : undefined,
+      };
+
+      await recordRun(result);
+      return result;
+    }
+    
+    // Step 4: Sync to calendar targets (isolated calendar sync logic)
+    const syncResult = await syncToTargets(
+      targets,
+      withFixtureHistory(processedMatches, snapshot),
+      withFixtureHistory(results, snapshot)
+    );
     
     const result = {
       runId,
@@ -83,16 +267,27 @@ export async function sync() {
       endTime: new Date().toISOString(),
       duration: Date.now() - startTime,
       fixturesFound: processedMatches.length,
+      resultsFound: results.length,
       fixturesCreated: syncResult.created,
       fixturesUpdated: syncResult.updated,
+      fixturesUnchanged: syncResult.unchanged,
       fixturesSkipped: syncResult.skipped,
+      fixturesOrphaned: syncResult.orphaned,
+      fixturesChanged: fixtureChanges,
+      notifications: notifications.length > 0 ? notifications : undefined,
+      targets: syncResult.targets,
+      sources,
+      capturedPages,
+      drift: drift.length > 0 ? drift : undefined,
+      unknownBroadcasts: unknownBroadcasts.length > 0 ? unknownBroadcasts : undefined,
+      unknownClubs: unknownClubs.length > 0 ? unknownClubs : undefined,
       errors: syncResult.errors.length > 0 ? syncResult.errors : undefined,
     };
     
     logger.info('══════════════════════════════════════════════════');
     logger.info('✅ Sync completed successfully', result);
     
-    await saveRunStatus(result);
+    await recordRun(result, syncResult.actions);
     return result;
   } catch (err) {
     const result = {
@@ -106,7 +301,9 @@ export async function sync() {
     
     const error = ensureError(err);
     logger.error('❌ Sync failed', error);
-    await saveRunStatus(result);
+    if (!dryRun) {
+      await recordRun(result);
+    }
     throw err;
   }
 }
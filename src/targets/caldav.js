@@ -0,0 +1,214 @@
+/**
+ * CalDAV calendar target
+ *
+ * Writes synced events as iCalendar objects to a CalDAV collection (Nextcloud,
+ * Radicale, iCloud-style servers). Each fixture is one resource (<fixtureId>.ics).
+ * Existing synced events are found with a calendar-query REPORT, and every
+ * PUT/DELETE of an existing resource is conditional on its ETag.
+ */
+
+import * as cheerio from 'cheerio';
+import { logger, ensureError } from '../logger.js';
+import { CALDAV_URL, CALDAV_USERNAME, CALDAV_PASSWORD, CALDAV_ARCHIVE_URL } from '../config.js';
+import { renderEventObject, parseVEvents, fixtureUid, formatICSDate } from '../ics.js';
+
+const FETCH_TIMEOUT_MS = 30_000;
+
+/**
+ * @param {string} url
+ * @returns {string} Collection URL with a trailing slash
+ */
+function toCollectionUrl(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+function getAuthHeaders() {
+  if (!CALDAV_USERNAME) return {};
+  const token = Buffer.from(`${CALDAV_USERNAME}:${CALDAV_PASSWORD || ''}`).toString('base64');
+  return { Authorization: `Basic ${token}` };
+}
+
+/**
+ * Sends a WebDAV request and throws on unexpected statuses
+ * @param {string} method
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {Object} [options.headers]
+ * @param {string} [options.body]
+ * @param {number[]} [options.allow] - Non-2xx statuses that should not throw
+ * @returns {Promise<Response>}
+ */
+async function davRequest(method, url, { headers = {}, body, allow = [] } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: { ...getAuthHeaders(), ...headers },
+    body,
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+
+  if (!response.ok && !allow.includes(response.status)) {
+    const hint = response.status === 412 ? ' - ETag mismatch, the event was changed on the server' : '';
+    throw new Error(`CalDAV ${method} ${url} failed: HTTP ${response.status} (${response.statusText})${hint}`);
+  }
+
+  return response;
+}
+
+/**
+ * Finds elements by local name, whatever namespace prefix the server uses (d:, D:, none)
+ * @returns {cheerio.Cheerio}
+ */
+function findByLocalName($, root, localName) {
+  return $(root)
+    .find('*')
+    .filter((_idx, el) => el.name.split(':').pop().toLowerCase() === localName);
+}
+
+/**
+ * @param {string} xml - REPORT multistatus response
+ * @param {string} baseUrl - Used to resolve relative hrefs
+ * @returns {Array<{href: string, etag: string|null, calendarData: string}>}
+ */
+function parseMultistatus(xml, baseUrl) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const resources = [];
+
+  findByLocalName($, $.root(), 'response').each((_idx, response) => {
+    const href = findByLocalName($, response, 'href').first().text().trim();
+    const etag = findByLocalName($, response, 'getetag').first().text().trim() || null;
+    const calendarData = findByLocalName($, response, 'calendar-data').first().text();
+    if (!href || !calendarData) return;
+
+    resources.push({ href: new URL(href, baseUrl).toString(), etag, calendarData });
+  });
+
+  return resources;
+}
+
+/**
+ * Writes an event resource, returning the new ETag (null if the server did not send one)
+ */
+async function putEvent(url, event, { uid, sequence, headers }) {
+  const response = await davRequest('PUT', url, {
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8', ...headers },
+    body: renderEventObject(event, { uid, sequence, lastModified: new Date() }),
+  });
+  return response.headers.get('etag');
+}
+
+/**
+ * Creates the CalDAV target
+ * @param {Object} [options]
+ * @param {string} [options.url] - Collection to write to (default: CALDAV_URL)
+ * @param {string} [options.id] - Target id (e.g. "caldav:feminino" for a squad calendar)
+ * @param {string} [options.name]
+ * @returns {CalendarTarget}
+ */
+export function createCalDAVTarget({ url = CALDAV_URL, id = 'caldav', name = 'CalDAV' } = {}) {
+  const collectionUrl = toCollectionUrl(url);
+
+  return {
+    id,
+    name,
+    canArchive: Boolean(CALDAV_ARCHIVE_URL),
+
+    async connect() {
+      try {
+        const response = await davRequest('PROPFIND', collectionUrl, {
+          headers: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' },
+          body: '<?xml version="1.0" encoding="utf-8"?><d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/></d:prop></d:propfind>',
+          allow: [404],
+        });
+
+        if (response.status === 404) {
+          logger.info(`[CALDAV] Collection not found, creating it: ${collectionUrl}`);
+          await davRequest('MKCALENDAR', collectionUrl);
+        }
+
+        logger.info(`[CALDAV] Connected to ${collectionUrl}`);
+      } catch (err) {
+        const error = ensureError(err);
+        error.hint = 'Please check CALDAV_URL, CALDAV_USERNAME and CALDAV_PASSWORD.';
+        logger.error('[CALDAV] Failed to connect to CalDAV collection', error);
+        throw err;
+      }
+    },
+
+    async listEvents({ timeMin }) {
+      const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">
+        <c:time-range start="${formatICSDate(timeMin)}"/>
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+
+      const response = await davRequest('REPORT', collectionUrl, {
+        headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+        body,
+      });
+
+      const events = [];
+      for (const resource of parseMultistatus(await response.text(), collectionUrl)) {
+        const [event] = parseVEvents(resource.calendarData);
+        if (event) {
+          events.push({ ...event, id: resource.href, etag: resource.etag });
+        }
+      }
+      return events;
+    },
+
+    async insertEvent(event) {
+      const fixtureId = event.extendedProperties.private.fixtureId;
+      const url = new URL(`${encodeURIComponent(fixtureId)}.ics`, collectionUrl).toString();
+      await putEvent(url, event, {
+        uid: fixtureUid(fixtureId),
+        sequence: 0,
+        headers: { 'If-None-Match': '*' },
+      });
+      return url;
+    },
+
+    async updateEvent(existingEvent, event) {
+      existingEvent.etag = await putEvent(existingEvent.id, event, {
+        uid: existingEvent.uid,
+        sequence: (existingEvent.sequence || 0) + 1,
+        headers: existingEvent.etag ? { 'If-Match': existingEvent.etag } : {},
+      });
+    },
+
+    async patchEvent(existingEvent, changes) {
+      const { id: _id, etag: _etag, uid: _uid, sequence: _sequence, ...current } = existingEvent;
+      const event = {
+        ...current,
+        ...changes,
+        extendedProperties: {
+          private: {
+            ...current.extendedProperties?.private,
+            ...changes.extendedProperties?.private,
+          },
+        },
+      };
+      await this.updateEvent(existingEvent, event);
+    },
+
+    async deleteEvent(existingEvent) {
+      await davRequest('DELETE', existingEvent.id, {
+        headers: existingEvent.etag ? { 'If-Match': existingEvent.etag } : {},
+      });
+    },
+
+    async archiveEvent(existingEvent) {
+      const { id, etag: _etag, uid, sequence, ...event } = existingEvent;
+      const resourceName = new URL(id).pathname.split('/').pop();
+      const archiveUrl = new URL(resourceName, toCollectionUrl(CALDAV_ARCHIVE_URL)).toString();
+
+      await putEvent(archiveUrl, event, { uid, sequence: (sequence || 0) + 1 });
+      await this.deleteEvent(existingEvent);
+    },
+  };
+}
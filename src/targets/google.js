@@ -0,0 +1,165 @@
+/**
+ * Google Calendar target
+ *
+ * Reads and writes synced events through the Google Calendar API (googleapis),
+ * authenticated with the service account in GOOGLE_CREDENTIALS.
+ * Event resources are used as-is: they are the canonical event format of the sync.
+ */
+
+import { google } from 'googleapis';
+import { logger, ensureError } from '../logger.js';
+import { GOOGLE_CREDENTIALS, GOOGLE_CALENDAR_ID, ORPHAN_ARCHIVE_CALENDAR_ID } from '../config.js';
+
+function parseCredentials(credentialsString) {
+  if (!credentialsString) {
+    throw new Error('GOOGLE_CREDENTIALS environment variable is not set');
+  }
+
+  let credentials;
+  
+  // Try to parse as base64 first, then as plain JSON
+  try {
+    const decoded = Buffer.from(credentialsString, 'base64').toString('utf-8');
+    credentials = JSON.parse(decoded);
+  } catch (base64Error) {
+    // If base64 decoding fails, try parsing as plain JSON
+    try {
+      credentials = JSON.parse(credentialsString);
+    } catch (jsonError) {
+      throw new Error(
+        `Failed to parse GOOGLE_CREDENTIALS: ${base64Error.message}. ` +
+        `Also tried as plain JSON: ${jsonError.message}`
+      );
+    }
+  }
+
+  // Validate required fields
+  if (!credentials.private_key) {
+    throw new Error('GOOGLE_CREDENTIALS missing required field: private_key');
+  }
+  if (!credentials.client_email) {
+    throw new Error('GOOGLE_CREDENTIALS missing required field: client_email');
+  }
+
+  // Fix private key formatting - ensure newlines are preserved
+  // The private key might have literal \n characters that need to be converted to actual newlines
+  if (typeof credentials.private_key === 'string') {
+    credentials.private_key = credentials.private_key.replace(/\\n/g, '\n');
+    
+    // Ensure the key starts and ends with proper markers
+    if (!credentials.private_key.includes('BEGIN PRIVATE KEY')) {
+      // If the key doesn't have proper formatting, it might be corrupted
+      logger.info('[CALENDAR] Warning: Private key may be missing proper PEM formatting');
+    }
+  }
+
+  return credentials;
+}
+
+export async function getCalendarClient() {
+  try {
+    const credentials = parseCredentials(GOOGLE_CREDENTIALS);
+    
+    const auth = new google.auth.GoogleAuth({
+      credentials,
+      scopes: ['https://www.googleapis.com/auth/calendar'],
+    });
+    
+    // Test the auth by getting the client email
+    const client = await auth.getClient();
+    const projectId = await auth.getProjectId().catch(() => null);
+    
+    logger.info('[CALENDAR] Google Calendar client initialized successfully', {
+      clientEmail: credentials.client_email,
+      projectId: projectId || 'unknown'
+    });
+    
+    return google.calendar({ version: 'v3', auth });
+  } catch (err) {
+    // Ensure error is an Error object for proper Slack formatting
+    const error = ensureError(err);
+    if (err.code) {
+      error.code = err.code;
+    }
+    if (err.code === 'ERR_OSSL_CRT_VALUES_INCORRECT') {
+      error.hint = 'The private key in GOOGLE_CREDENTIALS appears to be corrupted. Please verify the credentials are correctly base64-encoded.';
+    } else {
+      error.hint = 'Please check that GOOGLE_CREDENTIALS is properly formatted and contains valid service account credentials.';
+    }
+    
+    logger.error('[CALENDAR] Failed to initialize Google Calendar client', error);
+    throw err;
+  }
+}
+
+/**
+ * Creates the Google Calendar target
+ * @param {Object} [options]
+ * @param {string} [options.calendarId] - Calendar to write to (default: GOOGLE_CALENDAR_ID)
+ * @param {string} [options.id] - Target id (e.g. "google:feminino" for a squad calendar)
+ * @param {string} [options.name]
+ * @returns {CalendarTarget}
+ */
+export function createGoogleTarget({ calendarId = GOOGLE_CALENDAR_ID, id = 'google', name = 'Google Calendar' } = {}) {
+  let calendar = null;
+
+  return {
+    id,
+    name,
+    canArchive: Boolean(ORPHAN_ARCHIVE_CALENDAR_ID),
+
+    async connect() {
+      calendar = await getCalendarClient();
+    },
+
+    async listEvents({ timeMin }) {
+      const response = await calendar.events.list({
+        calendarId,
+        timeMin: timeMin.toISOString(),
+        maxResults: 2500,
+        singleEvents: true,
+        orderBy: 'startTime',
+      });
+      return response.data.items || [];
+    },
+
+    async insertEvent(event) {
+      const response = await calendar.events.insert({
+        calendarId,
+        resource: event,
+      });
+      return response.data.id;
+    },
+
+    async updateEvent(existingEvent, event) {
+      await calendar.events.update({
+        calendarId,
+        eventId: existingEvent.id,
+        resource: event,
+      });
+    },
+
+    async patchEvent(existingEvent, changes) {
+      await calendar.events.patch({
+        calendarId,
+        eventId: existingEvent.id,
+        resource: changes,
+      });
+    },
+
+    async deleteEvent(existingEvent) {
+      await calendar.events.delete({
+        calendarId,
+        eventId: existingEvent.id,
+      });
+    },
+
+    async archiveEvent(existingEvent) {
+      await calendar.events.move({
+        calendarId,
+        eventId: existingEvent.id,
+        destination: ORPHAN_ARCHIVE_CALENDAR_ID,
+      });
+    },
+  };
+}
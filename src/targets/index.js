@@ -0,0 +1,132 @@
+/**
+ * Calendar targets
+ *
+ * A calendar target is where synced events are written (Google Calendar, CalDAV).
+ * The sync builds Google Calendar event resources (matchToCalendarEvent) and each
+ * target translates them to its own API.
+ */
+
+import { logger } from '../logger.js';
+import {
+  CALENDAR_TARGETS,
+  GOOGLE_CREDENTIALS,
+  GOOGLE_CALENDAR_ID,
+  CALDAV_URL,
+  SQUADS,
+} from '../config.js';
+import { DEFAULT_SQUAD, getMatchSquad, getSquadName } from '../squads.js';
+import { TEAMS, DEFAULT_TEAM, getMatchTeam } from '../teams.js';
+import { createGoogleTarget } from './google.js';
+import { createCalDAVTarget } from './caldav.js';
+
+/**
+ * defaultCalendar: calendar of the teams and squads without one of their own,
+ * passed to create() as options[calendarOption] for the others
+ */
+const TARGET_FACTORIES = {
+  google: {
+    create: createGoogleTarget,
+    isConfigured: () => Boolean(GOOGLE_CREDENTIALS),
+    defaultCalendar: GOOGLE_CALENDAR_ID,
+    calendarOption: 'calendarId',
+  },
+  caldav: {
+    create: createCalDAVTarget,
+    isConfigured: () => Boolean(CALDAV_URL) || TEAMS.some((team) => getTeamCalendars('caldav', team).length > 0),
+    defaultCalendar: CALDAV_URL,
+    calendarOption: 'url',
+  },
+};
+
+/**
+ * @param {string} kind - Factory id
+ * @param {TeamProfile} team
+ * @returns {string[]} Calendars of the team other than the default one
+ */
+function getTeamCalendars(kind, team) {
+  return [team.calendars[kind], ...Object.values(team.squadCalendars[kind] || {})].filter(Boolean);
+}
+
+/**
+ * @param {string} kind - Factory id
+ * @param {TeamProfile} team
+ * @param {string} squad
+ * @returns {string} Calendar the team's squad is synced to: the squad calendar, else the team
+ *   calendar, else the default calendar
+ */
+function resolveCalendar(kind, team, squad) {
+  return team.squadCalendars[kind]?.[squad] || team.calendars[kind] || TARGET_FACTORIES[kind].defaultCalendar;
+}
+
+/**
+ * Creates the targets of a factory: one per distinct calendar the enabled teams and squads are routed to
+ * @param {string} kind - Factory id
+ * @param {Object} factory
+ * @returns {CalendarTarget[]}
+ */
+function createTargets(kind, factory) {
+  const routes = new Map();
+
+  for (const team of TEAMS) {
+    for (const squad of SQUADS) {
+      const calendar = resolveCalendar(kind, team, squad);
+      if (!calendar) continue;
+      if (!routes.has(calendar)) routes.set(calendar, []);
+      routes.get(calendar).push({ team, squad });
+    }
+  }
+
+  return Array.from(routes.entries()).map(([calendar, members]) => {
+    if (calendar === factory.defaultCalendar) {
+      return Object.assign(factory.create(), { kind, calendar });
+    }
+
+    // Named after the first team / squad routed to it: google:feminino, google:santos, google:santos:feminino
+    const { team, squad } = members[0];
+    const ownSquadCalendar = Boolean(team.squadCalendars[kind]?.[squad]);
+    const labels = [
+      team !== DEFAULT_TEAM && team,
+      ownSquadCalendar && squad !== DEFAULT_SQUAD && squad,
+    ].filter(Boolean);
+    const target = factory.create({
+      [factory.calendarOption]: calendar,
+      id: [kind, ...labels.map((label) => label.id || label)].join(':'),
+    });
+    const name = labels.map((label) => label.name || getSquadName(label)).join(' ');
+    return Object.assign(target, { kind, calendar, name: name ? `${target.name} (${name})` : target.name });
+  });
+}
+
+/**
+ * @param {CalendarTarget} target
+ * @param {Match[]} matches
+ * @returns {Match[]} Matches of the teams and squads routed to the target's calendar
+ */
+export function getTargetMatches(target, matches) {
+  if (!target.kind) return matches;
+  return matches.filter((match) => resolveCalendar(target.kind, getMatchTeam(match), getMatchSquad(match)) === target.calendar);
+}
+
+/**
+ * @returns {CalendarTarget[]} Targets listed in CALENDAR_TARGETS, or every configured target
+ *   (one per calendar, see SQUAD_GOOGLE_CALENDARS / SQUAD_CALDAV_URLS and the calendars of TEAM_PROFILES)
+ */
+export function getCalendarTargets() {
+  const ids = CALENDAR_TARGETS || Object.keys(TARGET_FACTORIES).filter((id) => TARGET_FACTORIES[id].isConfigured());
+  const targets = [];
+
+  for (const id of ids) {
+    const factory = TARGET_FACTORIES[id];
+    if (!factory) {
+      logger.warn(`[CALENDAR] Unknown calendar target in CALENDAR_TARGETS: ${id}`);
+      continue;
+    }
+    if (!factory.isConfigured()) {
+      logger.warn(`[CALENDAR] Calendar target ${id} is not configured - skipping`);
+      continue;
+    }
+    targets.push(...createTargets(id, factory));
+  }
+
+  return targets;
+}
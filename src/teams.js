@@ -0,0 +1,152 @@
+/**
+ * Team profiles
+ *
+ * Everything that ties the sync to a club: the name used in event titles, the
+ * aliases the sources use for it, its home venues, the prefix of its fixture keys,
+ * the retrieval sources that cover it and its calendars. The built-in profile is
+ * Palmeiras; TEAM_PROFILES replaces it, so a deployment can sync another club, or
+ * several clubs into different calendars. The first profile is the default team:
+ * its matches and events carry no team id, like before profiles existed.
+ */
+
+import {
+  TEAM_PROFILES,
+  RETRIEVAL_SOURCES,
+  API_FOOTBALL_TEAM_IDS,
+  SQUAD_GOOGLE_CALENDARS,
+  SQUAD_CALDAV_URLS,
+} from './config.js';
+import { findVenue } from './venues.js';
+import { normalizeText } from './text.js';
+
+/**
+ * @typedef {Object} TeamProfile
+ * @property {string} id - e.g. "palmeiras"
+ * @property {string} name - Name used in event titles
+ * @property {string[]} aliases - Other names the sources use for the club
+ * @property {string[]} homeVenues - Venue name fragments (lowercase) that mean a home game, for venues
+ *   missing from the venue registry (see venues.js)
+ * @property {string} keyPrefix - Fixture key prefix, e.g. "palmeiras" → palmeiras_2026-03-18
+ * @property {string[]} sources - Retrieval source ids, in priority order (see retrieval/index.js)
+ * @property {Object<string, number>} apiFootballTeamIds - API-Football team id per squad
+ * @property {{google?: string, caldav?: string}} calendars - Calendars of the club (default: GOOGLE_CALENDAR_ID / CALDAV_URL)
+ * @property {{google?: Object<string, string>, caldav?: Object<string, string>}} squadCalendars - Calendar per squad
+ */
+
+// ptd.verdao.net lists Palmeiras fixtures without a team side, so it cannot feed another club
+const PALMEIRAS_ONLY_SOURCES = ['verdao'];
+// Sources of profiles that are not built in: they filter fixtures by club
+const DEFAULT_PROFILE_SOURCES = ['api-football'];
+
+/** @type {Object<string, TeamProfile>} */
+const BUILT_IN_PROFILES = {
+  palmeiras: {
+    id: 'palmeiras',
+    name: 'Palmeiras',
+    aliases: ['SE Palmeiras', 'Sociedade Esportiva Palmeiras', 'Verdão'],
+    // Home venues come from the venue registry (homeTeams)
+    homeVenues: [],
+    keyPrefix: 'palmeiras',
+    sources: RETRIEVAL_SOURCES,
+    apiFootballTeamIds: API_FOOTBALL_TEAM_IDS,
+    calendars: {},
+    squadCalendars: { google: SQUAD_GOOGLE_CALENDARS, caldav: SQUAD_CALDAV_URLS },
+  },
+};
+
+/**
+ * Completes a profile from TEAM_PROFILES: fields of a built-in profile with the same id are inherited.
+ * Other profiles default to the api-football source.
+ * @param {Object} profile
+ * @param {number} idx
+ * @returns {TeamProfile}
+ */
+function normalizeProfile(profile, idx) {
+  if (!profile || typeof profile.id !== 'string' || !/^[a-z0-9-]+$/.test(profile.id)) {
+    throw new Error(`Invalid TEAM_PROFILES entry #${idx + 1}: id must contain only lowercase letters, digits and dashes`);
+  }
+
+  const base = BUILT_IN_PROFILES[profile.id] || {};
+  const name = profile.name || base.name;
+  if (!name) {
+    throw new Error(`Invalid TEAM_PROFILES entry #${idx + 1} (${profile.id}): name is required`);
+  }
+
+  const sources = profile.sources || base.sources || DEFAULT_PROFILE_SOURCES;
+  const palmeirasOnly = sources.filter((source) => PALMEIRAS_ONLY_SOURCES.includes(source));
+  if (profile.id !== BUILT_IN_PROFILES.palmeiras.id && palmeirasOnly.length > 0) {
+    throw new Error(`Invalid TEAM_PROFILES entry #${idx + 1} (${profile.id}): ${palmeirasOnly.join(', ')} only covers Palmeiras`);
+  }
+
+  return {
+    id: profile.id,
+    name,
+    aliases: profile.aliases || base.aliases || [],
+    homeVenues: (profile.homeVenues || base.homeVenues || []).map((venue) => venue.toLowerCase()),
+    keyPrefix: profile.keyPrefix || base.keyPrefix || profile.id.replace(/-/g, '_'),
+    sources,
+    apiFootballTeamIds: profile.apiFootballTeamIds || base.apiFootballTeamIds || {},
+    calendars: profile.calendars || base.calendars || {},
+    squadCalendars: profile.squadCalendars || base.squadCalendars || {},
+  };
+}
+
+/** @type {TeamProfile[]} */
+export const TEAMS = TEAM_PROFILES
+  ? TEAM_PROFILES.map(normalizeProfile)
+  : [BUILT_IN_PROFILES.palmeiras];
+
+if (TEAMS.length === 0) {
+  throw new Error('Invalid TEAM_PROFILES: at least one team profile is required');
+}
+
+/** @type {TeamProfile} */
+export const DEFAULT_TEAM = TEAMS[0];
+
+/**
+ * @param {string} [id]
+ * @returns {TeamProfile} Profile with that id (default team when unset or unknown)
+ */
+export function getTeam(id) {
+  return TEAMS.find((team) => team.id === id) || DEFAULT_TEAM;
+}
+
+/**
+ * @param {Match} match
+ * @returns {TeamProfile}
+ */
+export function getMatchTeam(match) {
+  return getTeam(match.team);
+}
+
+/**
+ * @param {TeamProfile} team
+ * @returns {Object} Match fields that tag a match with its team (none for the default team)
+ */
+export function getTeamTag(team) {
+  return team === DEFAULT_TEAM ? {} : { team: team.id };
+}
+
+/**
+ * @param {TeamProfile} team
+ * @param {string} name - Team name as written by a source
+ * @returns {boolean} true if the name refers to the club
+ */
+export function isTeamName(team, name) {
+  const normalized = normalizeText(name);
+  return [team.name, ...team.aliases].some((candidate) => normalizeText(candidate) === normalized);
+}
+
+/**
+ * @param {TeamProfile} team
+ * @param {string} location - Venue as written by a source
+ * @returns {boolean} true if the venue is one of the club's home venues: in the venue registry,
+ *   else in the profile's homeVenues
+ */
+export function isHomeVenue(team, location) {
+  const venue = findVenue(location);
+  if (venue?.homeTeams.includes(team.id)) return true;
+
+  const normalized = normalizeText(location);
+  return team.homeVenues.some((homeVenue) => normalized.includes(normalizeText(homeVenue)));
+}
@@ -0,0 +1,253 @@
+/**
+ * Event templates
+ *
+ * Event titles and descriptions are rendered from templates with {placeholders}
+ * ({opponent}, {competition}, {stage}, {venue}, {broadcast}, {score}...) and
+ * [optional groups], dropped when one of their placeholders is empty, e.g.
+ * "{home} vs {away}[ – {stage}]". Each locale (pt-BR, en) has a preset with the
+ * templates and the fixed texts of the description; EVENT_SUMMARY_TEMPLATE,
+ * EVENT_RESULT_SUMMARY_TEMPLATE and EVENT_DESCRIPTION_TEMPLATE replace its templates.
+ * The pt-BR preset renders the events exactly as they were before templates, so
+ * their content hashes do not change.
+ *
+ * The event length (per competition, longer for knockout games) and the reminders
+ * are configured here too.
+ */
+
+import {
+  EVENT_LOCALE,
+  EVENT_SUMMARY_TEMPLATE,
+  EVENT_RESULT_SUMMARY_TEMPLATE,
+  EVENT_DESCRIPTION_TEMPLATE,
+  EVENT_DURATION_MINUTES,
+  EVENT_DURATIONS,
+  EVENT_REMINDERS,
+} from './config.js';
+import { CHANGE_FIELD_LABELS } from './fixtures.js';
+import { isDecisiveMatch, isKnockoutMatch } from './stages.js';
+import { normalizeText } from './text.js';
+
+/** Placeholders of the summary and description templates (see getTemplateValues in calendar.js) */
+export const TEMPLATE_PLACEHOLDERS = [
+  'prefix', 'venueIcon', 'team', 'opponent', 'home', 'away', 'competition', 'stage', 'round', 'squad',
+  'score', 'homeScore', 'awayScore', 'result', 'venue', 'city', 'address', 'map', 'broadcast', 'watch',
+  'date', 'source', 'fixtureId', 'history',
+];
+
+/**
+ * @typedef {Object} LocalePreset
+ * @property {string} dateLocale - Locale of the dates in the description
+ * @property {string} summary - Title of upcoming games
+ * @property {string} resultSummary - Title of finished games
+ * @property {string} description - Description lines, separated by "\n"
+ * @property {Object} labels - Fixed texts: unknown venue, A/D dates, "where to watch" and history lines,
+ *   changelog field names and the title prefix of orphaned events
+ */
+
+/** @type {Object<string, LocalePreset>} */
+const LOCALE_PRESETS = {
+  'pt-BR': {
+    dateLocale: 'pt-BR',
+    summary: '[{prefix} ]{venueIcon} {home} vs {away}[ – {stage}][ 📺 {broadcast}]',
+    resultSummary: '[{prefix} ]{venueIcon} {score}[ – {stage}] {result}',
+    description: [
+      '⚽ {competition}[ – {stage}]',
+      '[👥 {squad}]',
+      '[🏁 Resultado: {score}]',
+      '📍 {venue}[ ({city})]',
+      '[🗺️ {map}]',
+      '[📺 {broadcast}]',
+      '[{watch}]',
+      'Source: {source}',
+      'Match Date: {date}',
+      'Match ID: {fixtureId}',
+      '[{history}]',
+    ].join('\n'),
+    labels: {
+      venueUnknown: 'TBD',
+      tentativeDate: 'A definir ({days})',
+      dayRange: '{first} a {last}',
+      tentativeMarker: 'A/D',
+      watch: '▶️ Onde assistir ({channel}): {url}',
+      historyTitle: '📝 Histórico de alterações:',
+      historyEntry: '• {at} – {field}: {from} → {to}',
+      changeFields: CHANGE_FIELD_LABELS,
+      orphanPrefix: '❓ Adiado/Removido',
+    },
+  },
+  en: {
+    dateLocale: 'en-GB',
+    summary: '[{prefix} ]{venueIcon} {home} vs {away}[ – {stage}][ 📺 {broadcast}]',
+    resultSummary: '[{prefix} ]{venueIcon} {score}[ – {stage}] {result}',
+    description: [
+      '⚽ {competition}[ – {stage}]',
+      '[👥 {squad}]',
+      '[🏁 Result: {score}]',
+      '📍 {venue}[ ({city})]',
+      '[🗺️ {map}]',
+      '[📺 {broadcast}]',
+      '[{watch}]',
+      'Source: {source}',
+      'Kickoff: {date}',
+      'Match ID: {fixtureId}',
+      '[{history}]',
+    ].join('\n'),
+    labels: {
+      venueUnknown: 'TBD',
+      tentativeDate: 'TBD ({days})',
+      dayRange: '{first} to {last}',
+      tentativeMarker: 'TBD',
+      watch: '▶️ Where to watch ({channel}): {url}',
+      historyTitle: '📝 Change history:',
+      historyEntry: '• {at} – {field}: {from} → {to}',
+      changeFields: { date: 'Kickoff', opponent: 'Opponent', location: 'Venue', broadcast: 'Broadcast' },
+      orphanPrefix: '❓ Postponed/Removed',
+    },
+  },
+};
+
+const REMINDER_METHODS = ['popup', 'email'];
+// Google Calendar limits: 5 reminders per event, up to 4 weeks before it
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_MINUTES = 40320;
+
+const TEMPLATE_TOKEN = /\[([^[\]]*)\]|\{(\w+)\}/g;
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Fills a template: {name} is replaced by the value (empty when unset), [group] by its
+ * content when none of its placeholders is empty and by nothing otherwise
+ * @param {string} template - e.g. "{home} vs {away}[ – {stage}]"
+ * @param {Object} values
+ * @returns {string}
+ */
+export function renderTemplate(template, values) {
+  const fill = (text) => text.replace(PLACEHOLDER, (_match, name) => (isEmptyValue(values[name]) ? '' : String(values[name])));
+
+  return template.replace(TEMPLATE_TOKEN, (token, group, name) => {
+    if (name !== undefined) return fill(token);
+    const names = [...group.matchAll(PLACEHOLDER)].map(([, placeholder]) => placeholder);
+    return names.some((placeholder) => isEmptyValue(values[placeholder])) ? '' : fill(group);
+  });
+}
+
+/**
+ * Renders a description template line by line. Lines left empty by their optional groups
+ * are dropped; empty lines of the template are kept.
+ * @param {string} template - Lines separated by "\n"
+ * @param {Object} values
+ * @returns {string}
+ */
+export function renderDescription(template, values) {
+  const lines = template.split('\n');
+  return lines
+    .map((line) => renderTemplate(line, values))
+    .filter((line, idx) => line.trim() !== '' || lines[idx] === '')
+    .join('\n');
+}
+
+/**
+ * @param {string} template
+ * @param {string} name - Environment variable, for the error message
+ * @returns {string} The template, with "\n" sequences as line breaks
+ */
+function validateTemplate(template, name) {
+  const unknown = [...template.matchAll(PLACEHOLDER)]
+    .map(([, placeholder]) => placeholder)
+    .filter((placeholder) => !TEMPLATE_PLACEHOLDERS.includes(placeholder));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid ${name}: unknown placeholders ${unknown.map((placeholder) => `{${placeholder}}`).join(', ')} (expected ${TEMPLATE_PLACEHOLDERS.map((placeholder) => `{${placeholder}}`).join(', ')})`);
+  }
+  return template.replace(/\\n/g, '\n');
+}
+
+/** @type {LocalePreset & {locale: string}} Templates in use: the locale preset with the configured templates */
+export const EVENT_TEMPLATES = (() => {
+  const preset = LOCALE_PRESETS[EVENT_LOCALE];
+  if (!preset) {
+    throw new Error(`Invalid EVENT_LOCALE "${EVENT_LOCALE}" (expected ${Object.keys(LOCALE_PRESETS).join(', ')})`);
+  }
+
+  return {
+    ...preset,
+    locale: EVENT_LOCALE,
+    ...(EVENT_SUMMARY_TEMPLATE && { summary: validateTemplate(EVENT_SUMMARY_TEMPLATE, 'EVENT_SUMMARY_TEMPLATE') }),
+    ...(EVENT_RESULT_SUMMARY_TEMPLATE && {
+      resultSummary: validateTemplate(EVENT_RESULT_SUMMARY_TEMPLATE, 'EVENT_RESULT_SUMMARY_TEMPLATE'),
+    }),
+    ...(EVENT_DESCRIPTION_TEMPLATE && {
+      description: validateTemplate(EVENT_DESCRIPTION_TEMPLATE, 'EVENT_DESCRIPTION_TEMPLATE'),
+    }),
+  };
+})();
+
+/**
+ * Validates an EVENT_DURATIONS rule
+ * @param {Object} rule
+ * @param {number} idx
+ * @returns {{minutes: number, competition?: string, knockout?: boolean, decisive?: boolean}}
+ */
+function normalizeDurationRule(rule, idx) {
+  if (!rule || !Number.isInteger(rule.minutes) || rule.minutes <= 0) {
+    throw new Error(`Invalid EVENT_DURATIONS entry #${idx + 1}: minutes must be a positive integer`);
+  }
+
+  return {
+    minutes: rule.minutes,
+    ...(rule.competition && { competition: normalizeText(rule.competition) }),
+    ...(typeof rule.knockout === 'boolean' && { knockout: rule.knockout }),
+    ...(typeof rule.decisive === 'boolean' && { decisive: rule.decisive }),
+  };
+}
+
+const DURATION_RULES = (EVENT_DURATIONS || []).map(normalizeDurationRule);
+
+if (!Number.isInteger(EVENT_DURATION_MINUTES) || EVENT_DURATION_MINUTES <= 0) {
+  throw new Error('Invalid EVENT_DURATION_MINUTES: expected a positive number of minutes');
+}
+
+/**
+ * @param {Match} match
+ * @returns {number} Event length in minutes: the first EVENT_DURATIONS rule matching the game
+ *   (competition name fragment, knockout game, decisive game), else EVENT_DURATION_MINUTES
+ */
+export function getEventDurationMinutes(match) {
+  const competition = normalizeText(match.competition);
+  const rule = DURATION_RULES.find((entry) =>
+    (entry.competition === undefined || competition.includes(entry.competition)) &&
+    (entry.knockout === undefined || entry.knockout === isKnockoutMatch(match)) &&
+    (entry.decisive === undefined || entry.decisive === isDecisiveMatch(match))
+  );
+  return rule ? rule.minutes : EVENT_DURATION_MINUTES;
+}
+
+/**
+ * Parses EVENT_REMINDERS ("popup:60,popup:15,email:1440")
+ * @param {string} value
+ * @returns {Array<{method: string, minutes: number}>}
+ */
+function parseReminders(value) {
+  const reminders = value.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const [method, minutes] = entry.split(':').map((part) => part?.trim());
+    if (!REMINDER_METHODS.includes(method) || !/^\d+$/.test(minutes || '') || Number(minutes) > MAX_REMINDER_MINUTES) {
+      throw new Error(`Invalid EVENT_REMINDERS entry "${entry}": expected method:minutes, with method ${REMINDER_METHODS.join(' or ')} and up to ${MAX_REMINDER_MINUTES} minutes`);
+    }
+    return { method, minutes: Number(minutes) };
+  });
+
+  if (reminders.length > MAX_REMINDERS) {
+    throw new Error(`Invalid EVENT_REMINDERS: at most ${MAX_REMINDERS} reminders`);
+  }
+  return reminders;
+}
+
+/** Reminders of events with a kickoff time (A/D events get none) */
+export const EVENT_REMINDER_OVERRIDES = parseReminders(EVENT_REMINDERS);
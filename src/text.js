@@ -0,0 +1,24 @@
+/**
+ * Text normalization
+ *
+ * Sources write the same club, venue, channel or competition with and without
+ * accents, in any case and with varying punctuation. Names are compared through
+ * these helpers rather than as written.
+ */
+
+/**
+ * @param {string} value
+ * @returns {string} Lowercase value without accents ("Brasileirão" → "brasileirao")
+ */
+export function normalizeText(value) {
+  return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * @param {string} value
+ * @returns {string} Lowercase value without accents and punctuation, words separated by one
+ *   space ("Atlético-MG" → "atletico mg")
+ */
+export function normalizeWords(value) {
+  return normalizeText(value).replace(/[^a-z0-9]/g, ' ').replace(/\s+/g, ' ').trim();
+}
@@ -2,16 +2,52 @@
  * Standardized Match format
  * 
  * All retrieval logic must return matches in this format.
- * This allows swapping retrieval implementations without affecting calendar sync.
+ * This allows swapping retrieval implementations without affecting calendar sync,
+ * and running several of them at once (see retrieval/index.js).
  * 
  * @typedef {Object} Match
- * @property {Date} date - Match date/time (JavaScript Date object)
+ * @property {Date} date - Match date/time (JavaScript Date object); for tentative matches, São Paulo
+ *   midnight of the first possible day
  * @property {string} opponent - Opponent team name
- * @property {boolean} isHome - true if Palmeiras is playing at home
+ * @property {boolean} isHome - true if the team is playing at home
  * @property {string} competition - Competition name (e.g., "Brasileirão 2026", "Paulista 2026")
- * @property {string} location - Venue/location name
+ * @property {string} location - Venue/location name (canonical name when the venue is in the registry, see venues.js)
+ * @property {string} [city] - City of the venue
+ * @property {string} [address] - Full address of the venue, used as the event location
+ * @property {{lat: number, lng: number}} [coordinates] - Venue coordinates
  * @property {string} broadcast - Broadcast channels (e.g., "Record, Cazé TV") - optional
  * @property {string} source - Source identifier for debugging (e.g., "ptd.verdao.net")
+ * @property {string} [sourceId] - Id of the retrieval source that produced the match (e.g., "verdao"; "manual"
+ *   for fixtures added as manual overrides, see overrides.js)
+ * @property {string[]} [sources] - Source ids merged into this match, when more than one source reported it
+ * @property {{team: number, opponent: number}} [score] - Final score, for finished matches
+ * @property {MatchStage} [stage] - Round / phase of the competition (see stages.js)
+ * @property {string} [team] - Team profile id (see teams.js), unset for the default team
+ * @property {string} [squad] - Squad playing the match (see squads.js): 'principal' (default), 'feminino', 'sub-20'...
+ * @property {boolean} [tentative] - Kickoff time not set yet ("A/D"): synced as an all-day tentative event
+ * @property {number} [windowDays] - Tentative matches only: number of possible days when only the round's
+ *   window is known (e.g. 3 for Friday to Sunday; default 1)
+ */
+
+/**
+ * Calendar target contract (see targets/index.js)
+ *
+ * Events are Google Calendar event resources; targets other than Google translate
+ * them to their own format and return them in that shape from listEvents.
+ *
+ * @typedef {Object} CalendarTarget
+ * @property {string} id - Target identifier (e.g., "google", "caldav")
+ * @property {string} name - Human readable name
+ * @property {boolean} canArchive - true if archiveEvent is configured
+ * @property {string} [kind] - Target type ("google", "caldav"), set by targets/index.js
+ * @property {string} [calendar] - Calendar id / URL; the teams and squads routed to it are synced to the target
+ * @property {() => Promise<void>} connect - Authenticates / checks the calendar
+ * @property {(options: {timeMin: Date}) => Promise<Object[]>} listEvents - Events starting after timeMin
+ * @property {(event: Object) => Promise<string>} insertEvent - Returns the new event id
+ * @property {(existingEvent: Object, event: Object) => Promise<void>} updateEvent
+ * @property {(existingEvent: Object, changes: Object) => Promise<void>} patchEvent
+ * @property {(existingEvent: Object) => Promise<void>} deleteEvent
+ * @property {(existingEvent: Object) => Promise<void>} archiveEvent - Moves the event to the archive calendar
  */
 
 export {};
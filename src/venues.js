@@ -0,0 +1,167 @@
+/**
+ * Venue registry
+ *
+ * Sources write venues in many ways ("Allianz Parque", "Nubank Parque", "Arena
+ * Barueri - SP"...). The registry maps their aliases to a canonical venue with its
+ * city, full address (used as the event location, so map links work), coordinates
+ * and the clubs that play their home games there. VENUE_REGISTRY adds venues or
+ * replaces built-in ones with the same id, e.g. when a club moves a home game to
+ * another stadium.
+ */
+
+import { VENUE_REGISTRY } from './config.js';
+import { normalizeText } from './text.js';
+import { mergeRegistry } from './registry.js';
+
+/**
+ * @typedef {Object} Venue
+ * @property {string} id - e.g. "allianz-parque"
+ * @property {string} name - Canonical name, used as the match location
+ * @property {string[]} aliases - Lowercase fragments that identify the venue in the sources
+ * @property {string} city
+ * @property {string} [address] - Full address (default: "<name>, <city>")
+ * @property {{lat: number, lng: number}} [coordinates]
+ * @property {string[]} homeTeams - Team profile ids (see teams.js) that play their home games there
+ */
+
+/** @type {Venue[]} */
+const BUILT_IN_VENUES = [
+  {
+    id: 'allianz-parque',
+    name: 'Allianz Parque',
+    aliases: ['allianz', 'nubank parque', 'nubank', 'arena palmeiras'],
+    city: 'São Paulo',
+    address: 'Av. Francisco Matarazzo, 1705 - Água Branca, São Paulo - SP, 05001-200',
+    coordinates: { lat: -23.5275, lng: -46.6784 },
+    homeTeams: ['palmeiras'],
+  },
+  {
+    id: 'arena-barueri',
+    name: 'Arena Barueri',
+    aliases: ['barueri'],
+    city: 'Barueri',
+    address: 'Arena Barueri, Barueri - SP',
+    homeTeams: ['palmeiras'],
+  },
+  {
+    id: 'morumbis',
+    name: 'MorumBIS',
+    aliases: ['morumbis', 'morumbi', 'cicero pompeu de toledo'],
+    city: 'São Paulo',
+    address: 'Praça Roberto Gomes Pedrosa, 1 - Morumbi, São Paulo - SP',
+    coordinates: { lat: -23.6001, lng: -46.7203 },
+    homeTeams: [],
+  },
+  {
+    id: 'neo-quimica-arena',
+    name: 'Neo Química Arena',
+    aliases: ['neo quimica', 'arena corinthians', 'itaquera'],
+    city: 'São Paulo',
+    address: 'Neo Química Arena, São Paulo - SP',
+    coordinates: { lat: -23.5453, lng: -46.4742 },
+    homeTeams: [],
+  },
+  {
+    id: 'vila-belmiro',
+    name: 'Vila Belmiro',
+    aliases: ['vila belmiro', 'urbano caldeira'],
+    city: 'Santos',
+    address: 'Vila Belmiro, Santos - SP',
+    coordinates: { lat: -23.9511, lng: -46.3388 },
+    homeTeams: [],
+  },
+  {
+    id: 'pacaembu',
+    name: 'Pacaembu',
+    aliases: ['pacaembu'],
+    city: 'São Paulo',
+    address: 'Praça Charles Miller - Pacaembu, São Paulo - SP',
+    homeTeams: [],
+  },
+  {
+    id: 'maracana',
+    name: 'Maracanã',
+    aliases: ['maracana'],
+    city: 'Rio de Janeiro',
+    address: 'Maracanã, Rio de Janeiro - RJ',
+    coordinates: { lat: -22.9122, lng: -43.2302 },
+    homeTeams: [],
+  },
+  {
+    id: 'mineirao',
+    name: 'Mineirão',
+    aliases: ['mineirao'],
+    city: 'Belo Horizonte',
+    address: 'Mineirão, Belo Horizonte - MG',
+    coordinates: { lat: -19.8658, lng: -43.9711 },
+    homeTeams: [],
+  },
+];
+
+/**
+ * Completes a VENUE_REGISTRY entry
+ * @param {Object} venue
+ * @param {number} idx
+ * @returns {Venue}
+ */
+function normalizeVenue(venue, idx) {
+  if (!venue || typeof venue.id !== 'string' || typeof venue.name !== 'string' || typeof venue.city !== 'string') {
+    throw new Error(`Invalid VENUE_REGISTRY entry #${idx + 1}: id, name and city are required`);
+  }
+
+  return {
+    id: venue.id,
+    name: venue.name,
+    aliases: [venue.name, ...(venue.aliases || [])].map(normalizeText),
+    city: venue.city,
+    address: venue.address || `${venue.name}, ${venue.city}`,
+    ...(venue.coordinates && { coordinates: venue.coordinates }),
+    homeTeams: venue.homeTeams || [],
+  };
+}
+
+/** @type {Venue[]} */
+export const VENUES = mergeRegistry(BUILT_IN_VENUES, VENUE_REGISTRY, normalizeVenue);
+
+/**
+ * Finds the venue a source refers to: the one with the longest alias contained in the text
+ * @param {string} text - Venue as written by a source, e.g. "Allianz Parque - São Paulo"
+ * @returns {Venue|null}
+ */
+export function findVenue(text) {
+  const normalized = normalizeText(text);
+  if (!normalized) return null;
+
+  let found = null;
+  let foundLength = 0;
+  for (const venue of VENUES) {
+    for (const alias of venue.aliases) {
+      if (alias.length > foundLength && normalized.includes(alias)) {
+        found = venue;
+        foundLength = alias.length;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Match venue fields for the venue text of a source
+ * @param {string} text - Venue as written by a source
+ * @param {Object} [fallback]
+ * @param {string} [fallback.city] - City reported by the source, for venues not in the registry
+ * @returns {{location: string, city?: string, address?: string, coordinates?: {lat: number, lng: number}}}
+ */
+export function getVenueFields(text, { city } = {}) {
+  const venue = findVenue(text);
+  if (!venue) {
+    return { location: (text || '').trim(), ...(city && { city }) };
+  }
+
+  return {
+    location: venue.name,
+    city: venue.city,
+    address: venue.address,
+    ...(venue.coordinates && { coordinates: venue.coordinates }),
+  };
+}